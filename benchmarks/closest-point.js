@@ -0,0 +1,101 @@
+/**
+ * closest-point.js
+ * Compares closest track position lookups through the spatial index with linear scans
+ *
+ * Run with: npm run bench
+ */
+
+import { performance } from 'node:perf_hooks';
+import geoUtils from '../js/data/geo-utils.js';
+import SpatialIndex from '../js/data/spatial-index.js';
+import { createRandom, createTrackPoints, randomWalk, toLocation } from '../tests/helpers/tracks.js';
+
+// A 1000 km tour at the 50 m interpolation distance
+const TRACK_LENGTH = 1000000;
+const SPACING = 50;
+const QUERIES = 2000;
+
+/**
+ * Closest vertex by haversine distance, as findClosestPoint worked before the index
+ * @param {Array<GeoPoint>} trackPoints - Track points
+ * @param {Object} location - Location
+ * @returns {number} Index of the closest point
+ */
+function scanVertices(trackPoints, location) {
+    let closestIndex = 0;
+    let minDistance = Infinity;
+    trackPoints.forEach((point, i) => {
+        const distance = geoUtils.calculateDistance(location, point);
+        if (distance < minDistance) {
+            minDistance = distance;
+            closestIndex = i;
+        }
+    });
+    return closestIndex;
+}
+
+/**
+ * Closest segment by projecting onto every one of them
+ * @param {SpatialIndex} index - Index over the track, used for its projection only
+ * @param {Object} location - Location
+ * @returns {number} Index of the closest segment
+ */
+function scanSegments(index, location) {
+    let best = null;
+    for (let i = 0; i < index.trackPoints.length - 1; i++) {
+        const candidate = index.projectOntoSegment(location, i);
+        if (!best || candidate.planarDistance < best.planarDistance) {
+            best = candidate;
+        }
+    }
+    return best.index;
+}
+
+/**
+ * Time a lookup over all queries
+ * @param {string} name - Label
+ * @param {Array<Object>} locations - Query locations
+ * @param {Function} lookup - Lookup to time
+ * @returns {number} Microseconds per query
+ */
+function measure(name, locations, lookup) {
+    // Warm up so the JIT has compiled the lookup
+    locations.slice(0, 50).forEach(lookup);
+
+    const start = performance.now();
+    locations.forEach(lookup);
+    const perQuery = (performance.now() - start) * 1000 / locations.length;
+
+    console.log(`${name.padEnd(28)} ${perQuery.toFixed(1).padStart(10)} µs/query`);
+    return perQuery;
+}
+
+const random = createRandom(7);
+const walk = randomWalk(TRACK_LENGTH / SPACING, SPACING, random);
+const trackPoints = createTrackPoints([walk]);
+
+let start = performance.now();
+const index = new SpatialIndex(trackPoints);
+const buildTime = performance.now() - start;
+
+// Riders are near the track, with the odd query further off
+const locations = Array.from({ length: QUERIES }, () => {
+    const [x, y] = walk[Math.floor(random() * walk.length)];
+    const spread = random() < 0.9 ? 100 : 5000;
+    return toLocation(x + (random() - 0.5) * spread, y + (random() - 0.5) * spread);
+});
+
+console.log(`${trackPoints.length} track points, ${index.cells.size} grid cells, built in ${buildTime.toFixed(0)} ms\n`);
+
+const vertexScan = measure('Linear scan of vertices', locations.slice(0, 200), location => scanVertices(trackPoints, location));
+const segmentScan = measure('Linear scan of segments', locations.slice(0, 200), location => scanSegments(index, location));
+const indexed = measure('Spatial index', locations, location => index.nearest(location));
+
+console.log(`\nSpatial index is ${(vertexScan / indexed).toFixed(0)}x faster than the vertex scan ` +
+    `and ${(segmentScan / indexed).toFixed(0)}x faster than the segment scan`);
+
+start = performance.now();
+const mismatches = locations.filter(location =>
+    Math.abs(index.nearest(location).index - scanSegments(index, location)) > 1
+).length;
+console.log(`${mismatches} of ${QUERIES} lookups differ from the segment scan (checked in ${(performance.now() - start).toFixed(0)} ms)`);
@@ -13,22 +13,33 @@ import config from './config.js';
 // Data Layer
 import TrackDataStore from '../data/track-data-store.js';
 import LocationDataStore from '../data/location-data-store.js';
+import TrackLibrary from '../data/track-library.js';
+import SessionStore from '../data/session-store.js';
 
 // UI Layer
 import UIStateManager from '../ui/ui-state-manager.js';
 import UIControls from '../ui/ui-controls.js';
 import ProgressDisplay from '../ui/progress-display.js';
+import TrackSelector from '../ui/track-selector.js';
+import TrackLibraryPanel from '../ui/track-library-panel.js';
+import NotificationCenter from '../ui/notification-center.js';
+import ElevationProfile from '../ui/elevation-profile.js';
+import ProgressFieldsPanel from '../ui/progress-fields-panel.js';
 
 // Map Layer
 import MapRenderer from '../map/map-renderer.js';
 import TrackRenderer from '../map/track-renderer.js';
 import LocationRenderer from '../map/location-renderer.js';
+import BreadcrumbRenderer from '../map/breadcrumb-renderer.js';
 
 // Services Layer
 import TrackManager from '../services/track-manager.js';
 import LocationTracker from '../services/location-tracker.js';
 import ProgressTracker from '../services/progress-tracker.js';
 import ExternalServices from '../services/external-services.js';
+import OffTrackAlerts from '../services/off-track-alerts.js';
+import ActivityRecorder from '../services/activity-recorder.js';
+import AdaptiveSampling from '../services/adaptive-sampling.js';
 
 class App {
     constructor() {
@@ -79,6 +90,9 @@ class App {
             // Start the application
             this.startApplication();
 
+            // Offer to carry on where a killed app left off
+            this.restoreSession();
+
             console.log('GPX Track Navigator initialized successfully');
 
         } catch (error) {
@@ -109,22 +123,33 @@ class App {
         // Data Layer - foundational components
         this.components.trackDataStore = new TrackDataStore(this.eventBus);
         this.components.locationDataStore = new LocationDataStore(this.eventBus);
+        this.components.trackLibrary = new TrackLibrary(this.eventBus);
+        this.components.sessionStore = new SessionStore(this.eventBus);
 
         // UI Layer - user interface components
         this.components.uiStateManager = new UIStateManager(this.eventBus);
         this.components.uiControls = new UIControls(this.eventBus);
         this.components.progressDisplay = new ProgressDisplay(this.eventBus);
+        this.components.progressFieldsPanel = new ProgressFieldsPanel(this.eventBus);
+        this.components.trackSelector = new TrackSelector(this.eventBus);
+        this.components.trackLibraryPanel = new TrackLibraryPanel(this.eventBus);
+        this.components.notificationCenter = new NotificationCenter(this.eventBus);
+        this.components.elevationProfile = new ElevationProfile(this.eventBus);
 
         // Map Layer - map rendering components
         this.components.mapRenderer = new MapRenderer(this.eventBus);
         this.components.trackRenderer = new TrackRenderer(this.eventBus);
         this.components.locationRenderer = new LocationRenderer(this.eventBus);
+        this.components.breadcrumbRenderer = new BreadcrumbRenderer(this.eventBus);
 
         // Services Layer - business logic components
         this.components.trackManager = new TrackManager(this.eventBus);
         this.components.locationTracker = new LocationTracker(this.eventBus);
         this.components.progressTracker = new ProgressTracker(this.eventBus);
         this.components.externalServices = new ExternalServices(this.eventBus);
+        this.components.offTrackAlerts = new OffTrackAlerts(this.eventBus);
+        this.components.activityRecorder = new ActivityRecorder(this.eventBus);
+        this.components.adaptiveSampling = new AdaptiveSampling(this.eventBus);
 
         console.log('All components initialized');
     }
@@ -140,7 +165,8 @@ class App {
             // Get track data and calculate progress
             this.components.progressTracker.calculateProgress(
                 location,
-                this.components.trackDataStore
+                this.components.trackDataStore,
+                this.components.locationDataStore.getLocationData().locationHistory
             );
         });
 
@@ -150,11 +176,20 @@ class App {
             if (currentLocation) {
                 this.components.progressTracker.calculateProgress(
                     currentLocation,
-                    this.components.trackDataStore
+                    this.components.trackDataStore,
+                    this.components.locationDataStore.getLocationData().locationHistory
                 );
             }
         });
 
+        // Rejoin guidance while off track
+        this.eventBus.on('progress:rejoin-requested', (data) => {
+            this.components.progressTracker.calculateRejoin(
+                data.location,
+                this.components.trackDataStore
+            );
+        });
+
         // Location data store should emit updates when data changes
         this.eventBus.on('location:update-requested', () => {
             const locationData = this.components.locationDataStore.getLocationData();
@@ -167,24 +202,24 @@ class App {
         this.eventBus.on('map:style-loaded', () => {
             // Start location tracking once map is ready
             this.eventBus.emit('location:start-tracking-requested');
-
-            // Check for stored track and reload if available
-            const storedTrack = localStorage.getItem(config.storage.keys.lastGpxContent);
-            if (storedTrack) {
-                // Emit event to show reload button
-                this.eventBus.emit('track:cleared'); // Triggers UI update
-            }
         });
 
         // Wake lock toggle
         this.eventBus.on('ui:wake-lock-toggle', async () => {
             if (!this.wakeLock) {
                 try {
-                    this.wakeLock = await navigator.wakeLock.request('screen');
+                    const wakeLock = await navigator.wakeLock.request('screen');
+                    this.wakeLock = wakeLock;
                     this.components.uiControls.elements.wakeBtn.textContent = '🔒';
-                    this.wakeLock.addEventListener('release', () => {
+                    this.eventBus.emit('ui:wake-lock-changed', { active: true });
+                    wakeLock.addEventListener('release', () => {
+                        // Releases by the app have already been announced
+                        if (this.wakeLock !== wakeLock) return;
+
+                        // The system let go, e.g. when the page was hidden
                         this.components.uiControls.elements.wakeBtn.textContent = '🔓';
                         this.wakeLock = null;
+                        this.eventBus.emit('ui:wake-lock-changed', { active: false });
                     });
                 } catch (err) {
                     console.error('Failed to acquire wake lock:', err);
@@ -193,6 +228,7 @@ class App {
                 this.wakeLock.release();
                 this.wakeLock = null;
                 this.components.uiControls.elements.wakeBtn.textContent = '🔓';
+                this.eventBus.emit('ui:wake-lock-changed', { active: false });
             }
         });
 
@@ -202,10 +238,56 @@ class App {
                 this.wakeLock.release();
                 this.wakeLock = null;
                 this.components.uiControls.elements.wakeBtn.textContent = '🔓';
+                this.eventBus.emit('ui:wake-lock-changed', { active: false });
             }
         });
     }
 
+    /**
+     * Ask whether to resume the session left by the previous run, once the map is ready
+     */
+    restoreSession() {
+        const session = this.components.sessionStore.getSavedSession();
+        if (!session) return;
+
+        this.eventBus.once('map:style-loaded', () => {
+            this.eventBus.emit('notification:show-requested', {
+                key: 'session',
+                message: 'Resume ride?',
+                duration: 0,
+                action: {
+                    label: 'Resume',
+                    onClick: () => this.resumeSession(session)
+                }
+            });
+
+            // Too late to resume once the user opened another track
+            this.eventBus.once('track:loaded', () => {
+                this.eventBus.emit('notification:dismiss-requested', { key: 'session' });
+            });
+        });
+    }
+
+    /**
+     * Bring back the track, progress, zoom, recording and wake lock of a saved session
+     * @param {Object} session - Saved session
+     */
+    resumeSession(session) {
+        this.components.sessionStore.clearSavedSession();
+
+        // Components pick what they need, the progress tracker waits for the track
+        this.eventBus.emit('session:restore-requested', session);
+
+        if (session.trackId !== null) {
+            this.eventBus.emit('library:open-requested', { id: session.trackId });
+        }
+
+        // The wake lock went with the killed app, the user never turned it off
+        if (session.wakeLock && !this.wakeLock) {
+            this.eventBus.emit('ui:wake-lock-toggle');
+        }
+    }
+
     /**
      * Start the application
      */
@@ -29,11 +29,21 @@ const config = {
             width: 28,
             height: 28,
             color: '#FFFFFF',  // Brighter color
-            frequency: 4       // Draw arrow every Nth point
+            spacing: 60,       // screen pixels between arrows along the track
+            minSpacing: 200    // meters between arrows, however far the map is zoomed in
         },
         interpolation: {
             distance: 50 // meters between interpolated points
         },
+        spatialIndex: {
+            cellSize: 250 // meters per grid cell for closest point lookups
+        },
+        elevation: {
+            smoothingThreshold: 5 // meters of altitude change before it counts as climbing
+        },
+        simplification: {
+            pixelTolerance: 1 // screen pixels the drawn line may deviate from the track
+        },
         visualization: {
             showOnLoad: false, // Don't fit bounds on track load for speed
             fitBoundsPadding: 50,
@@ -48,6 +58,13 @@ const config = {
                 radius: 10,
                 color: '#AAAAFF',
                 opacity: 1
+            },
+            rejoin: {
+                color: '#FF8800',
+                lineWidth: 3,
+                lineDasharray: [2, 2],
+                arrowSize: 32, // pixels
+                arrowOffset: 28 // pixels from the location towards the track
             }
         },
         animation: {
@@ -62,14 +79,96 @@ const config = {
                 maximumAge: 4000,
                 timeout: 60000
             }
+        },
+        sampling: {
+            enabled: true, // Adapt the update interval and GPS accuracy, otherwise use the tracking settings
+            fastInterval: 2000, // milliseconds near turns and off track
+            relaxedInterval: 10000, // milliseconds far from any turn
+            stationaryInterval: 15000, // milliseconds when not moving
+            pollFromInterval: 10000, // milliseconds - from this interval the GPS is asked once per update instead of watched
+            stoppedSpeed: 0.5, // m/s - slower counts as not moving
+            stationaryDelay: 30000, // milliseconds below stoppedSpeed before slowing down
+            nearTurnDistance: 200, // meters before a turn to update fast
+            farTurnDistance: 2000, // meters to the next turn from which updates relax
+            turnAngle: 35, // degrees the track must change direction by to be a turn
+            turnSampleDistance: 25, // meters between track samples when looking for turns
+            lowBatteryLevel: 0.2 // 0-1 - below this, and not charging, the GPS runs in low accuracy mode
+        },
+        filter: {
+            maxAccuracy: 50, // meters - worse fixes are dropped, unless no better one comes in for maxAccuracyWait
+            maxLowAccuracy: 150, // meters - maxAccuracy while the GPS runs in low accuracy mode
+            maxAccuracyWait: 10000, // milliseconds of only worse fixes after which the most accurate of them is taken
+            maxSpeed: 40, // m/s - fixes that would need a faster move are dropped as jumps
+            maxGap: 30000, // milliseconds without an accepted fix before any fix is taken again
+            maxConsecutiveRejections: 5, // jumps in a row after which the new place is believed
+            kalman: {
+                enabled: true,
+                accelerationNoise: 1.5, // m/s² - higher follows turns and braking faster, smooths less
+                initialSpeedUncertainty: 10 // m/s
+            }
         }
     },
 
+    // Travelled Trail
+    breadcrumb: {
+        color: '#FF00FF',
+        width: 4,
+        opacity: 0.8,
+        colorBySpeed: false, // Color the trail by speed instead
+        speedColors: [ // m/s and color, speeds in between get a blend
+            [0, '#FF4136'],
+            [3, '#FFDC00'],
+            [8, '#2ECC40']
+        ]
+    },
+
     // Progress Tracking
     progress: {
         updateInterval: 60000, // Update interval in milliseconds (1 minute)
         offTrackThreshold: 50, // meters - distance at which user is considered off track
-        displayId: 'progress-display'
+        displayId: 'progress-display',
+        fields: ['remainingDistance', 'remainingAscent', 'etaTimestamp'], // Shown until the user picks their own
+        matching: {
+            behindDistance: 100, // meters the match may move back, for GPS jitter
+            aheadDistance: 300, // meters searched ahead on top of the distance travelled
+            maxSpeed: 20, // m/s - fastest expected travel, bounds the wide search window
+            reacquireMargin: 200, // meters a match elsewhere must beat the windowed one by
+            tieDistance: 10 // meters within which two matches count as equally close
+        }
+    },
+
+    // Off-track Alerts
+    alerts: {
+        minInterval: 15000, // milliseconds between any two alerts
+        repeatInterval: 120000, // milliseconds between reminders while off track
+        speech: true, // Speak the alert as well
+        vibration: {
+            offTrack: [400, 200, 400, 200, 400],
+            onTrack: [150]
+        },
+        tones: {
+            offTrack: [880, 660, 880], // Hz, one beep each
+            onTrack: [660, 880]
+        },
+        beepDuration: 0.2, // seconds
+        volume: 0.5 // 0-1
+    },
+
+    // Arrival Time Estimate
+    eta: {
+        activity: 'cycling', // Climbing adjustment: 'walking', 'cycling' or 'none'
+        stoppedSpeed: 0.5, // m/s - slower movement counts as stopped and is ignored
+        maxSpeed: 30, // m/s - faster movement is a GPS jump and is ignored
+        minimumMovingTime: 60, // seconds of movement before estimating
+        fullConfidenceMovingTime: 300, // seconds of movement for full confidence
+        minimumConfidence: 0.3, // below this the display marks the estimate as rough
+        walking: {
+            ascentRate: 600 // Naismith's rule - meters climbed per extra hour
+        },
+        cycling: {
+            power: 150, // watts sustained on climbs
+            mass: 85 // kg, rider and bike
+        }
     },
 
     // UI Controls
@@ -91,6 +190,22 @@ const config = {
             gMapsBtn: '#gmaps-btn',
             locationOverlay: '#location-overlay',
             wakeBtn: '#wake-btn',
+            muteBtn: '#mute-btn',
+            recordBtn: '#record-btn',
+            stopRecordBtn: '#stop-record-btn',
+            trackSelect: '#track-select',
+            libraryBtn: '#library-btn',
+            libraryPanel: '#library-panel',
+            libraryList: '#library-list',
+            libraryCloseBtn: '#library-close-btn',
+            notifications: '#notifications',
+            elevationProfile: '#elevation-profile',
+            elevationToggleBtn: '#elevation-toggle-btn',
+            elevationCanvas: '#elevation-canvas',
+            progressFieldsPanel: '#progress-fields-panel',
+            progressFieldsList: '#progress-fields-list',
+            progressFieldsCloseBtn: '#progress-fields-close-btn',
+            unitsSelect: '#units-select',
 
             // By class
             buttonsContainer: '.ui-controls-container',
@@ -99,10 +214,58 @@ const config = {
         }
     },
 
+    // Units
+    units: {
+        default: 'metric' // 'metric', 'imperial' or 'nautical' until the user picks one
+    },
+
+    // Elevation Profile
+    elevation: {
+        padding: { top: 8, right: 44, bottom: 14, left: 8 }, // pixels around the plot, the right side leaves room for the toggle
+        minimumSpan: 50, // meters of altitude shown at least, so flat tracks stay flat
+        lineColor: '#FFFF00',
+        fillColor: 'rgba(255, 255, 0, 0.25)',
+        markerColor: '#FF4136',
+        textColor: '#FFFFFF',
+        locationPauseAfterTap: 10000 // milliseconds location updates stay paused after tapping the chart
+    },
+
+    // Notifications
+    notifications: {
+        duration: 8000 // milliseconds before a toast without action disappears
+    },
+
+    // Launch parameters (?gpx= links, web+gpx protocol handler and share target)
+    launch: {
+        trackParameter: 'gpx',
+        sharedParameter: 'shared', // Set by the service worker after a Web Share Target POST
+        sharedCacheName: 'gpx-navigator-shared' // Must match SHARE_CACHE_NAME in sw.js
+    },
+
+    // Session Restore
+    session: {
+        maxAge: 12 * 60 * 60 * 1000 // milliseconds a session left by a killed app can be resumed
+    },
+
     // Storage
     storage: {
         keys: {
-            lastGpxContent: 'lastGpxContent'
+            lastGpxContent: 'lastGpxContent', // Legacy single track slot, migrated into the track library
+            elevationCollapsed: 'elevationCollapsed',
+            progressFields: 'progressFields',
+            units: 'units',
+            alertsMuted: 'alertsMuted',
+            session: 'session'
+        },
+        database: {
+            name: 'gpx-navigator',
+            version: 3,
+            stores: {
+                tracks: 'tracks',
+                trackContents: 'trackContents', // File content of each track, keyed by its tracks entry id
+                activities: 'activities',
+                activityPoints: 'activityPoints'
+            }
         }
     },
 
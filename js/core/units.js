@@ -0,0 +1,172 @@
+/**
+ * units.js
+ * Unit systems and locale-aware formatting of distances, elevations, speeds and times.
+ */
+
+import config from './config.js';
+
+// Intl units where the browser knows them, otherwise a number with a suffix
+const SYSTEMS = {
+    metric: {
+        name: 'Metric',
+        distance: { factor: 1 / 1000, unit: 'kilometer', digits: 1 },
+        shortDistance: { factor: 1, unit: 'meter', digits: 0 },
+        elevation: { factor: 1, unit: 'meter', digits: 0 },
+        speed: { factor: 3.6, unit: 'kilometer-per-hour', digits: 1 }
+    },
+    imperial: {
+        name: 'Imperial',
+        distance: { factor: 1 / 1609.344, unit: 'mile', digits: 1 },
+        shortDistance: { factor: 1 / 0.3048, unit: 'foot', digits: 0 },
+        elevation: { factor: 1 / 0.3048, unit: 'foot', digits: 0 },
+        speed: { factor: 3600 / 1609.344, unit: 'mile-per-hour', digits: 1 }
+    },
+    nautical: {
+        name: 'Nautical',
+        distance: { factor: 1 / 1852, suffix: 'nmi', digits: 1 },
+        shortDistance: { factor: 1, unit: 'meter', digits: 0 },
+        elevation: { factor: 1, unit: 'meter', digits: 0 },
+        speed: { factor: 3600 / 1852, suffix: 'kn', digits: 1 }
+    }
+};
+
+const units = {
+    formatters: new Map(), // Intl formatters by options, they are slow to create
+
+    /**
+     * Get the available unit systems
+     * @returns {Array} Systems as { id, name }
+     */
+    getSystems() {
+        return Object.entries(SYSTEMS).map(([id, system]) => ({ id, name: system.name }));
+    },
+
+    /**
+     * Get the chosen unit system
+     * @returns {string} System id
+     */
+    getSystem() {
+        const saved = localStorage.getItem(config.storage.keys.units);
+        return SYSTEMS[saved] ? saved : config.units.default;
+    },
+
+    /**
+     * Choose the unit system
+     * @param {string} id - System id
+     */
+    setSystem(id) {
+        if (!SYSTEMS[id]) {
+            throw new Error(`Unknown unit system: ${id}`);
+        }
+        localStorage.setItem(config.storage.keys.units, id);
+    },
+
+    /**
+     * Get a cached Intl.NumberFormat
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {Intl.NumberFormat} Formatter for the user's locale
+     */
+    getNumberFormat(options) {
+        const key = JSON.stringify(options);
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, new Intl.NumberFormat(undefined, options));
+        }
+        return this.formatters.get(key);
+    },
+
+    /**
+     * Format a value in one of the quantities of the chosen system
+     * @param {number} value - Value in meters or m/s
+     * @param {string} quantity - 'distance', 'shortDistance', 'elevation' or 'speed'
+     * @param {string} unitDisplay - 'short' for km, 'long' for kilometers (to be spoken)
+     * @returns {string} Formatted value with unit
+     */
+    format(value, quantity, unitDisplay = 'short') {
+        const { factor, unit, suffix, digits } = SYSTEMS[this.getSystem()][quantity];
+        const digitOptions = { minimumFractionDigits: digits, maximumFractionDigits: digits };
+
+        if (unit) {
+            return this.getNumberFormat({ style: 'unit', unit, unitDisplay, ...digitOptions })
+                .format(value * factor);
+        }
+
+        return `${this.getNumberFormat(digitOptions).format(value * factor)} ${suffix}`;
+    },
+
+    /**
+     * Format a distance along the track
+     * @param {number} meters - Distance in meters
+     * @returns {string} Distance in km, mi or nmi
+     */
+    formatDistance(meters) {
+        return this.format(meters, 'distance');
+    },
+
+    /**
+     * Format a short distance, like the distance off track or GPS accuracy
+     * @param {number} meters - Distance in meters
+     * @returns {string} Distance in m or ft
+     */
+    formatShortDistance(meters) {
+        return this.format(meters, 'shortDistance');
+    },
+
+    /**
+     * Format a short distance for speech
+     * @param {number} meters - Distance in meters
+     * @returns {string} Distance in meters or feet, written out
+     */
+    formatSpokenDistance(meters) {
+        return this.format(meters, 'shortDistance', 'long');
+    },
+
+    /**
+     * Format an elevation or elevation change
+     * @param {number} meters - Elevation in meters
+     * @returns {string} Elevation in m or ft
+     */
+    formatElevation(meters) {
+        return this.format(meters, 'elevation');
+    },
+
+    /**
+     * Format a speed
+     * @param {number} metersPerSecond - Speed in m/s
+     * @returns {string} Speed in km/h, mph or kn
+     */
+    formatSpeed(metersPerSecond) {
+        return this.format(metersPerSecond, 'speed');
+    },
+
+    /**
+     * Format a percentage
+     * @param {number} percent - Percentage (0-100)
+     * @returns {string} Whole percentage
+     */
+    formatPercent(percent) {
+        return this.getNumberFormat({ style: 'percent', maximumFractionDigits: 0 })
+            .format(Math.floor(percent) / 100);
+    },
+
+    /**
+     * Format a duration
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Duration as h:mm
+     */
+    formatDuration(seconds) {
+        const minutes = Math.round(seconds / 60);
+        const pad = this.getNumberFormat({ minimumIntegerDigits: 2 });
+        return `${Math.floor(minutes / 60)}:${pad.format(minutes % 60)}`;
+    },
+
+    /**
+     * Format a time of day
+     * @param {number} timestamp - Time in milliseconds
+     * @returns {string} Hours and minutes in the user's locale
+     */
+    formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+};
+
+export default units;
@@ -0,0 +1,170 @@
+/**
+ * database.js
+ * Thin promise wrapper around the app's IndexedDB database
+ */
+
+import config from '../core/config.js';
+
+const database = {
+    connection: null,
+
+    /**
+     * Open the database, creating or upgrading its object stores
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (!this.connection) {
+            this.connection = new Promise((resolve, reject) => {
+                if (!('indexedDB' in window)) {
+                    reject(new Error('IndexedDB is not supported by this browser'));
+                    return;
+                }
+
+                const { name, version } = config.storage.database;
+                const request = indexedDB.open(name, version);
+
+                request.onupgradeneeded = (event) => {
+                    this.upgrade(request.result, event.oldVersion, request.transaction);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.connection;
+    },
+
+    /**
+     * Create the object stores missing from an older database version
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+     * @param {IDBTransaction} transaction - Upgrade transaction, for moving existing records
+     */
+    upgrade(db, oldVersion, transaction) {
+        const { stores } = config.storage.database;
+
+        if (oldVersion < 1) {
+            const tracks = db.createObjectStore(stores.tracks, { keyPath: 'id', autoIncrement: true });
+            tracks.createIndex('lastUsedAt', 'lastUsedAt');
+        }
+
+        if (oldVersion < 2) {
+            const activities = db.createObjectStore(stores.activities, { keyPath: 'id', autoIncrement: true });
+            activities.createIndex('startedAt', 'startedAt');
+
+            // Points are written one by one while recording, apart from their activity
+            const points = db.createObjectStore(stores.activityPoints, { keyPath: 'id', autoIncrement: true });
+            points.createIndex('activityId', 'activityId');
+        }
+
+        if (oldVersion < 3) {
+            // Listing the library should not read every file, so content moves to its own store
+            const contents = db.createObjectStore(stores.trackContents, { keyPath: 'id' });
+
+            if (oldVersion >= 1) {
+                transaction.objectStore(stores.tracks).openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+
+                    const { content, ...entry } = cursor.value;
+                    contents.put({ id: entry.id, content });
+                    cursor.update(entry);
+                    cursor.continue();
+                };
+            }
+        }
+    },
+
+    /**
+     * Run a single request in its own transaction
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result once the transaction completes
+     */
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    },
+
+    /**
+     * Run requests on several stores in one transaction, so they are saved or lost together
+     * @param {Array<string>} storeNames - Object store names
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object stores keyed by name, returns the IDBRequest to resolve with
+     * @returns {Promise<*>} Request result once the transaction completes
+     */
+    async runAll(storeNames, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+            const request = operation(stores);
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    },
+
+    /**
+     * Get a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise<Object|undefined>} Record
+     */
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    },
+
+    /**
+     * Get all records of a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<Array>} Records in key order
+     */
+    getAll(storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    },
+
+    /**
+     * Get all records with a given index key
+     * @param {string} storeName - Object store name
+     * @param {string} indexName - Index name
+     * @param {*} key - Index key
+     * @returns {Promise<Array>} Records in primary key order
+     */
+    getAllByIndex(storeName, indexName, key) {
+        return this.run(storeName, 'readonly', store => store.index(indexName).getAll(key));
+    },
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName - Object store name
+     * @param {Object} value - Record
+     * @returns {Promise<*>} Record key
+     */
+    put(storeName, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value));
+    },
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise<void>}
+     */
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+};
+
+export default database;
@@ -0,0 +1,336 @@
+/**
+ * fit-parser.js
+ * Decodes Garmin FIT course and activity files
+ *
+ * Only the messages needed to follow a track are interpreted: file_id, course,
+ * record, event and course_point. Everything else, including developer fields,
+ * is skipped using the sizes from its definition message.
+ */
+
+import GeoPoint from '../geo-point.js';
+import formatUtils from './format-utils.js';
+
+// Global message numbers
+const MESG_FILE_ID = 0;
+const MESG_RECORD = 20;
+const MESG_EVENT = 21;
+const MESG_COURSE = 31;
+const MESG_COURSE_POINT = 32;
+
+// FIT timestamps count seconds from 1989-12-31T00:00:00Z
+const FIT_EPOCH_OFFSET = 631065600;
+
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+// Base type number -> size in bytes, reader and invalid value
+const BASE_TYPES = {
+    0x00: { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0xff }, // enum
+    0x01: { size: 1, read: (view, offset) => view.getInt8(offset), invalid: 0x7f }, // sint8
+    0x02: { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0xff }, // uint8
+    0x83: { size: 2, read: (view, offset, le) => view.getInt16(offset, le), invalid: 0x7fff }, // sint16
+    0x84: { size: 2, read: (view, offset, le) => view.getUint16(offset, le), invalid: 0xffff }, // uint16
+    0x85: { size: 4, read: (view, offset, le) => view.getInt32(offset, le), invalid: 0x7fffffff }, // sint32
+    0x86: { size: 4, read: (view, offset, le) => view.getUint32(offset, le), invalid: 0xffffffff }, // uint32
+    0x88: { size: 4, read: (view, offset, le) => view.getFloat32(offset, le), invalid: null }, // float32
+    0x89: { size: 8, read: (view, offset, le) => view.getFloat64(offset, le), invalid: null }, // float64
+    0x0a: { size: 1, read: (view, offset) => view.getUint8(offset), invalid: 0x00 }, // uint8z
+    0x8b: { size: 2, read: (view, offset, le) => view.getUint16(offset, le), invalid: 0x0000 }, // uint16z
+    0x8c: { size: 4, read: (view, offset, le) => view.getUint32(offset, le), invalid: 0x00000000 } // uint32z
+};
+const BASE_TYPE_STRING = 0x07;
+
+// course_point.type enum
+const COURSE_POINT_TYPES = [
+    'generic', 'summit', 'valley', 'water', 'food', 'danger', 'left', 'right', 'straight',
+    'first_aid', 'fourth_category', 'third_category', 'second_category', 'first_category',
+    'hors_category', 'sprint', 'left_fork', 'right_fork', 'middle_fork', 'slight_left',
+    'sharp_left', 'slight_right', 'sharp_right', 'u_turn', 'segment_start', 'segment_end'
+];
+
+const fitParser = {
+    id: 'fit',
+    name: 'FIT',
+    extensions: ['.fit'],
+    mimeTypes: ['application/vnd.ant.fit'],
+    binary: true,
+
+    /**
+     * Check for the ".FIT" signature in the file header
+     * @param {Uint8Array} bytes - Start of the file content
+     * @returns {boolean} Whether this parser can handle the content
+     */
+    sniff(bytes) {
+        return bytes.length >= 12 &&
+            bytes[8] === 0x2e && bytes[9] === 0x46 && bytes[10] === 0x49 && bytes[11] === 0x54;
+    },
+
+    /**
+     * Parse a FIT file into the internal track model
+     * @param {ArrayBuffer|Uint8Array} buffer - FIT file content
+     * @returns {Object} Parsed metadata, tracks and waypoints
+     */
+    parse(buffer) {
+        const bytes = formatUtils.toBytes(buffer);
+        const messages = this.decode(bytes);
+
+        const fileId = messages.find(message => message.num === MESG_FILE_ID);
+        const course = messages.find(message => message.num === MESG_COURSE);
+
+        // Records become points; a timer stop in an activity starts a new segment
+        let segments = [[]];
+        messages.forEach(message => {
+            if (message.num === MESG_RECORD) {
+                const point = this.recordToGeoPoint(message.fields);
+                if (point) {
+                    segments[segments.length - 1].push(point);
+                }
+            } else if (message.num === MESG_EVENT && this.isTimerStop(message.fields)) {
+                if (segments[segments.length - 1].length > 0) {
+                    segments.push([]);
+                }
+            }
+        });
+
+        const waypoints = messages
+            .filter(message => message.num === MESG_COURSE_POINT)
+            .map(message => {
+                const { fields } = message;
+                const point = this.toGeoPoint(fields[2], fields[3], fields[1]);
+                if (!point) return null;
+
+                return {
+                    point,
+                    name: fields[6] || null,
+                    description: null,
+                    symbol: null,
+                    type: COURSE_POINT_TYPES[fields[5]] || null
+                };
+            })
+            .filter(Boolean);
+
+        // A timer stop after the last record leaves an empty segment behind
+        segments = segments.filter(segment => segment.length > 0);
+
+        // file_id.type: 4 = activity, 6 = course
+        const isCourse = fileId?.fields[0] === 6 || !!course;
+        const name = course?.fields[5] || null;
+
+        return {
+            metadata: {
+                name,
+                description: null
+            },
+            // Without positions, e.g. an indoor ride, there is no track to follow
+            tracks: segments.length === 0 ? [] : [{
+                type: isCourse ? 'route' : 'track',
+                name,
+                description: null,
+                segments
+            }],
+            waypoints
+        };
+    },
+
+    /**
+     * Decode all data messages of a (possibly chained) FIT file
+     * @param {Uint8Array} bytes - FIT file content
+     * @returns {Array<Object>} Messages as { num, fields } keyed by field definition number
+     */
+    decode(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const messages = [];
+        let fileStart = 0;
+
+        while (fileStart + 12 <= bytes.length) {
+            if (!this.sniff(bytes.subarray(fileStart, fileStart + 12))) {
+                if (fileStart === 0) {
+                    throw new Error('Invalid FIT file: missing .FIT signature');
+                }
+                break;
+            }
+
+            const headerSize = view.getUint8(fileStart);
+            const dataSize = view.getUint32(fileStart + 4, true);
+            const dataEnd = Math.min(fileStart + headerSize + dataSize, bytes.length);
+
+            this.decodeRecords(view, fileStart + headerSize, dataEnd, messages);
+
+            // Each file in a chain is followed by a 2 byte CRC
+            fileStart = dataEnd + 2;
+        }
+
+        return messages;
+    },
+
+    /**
+     * Decode the records of a single FIT file
+     * @param {DataView} view - View over the whole content
+     * @param {number} offset - First record offset
+     * @param {number} end - End of the data records
+     * @param {Array<Object>} messages - Output array of decoded messages
+     */
+    decodeRecords(view, offset, end, messages) {
+        const definitions = {};
+        let lastTimestamp = null;
+
+        while (offset < end) {
+            const header = view.getUint8(offset++);
+            let localType;
+            let timeOffset = null;
+
+            if (header & 0x80) {
+                // Compressed timestamp header: always a data message
+                localType = (header >> 5) & 0x03;
+                timeOffset = header & 0x1f;
+            } else if (header & 0x40) {
+                offset = this.readDefinition(view, offset, header, definitions);
+                continue;
+            } else {
+                localType = header & 0x0f;
+            }
+
+            const definition = definitions[localType];
+            if (!definition) {
+                throw new Error(`Invalid FIT file: data message without definition at byte ${offset - 1}`);
+            }
+
+            const fields = {};
+            definition.fields.forEach(field => {
+                const value = this.readField(view, offset, field, definition.littleEndian);
+                if (value !== null) {
+                    fields[field.num] = value;
+                }
+                offset += field.size;
+            });
+
+            // Developer fields are not interpreted, only skipped
+            offset += definition.developerSize;
+
+            if (fields[253] !== undefined) {
+                lastTimestamp = fields[253];
+            } else if (timeOffset !== null && lastTimestamp !== null) {
+                // The 5 bit offset rolls over relative to the last full timestamp
+                let timestamp = (lastTimestamp & ~0x1f) + timeOffset;
+                if (timeOffset < (lastTimestamp & 0x1f)) {
+                    timestamp += 0x20;
+                }
+                lastTimestamp = timestamp;
+                fields[253] = timestamp;
+            }
+
+            messages.push({ num: definition.num, fields });
+        }
+    },
+
+    /**
+     * Read a definition message and register it for its local message type
+     * @param {DataView} view - View over the whole content
+     * @param {number} offset - Offset just after the record header
+     * @param {number} header - Record header byte
+     * @param {Object} definitions - Definitions keyed by local message type
+     * @returns {number} Offset after the definition
+     */
+    readDefinition(view, offset, header, definitions) {
+        const littleEndian = view.getUint8(offset + 1) === 0;
+        const num = view.getUint16(offset + 2, littleEndian);
+        const fieldCount = view.getUint8(offset + 4);
+        offset += 5;
+
+        const fields = [];
+        for (let i = 0; i < fieldCount; i++) {
+            fields.push({
+                num: view.getUint8(offset),
+                size: view.getUint8(offset + 1),
+                baseType: view.getUint8(offset + 2)
+            });
+            offset += 3;
+        }
+
+        let developerSize = 0;
+        if (header & 0x20) {
+            const developerFieldCount = view.getUint8(offset++);
+            for (let i = 0; i < developerFieldCount; i++) {
+                developerSize += view.getUint8(offset + 1);
+                offset += 3;
+            }
+        }
+
+        definitions[header & 0x0f] = { num, littleEndian, fields, developerSize };
+        return offset;
+    },
+
+    /**
+     * Read a single field value
+     * @param {DataView} view - View over the whole content
+     * @param {number} offset - Field offset
+     * @param {Object} field - Field definition
+     * @param {boolean} littleEndian - Message architecture
+     * @returns {number|string|null} Value, or null when invalid or not a scalar
+     */
+    readField(view, offset, field, littleEndian) {
+        if (field.baseType === BASE_TYPE_STRING) {
+            const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, field.size);
+            const end = bytes.indexOf(0);
+            const text = new TextDecoder('utf-8').decode(end === -1 ? bytes : bytes.subarray(0, end));
+            return text || null;
+        }
+
+        // Arrays and unknown types are skipped
+        const type = BASE_TYPES[field.baseType];
+        if (!type || type.size !== field.size) return null;
+
+        const value = type.read(view, offset, littleEndian);
+        if (value === type.invalid || Number.isNaN(value)) return null;
+        return value;
+    },
+
+    /**
+     * Check for a timer stop event (event 0 = timer, event_type 1 = stop, 4 = stop_all)
+     * @param {Object} fields - Event message fields
+     * @returns {boolean} Whether the timer stopped
+     */
+    isTimerStop(fields) {
+        return fields[0] === 0 && (fields[1] === 1 || fields[1] === 4);
+    },
+
+    /**
+     * Create a GeoPoint from a record message
+     * @param {Object} fields - Record message fields
+     * @returns {GeoPoint|null} New GeoPoint instance, or null without a position
+     */
+    recordToGeoPoint(fields) {
+        const options = {};
+
+        // Altitude is stored as (m + 500) * 5, the enhanced field has more range
+        const altitude = fields[78] ?? fields[2];
+        if (altitude !== undefined) {
+            options.altitude = altitude / 5 - 500;
+        }
+
+        // Speed is stored as mm/s
+        const speed = fields[73] ?? fields[6];
+        if (speed !== undefined) {
+            options.speed = speed / 1000;
+        }
+
+        return this.toGeoPoint(fields[0], fields[1], fields[253], options);
+    },
+
+    /**
+     * Create a GeoPoint from FIT position and time values
+     * @param {number|undefined} lat - Latitude in semicircles
+     * @param {number|undefined} lng - Longitude in semicircles
+     * @param {number|undefined} timestamp - FIT timestamp in seconds
+     * @param {Object} options - Additional GeoPoint options
+     * @returns {GeoPoint|null} New GeoPoint instance, or null without a position
+     */
+    toGeoPoint(lat, lng, timestamp, options = {}) {
+        if (lat === undefined || lng === undefined) return null;
+
+        options.timestamp = timestamp !== undefined ? (timestamp + FIT_EPOCH_OFFSET) * 1000 : null;
+
+        return new GeoPoint(lng * SEMICIRCLES_TO_DEGREES, lat * SEMICIRCLES_TO_DEGREES, options);
+    }
+};
+
+export default fitParser;
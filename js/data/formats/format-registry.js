@@ -0,0 +1,102 @@
+/**
+ * format-registry.js
+ * Detects track file formats and normalizes them into the internal track model
+ *
+ * Every parser returns { metadata: { name, description }, tracks, waypoints } where
+ * each track is { type, name, description, segments: [[GeoPoint]] } and each waypoint
+ * is { point, name, description, symbol, type }.
+ */
+
+import formatUtils from './format-utils.js';
+import gpxParser from './gpx-parser.js';
+import kmlParser from './kml-parser.js';
+import kmzParser from './kmz-parser.js';
+import geojsonParser from './geojson-parser.js';
+import tcxParser from './tcx-parser.js';
+import fitParser from './fit-parser.js';
+
+// Bytes looked at when sniffing content
+const SNIFF_LENGTH = 1024;
+
+const formatRegistry = {
+    parsers: [],
+
+    /**
+     * Register a format parser
+     * @param {Object} parser - Parser with id, name, extensions, sniff() and parse()
+     */
+    register(parser) {
+        this.parsers = this.parsers.filter(existing => existing.id !== parser.id);
+        this.parsers.push(parser);
+    },
+
+    /**
+     * Find the parser for some content, by file extension first and content sniffing second
+     * @param {string|ArrayBuffer} content - Raw file content
+     * @param {string|null} filename - Optional file name
+     * @returns {Object|null} Matching parser or null
+     */
+    detect(content, filename = null) {
+        const extension = filename?.toLowerCase().match(/\.[^.]+$/)?.[0];
+        if (extension) {
+            const byExtension = this.parsers.find(parser => parser.extensions.includes(extension));
+            if (byExtension) return byExtension;
+        }
+
+        const head = formatUtils.toBytes(content).subarray(0, SNIFF_LENGTH);
+        const binaryMatch = this.parsers.find(parser => parser.binary && parser.sniff(head));
+        if (binaryMatch) return binaryMatch;
+
+        const text = typeof content === 'string'
+            ? content.slice(0, SNIFF_LENGTH)
+            : formatUtils.toText(head);
+        return this.parsers.find(parser => !parser.binary && parser.sniff(text)) || null;
+    },
+
+    /**
+     * Parse content into the internal track model
+     * @param {string|ArrayBuffer} content - Raw file content
+     * @param {string|null} filename - Optional file name
+     * @returns {Promise<Object>} Parsed data with the detected format id
+     */
+    async parse(content, filename = null) {
+        const parser = this.detect(content, filename);
+        if (!parser) {
+            throw new Error('Unsupported file format');
+        }
+
+        const input = parser.binary ? content : formatUtils.toText(content);
+        const data = await parser.parse(input);
+
+        return {
+            format: parser.id,
+            ...data,
+            tracks: data.tracks
+                .map(track => ({
+                    ...track,
+                    segments: track.segments.filter(segment => segment.length > 0)
+                }))
+                .filter(track => track.segments.length > 0)
+        };
+    },
+
+    /**
+     * Get the value for a file input accept attribute
+     * @returns {string} Comma separated extensions and MIME types
+     */
+    getAcceptedTypes() {
+        return this.parsers
+            .flatMap(parser => [...parser.extensions, ...(parser.mimeTypes || [])])
+            .join(',');
+    }
+};
+
+// Binary formats are registered first so their signatures are checked before text sniffing
+formatRegistry.register(fitParser);
+formatRegistry.register(kmzParser);
+formatRegistry.register(gpxParser);
+formatRegistry.register(kmlParser);
+formatRegistry.register(tcxParser);
+formatRegistry.register(geojsonParser);
+
+export default formatRegistry;
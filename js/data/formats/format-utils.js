@@ -0,0 +1,103 @@
+/**
+ * format-utils.js
+ * Shared helpers for the track format parsers
+ */
+
+const formatUtils = {
+
+    /**
+     * Decode file content to text
+     * @param {string|ArrayBuffer|Uint8Array} content - Raw file content
+     * @returns {string} Decoded UTF-8 text
+     */
+    toText(content) {
+        if (typeof content === 'string') return content;
+        return new TextDecoder('utf-8').decode(content);
+    },
+
+    /**
+     * Get file content as bytes
+     * @param {string|ArrayBuffer|Uint8Array} content - Raw file content
+     * @returns {Uint8Array} Content bytes
+     */
+    toBytes(content) {
+        if (typeof content === 'string') return new TextEncoder().encode(content);
+        if (content instanceof Uint8Array) return content;
+        return new Uint8Array(content);
+    },
+
+    /**
+     * Parse XML text, failing loudly on malformed documents
+     * @param {string} text - XML text
+     * @param {string} formatName - Format name used in error messages
+     * @returns {Document} Parsed document
+     */
+    parseXml(text, formatName) {
+        const doc = new DOMParser().parseFromString(text, 'text/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`Invalid ${formatName} file: malformed XML`);
+        }
+        return doc;
+    },
+
+    /**
+     * Get the direct child elements with a given local name
+     * @param {Element|Document|undefined} element - Parent element
+     * @param {string} localName - Child local name, namespace prefix ignored
+     * @returns {Array<Element>} Matching children
+     */
+    getChildren(element, localName) {
+        if (!element) return [];
+        return Array.from(element.children).filter(node => node.localName === localName);
+    },
+
+    /**
+     * Get the first direct child element with a given local name
+     * @param {Element|Document|undefined} element - Parent element
+     * @param {string} localName - Child local name, namespace prefix ignored
+     * @returns {Element|null} Matching child or null
+     */
+    getChild(element, localName) {
+        return this.getChildren(element, localName)[0] || null;
+    },
+
+    /**
+     * Get the text of a direct child element
+     * @param {Element|Document|undefined} element - Parent element
+     * @param {string} localName - Child local name, namespace prefix ignored
+     * @returns {string|null} Child text or null
+     */
+    getChildText(element, localName) {
+        return this.getChild(element, localName)?.textContent || null;
+    },
+
+    /**
+     * Get all descendant elements with a given local name
+     * @param {Element|Document|undefined} element - Ancestor element
+     * @param {string} localName - Descendant local name, namespace prefix ignored
+     * @returns {Array<Element>} Matching descendants in document order
+     */
+    getDescendants(element, localName) {
+        if (!element) return [];
+        return Array.from(element.getElementsByTagNameNS('*', localName));
+    },
+
+    /**
+     * Decode content kept in a string-only store such as localStorage
+     * @param {string} stored - Text content, or binary content as a base64 data URL
+     * @returns {string|ArrayBuffer} Original content
+     */
+    decodeFromStorage(stored) {
+        const match = /^data:[^,]*;base64,/.exec(stored);
+        if (!match) return stored;
+
+        const binary = atob(stored.slice(match[0].length));
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+};
+
+export default formatUtils;
@@ -0,0 +1,131 @@
+/**
+ * geojson-parser.js
+ * Parses GeoJSON LineString/MultiLineString tracks and Point waypoints
+ */
+
+import GeoPoint from '../geo-point.js';
+
+const geojsonParser = {
+    id: 'geojson',
+    name: 'GeoJSON',
+    extensions: ['.geojson', '.json'],
+    mimeTypes: ['application/geo+json'],
+
+    /**
+     * Check whether text looks like a GeoJSON document
+     * @param {string} text - Start of the file content
+     * @returns {boolean} Whether this parser can handle the content
+     */
+    sniff(text) {
+        return /^\s*\{/.test(text) &&
+            /"type"\s*:\s*"(FeatureCollection|Feature|LineString|MultiLineString|GeometryCollection)"/.test(text);
+    },
+
+    /**
+     * Parse GeoJSON text into the internal track model
+     * @param {string} text - GeoJSON file content
+     * @returns {Object} Parsed metadata, tracks and waypoints
+     */
+    parse(text) {
+        let geojson;
+        try {
+            geojson = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Invalid GeoJSON file: malformed JSON');
+        }
+
+        return this.fromGeoJSON(geojson);
+    },
+
+    /**
+     * Convert a GeoJSON object into the internal track model
+     * @param {Object} geojson - FeatureCollection, Feature or bare geometry
+     * @returns {Object} Parsed metadata, tracks and waypoints
+     */
+    fromGeoJSON(geojson) {
+        const result = {
+            metadata: {
+                name: geojson.name || geojson.properties?.name || null,
+                description: geojson.properties?.description || geojson.properties?.desc || null
+            },
+            tracks: [],
+            waypoints: []
+        };
+
+        const features = geojson.type === 'FeatureCollection'
+            ? geojson.features || []
+            : [geojson.type === 'Feature' ? geojson : { type: 'Feature', geometry: geojson, properties: {} }];
+
+        features.forEach(feature => {
+            this.addGeometry(result, feature.geometry, feature.properties || {});
+        });
+
+        return result;
+    },
+
+    /**
+     * Add a geometry to the parse result
+     * @param {Object} result - Parse result being built
+     * @param {Object|null} geometry - GeoJSON geometry
+     * @param {Object} properties - Properties of the owning feature
+     */
+    addGeometry(result, geometry, properties) {
+        if (!geometry) return;
+
+        switch (geometry.type) {
+            case 'LineString':
+                result.tracks.push(this.createTrack(properties, [geometry.coordinates], [properties.coordTimes]));
+                break;
+            case 'MultiLineString': {
+                // togeojson nests coordTimes per line for multi geometries
+                const times = Array.isArray(properties.coordTimes?.[0]) ? properties.coordTimes : [];
+                result.tracks.push(this.createTrack(properties, geometry.coordinates, times));
+                break;
+            }
+            case 'Point':
+                result.waypoints.push({
+                    point: this.toGeoPoint(geometry.coordinates),
+                    name: properties.name || null,
+                    description: properties.description || properties.desc || null,
+                    symbol: properties.sym || properties['marker-symbol'] || null,
+                    type: properties.type || null
+                });
+                break;
+            case 'GeometryCollection':
+                (geometry.geometries || []).forEach(child => this.addGeometry(result, child, properties));
+                break;
+        }
+    },
+
+    /**
+     * Create a track from line coordinates
+     * @param {Object} properties - Feature properties
+     * @param {Array} lines - Array of coordinate arrays, one per segment
+     * @param {Array} times - Optional per-line arrays of ISO timestamps
+     * @returns {Object} Track in the internal model
+     */
+    createTrack(properties, lines, times = []) {
+        return {
+            type: 'track',
+            name: properties.name || null,
+            description: properties.description || properties.desc || null,
+            segments: lines.map((coordinates, lineIndex) =>
+                coordinates.map((coordinate, i) => this.toGeoPoint(coordinate, times[lineIndex]?.[i]))
+            )
+        };
+    },
+
+    /**
+     * Create a GeoPoint from a GeoJSON position
+     * @param {Array} coordinate - [longitude, latitude, altitude?]
+     * @param {string} time - Optional ISO timestamp
+     * @returns {GeoPoint} New GeoPoint instance
+     */
+    toGeoPoint(coordinate, time) {
+        const options = { timestamp: time ? Date.parse(time) : null };
+        if (Number.isFinite(coordinate[2])) options.altitude = coordinate[2];
+        return new GeoPoint(coordinate[0], coordinate[1], options);
+    }
+};
+
+export default geojsonParser;
@@ -0,0 +1,83 @@
+/**
+ * gpx-parser.js
+ * Parses GPX 1.0/1.1 tracks, routes and waypoints
+ */
+
+import GeoPoint from '../geo-point.js';
+import formatUtils from './format-utils.js';
+
+const gpxParser = {
+    id: 'gpx',
+    name: 'GPX',
+    extensions: ['.gpx'],
+    mimeTypes: ['application/gpx+xml'],
+
+    /**
+     * Check whether text looks like a GPX document
+     * @param {string} text - Start of the file content
+     * @returns {boolean} Whether this parser can handle the content
+     */
+    sniff(text) {
+        return /<gpx[\s>]/.test(text);
+    },
+
+    /**
+     * Parse GPX text into the internal track model
+     * @param {string} text - GPX file content
+     * @returns {Object} Parsed metadata, tracks and waypoints
+     */
+    parse(text) {
+        const gpx = formatUtils.parseXml(text, 'GPX');
+
+        const toGeoPoint = point => {
+            const lat = parseFloat(point.getAttribute('lat'));
+            const lon = parseFloat(point.getAttribute('lon'));
+            const elevation = parseFloat(formatUtils.getChildText(point, 'ele'));
+            const time = formatUtils.getChildText(point, 'time');
+
+            return new GeoPoint(lon, lat, {
+                altitude: Number.isFinite(elevation) ? elevation : null,
+                timestamp: time ? Date.parse(time) : null
+            });
+        };
+
+        // Extract every <trk> with its <trkseg> segments kept apart
+        const tracks = formatUtils.getDescendants(gpx, 'trk').map(trackElement => ({
+            type: 'track',
+            name: formatUtils.getChildText(trackElement, 'name'),
+            description: formatUtils.getChildText(trackElement, 'desc'),
+            segments: formatUtils.getChildren(trackElement, 'trkseg')
+                .map(segment => formatUtils.getChildren(segment, 'trkpt').map(toGeoPoint))
+        }));
+
+        // Routes are followed like single-segment tracks
+        const routes = formatUtils.getDescendants(gpx, 'rte').map(routeElement => ({
+            type: 'route',
+            name: formatUtils.getChildText(routeElement, 'name'),
+            description: formatUtils.getChildText(routeElement, 'desc'),
+            segments: [formatUtils.getChildren(routeElement, 'rtept').map(toGeoPoint)]
+        }));
+
+        // Waypoints are points of interest, not part of the track
+        const waypoints = formatUtils.getDescendants(gpx, 'wpt').map(waypointElement => ({
+            point: toGeoPoint(waypointElement),
+            name: formatUtils.getChildText(waypointElement, 'name'),
+            description: formatUtils.getChildText(waypointElement, 'desc'),
+            symbol: formatUtils.getChildText(waypointElement, 'sym'),
+            type: formatUtils.getChildText(waypointElement, 'type')
+        }));
+
+        const metadataElement = formatUtils.getDescendants(gpx, 'metadata')[0];
+
+        return {
+            metadata: {
+                name: formatUtils.getChildText(metadataElement, 'name'),
+                description: formatUtils.getChildText(metadataElement, 'desc')
+            },
+            tracks: [...tracks, ...routes],
+            waypoints
+        };
+    }
+};
+
+export default gpxParser;
@@ -0,0 +1,71 @@
+/**
+ * gpx-writer.js
+ * Writes recorded activities as GPX 1.1 tracks
+ */
+
+const gpxWriter = {
+    mimeType: 'application/gpx+xml',
+    extension: '.gpx',
+
+    /**
+     * Write an activity as a GPX document
+     * @param {Object} activity - Activity with name and startedAt
+     * @param {Array<Array<Object>>} segments - Recorded points per segment, as { lng, lat, altitude, time }
+     * @returns {string} GPX 1.1 document
+     */
+    write(activity, segments) {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="GPX Navigator" xmlns="http://www.topografix.com/GPX/1/1" ' +
+                'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+                'xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">',
+            '  <metadata>',
+            `    <name>${this.escape(activity.name)}</name>`,
+            `    <time>${new Date(activity.startedAt).toISOString()}</time>`,
+            '  </metadata>',
+            '  <trk>',
+            `    <name>${this.escape(activity.name)}</name>`
+        ];
+
+        segments.forEach(points => {
+            lines.push('    <trkseg>');
+            points.forEach(point => lines.push(this.writePoint(point)));
+            lines.push('    </trkseg>');
+        });
+
+        lines.push('  </trk>', '</gpx>', '');
+        return lines.join('\n');
+    },
+
+    /**
+     * Write a track point
+     * @param {Object} point - Recorded point
+     * @returns {string} trkpt element, on one line
+     */
+    writePoint(point) {
+        // Elements must follow the order of the GPX schema: ele before time
+        const children = [];
+        if (point.altitude !== null && point.altitude !== undefined) {
+            children.push(`<ele>${point.altitude.toFixed(1)}</ele>`);
+        }
+        children.push(`<time>${new Date(point.time).toISOString()}</time>`);
+
+        return `      <trkpt lat="${point.lat.toFixed(7)}" lon="${point.lng.toFixed(7)}">${children.join('')}</trkpt>`;
+    },
+
+    /**
+     * Escape text for use in XML
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+};
+
+export default gpxWriter;
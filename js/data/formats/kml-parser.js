@@ -0,0 +1,48 @@
+/**
+ * kml-parser.js
+ * Parses KML placemarks through the bundled togeojson library
+ */
+
+import formatUtils from './format-utils.js';
+import geojsonParser from './geojson-parser.js';
+
+const kmlParser = {
+    id: 'kml',
+    name: 'KML',
+    extensions: ['.kml'],
+    mimeTypes: ['application/vnd.google-earth.kml+xml'],
+
+    /**
+     * Check whether text looks like a KML document
+     * @param {string} text - Start of the file content
+     * @returns {boolean} Whether this parser can handle the content
+     */
+    sniff(text) {
+        return /<kml[\s>]/.test(text);
+    },
+
+    /**
+     * Parse KML text into the internal track model
+     * @param {string} text - KML file content
+     * @returns {Object} Parsed metadata, tracks and waypoints
+     */
+    parse(text) {
+        // togeojson is loaded as a classic script in index.html
+        if (typeof toGeoJSON === 'undefined') {
+            throw new Error('KML support is not available');
+        }
+
+        const kml = formatUtils.parseXml(text, 'KML');
+        const result = geojsonParser.fromGeoJSON(toGeoJSON.kml(kml));
+
+        const documentElement = formatUtils.getDescendants(kml, 'Document')[0];
+        result.metadata = {
+            name: formatUtils.getChildText(documentElement, 'name'),
+            description: formatUtils.getChildText(documentElement, 'description')
+        };
+
+        return result;
+    }
+};
+
+export default kmlParser;
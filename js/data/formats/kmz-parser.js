@@ -0,0 +1,48 @@
+/**
+ * kmz-parser.js
+ * Parses KMZ archives by extracting their main KML document
+ */
+
+import formatUtils from './format-utils.js';
+import kmlParser from './kml-parser.js';
+import zipReader from './zip-reader.js';
+
+const kmzParser = {
+    id: 'kmz',
+    name: 'KMZ',
+    extensions: ['.kmz'],
+    mimeTypes: ['application/vnd.google-earth.kmz'],
+    binary: true,
+
+    /**
+     * Check whether bytes look like a KMZ archive
+     * @param {Uint8Array} bytes - Start of the file content
+     * @returns {boolean} Whether this parser can handle the content
+     */
+    sniff(bytes) {
+        return zipReader.isZip(bytes);
+    },
+
+    /**
+     * Parse a KMZ archive into the internal track model
+     * @param {ArrayBuffer} buffer - KMZ file content
+     * @returns {Promise<Object>} Parsed metadata, tracks and waypoints
+     */
+    async parse(buffer) {
+        const bytes = formatUtils.toBytes(buffer);
+        const kmlEntries = zipReader.readEntries(bytes)
+            .filter(entry => entry.name.toLowerCase().endsWith('.kml'));
+
+        if (kmlEntries.length === 0) {
+            throw new Error('No KML document found in KMZ file');
+        }
+
+        // By convention the main document is doc.kml at the archive root
+        const mainEntry = kmlEntries.find(entry => entry.name.toLowerCase() === 'doc.kml') || kmlEntries[0];
+        const kml = await zipReader.extract(bytes, mainEntry);
+
+        return kmlParser.parse(formatUtils.toText(kml));
+    }
+};
+
+export default kmzParser;
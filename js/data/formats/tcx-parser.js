@@ -0,0 +1,108 @@
+/**
+ * tcx-parser.js
+ * Parses Garmin Training Center (TCX) courses and activities
+ */
+
+import GeoPoint from '../geo-point.js';
+import formatUtils from './format-utils.js';
+
+const tcxParser = {
+    id: 'tcx',
+    name: 'TCX',
+    extensions: ['.tcx'],
+    mimeTypes: ['application/vnd.garmin.tcx+xml'],
+
+    /**
+     * Check whether text looks like a TCX document
+     * @param {string} text - Start of the file content
+     * @returns {boolean} Whether this parser can handle the content
+     */
+    sniff(text) {
+        return /<TrainingCenterDatabase[\s>]/.test(text);
+    },
+
+    /**
+     * Parse TCX text into the internal track model
+     * @param {string} text - TCX file content
+     * @returns {Object} Parsed metadata, tracks and waypoints
+     */
+    parse(text) {
+        const tcx = formatUtils.parseXml(text, 'TCX');
+
+        // Courses are planned routes, each <Track> becomes a segment
+        const courses = formatUtils.getDescendants(tcx, 'Course').map(course => ({
+            type: 'track',
+            name: formatUtils.getChildText(course, 'Name'),
+            description: formatUtils.getChildText(course, 'Notes'),
+            segments: formatUtils.getChildren(course, 'Track').map(track => this.parseTrack(track))
+        }));
+
+        // Activities are recorded rides, split into laps that each hold tracks
+        const activities = formatUtils.getDescendants(tcx, 'Activity').map(activity => ({
+            type: 'track',
+            name: formatUtils.getChildText(activity, 'Id'),
+            description: formatUtils.getChildText(activity, 'Notes'),
+            segments: formatUtils.getChildren(activity, 'Lap')
+                .flatMap(lap => formatUtils.getChildren(lap, 'Track'))
+                .map(track => this.parseTrack(track))
+        }));
+
+        const waypoints = formatUtils.getDescendants(tcx, 'CoursePoint')
+            .map(coursePoint => {
+                const point = this.toGeoPoint(coursePoint);
+                if (!point) return null;
+
+                return {
+                    point,
+                    name: formatUtils.getChildText(coursePoint, 'Name'),
+                    description: formatUtils.getChildText(coursePoint, 'Notes'),
+                    symbol: null,
+                    type: formatUtils.getChildText(coursePoint, 'PointType')
+                };
+            })
+            .filter(Boolean);
+
+        return {
+            metadata: {
+                name: null,
+                description: null
+            },
+            tracks: [...courses, ...activities],
+            waypoints
+        };
+    },
+
+    /**
+     * Parse the trackpoints of a <Track>, skipping those without a position
+     * @param {Element} track - Track element
+     * @returns {Array<GeoPoint>} Track points
+     */
+    parseTrack(track) {
+        return formatUtils.getChildren(track, 'Trackpoint')
+            .map(trackpoint => this.toGeoPoint(trackpoint))
+            .filter(Boolean);
+    },
+
+    /**
+     * Create a GeoPoint from an element holding Position, AltitudeMeters and Time
+     * @param {Element} element - Trackpoint or CoursePoint element
+     * @returns {GeoPoint|null} New GeoPoint instance, or null without a position
+     */
+    toGeoPoint(element) {
+        const position = formatUtils.getChild(element, 'Position');
+        if (!position) return null;
+
+        const lat = parseFloat(formatUtils.getChildText(position, 'LatitudeDegrees'));
+        const lon = parseFloat(formatUtils.getChildText(position, 'LongitudeDegrees'));
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+
+        const time = formatUtils.getChildText(element, 'Time');
+        const options = { timestamp: time ? Date.parse(time) : null };
+        const altitude = parseFloat(formatUtils.getChildText(element, 'AltitudeMeters'));
+        if (Number.isFinite(altitude)) options.altitude = altitude;
+
+        return new GeoPoint(lon, lat, options);
+    }
+};
+
+export default tcxParser;
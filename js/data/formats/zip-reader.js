@@ -0,0 +1,96 @@
+/**
+ * zip-reader.js
+ * Minimal ZIP archive reader for KMZ files (stored and deflated entries)
+ */
+
+const zipReader = {
+
+    /**
+     * Check for the ZIP local file header signature
+     * @param {Uint8Array} bytes - File content
+     * @returns {boolean} Whether the content is a ZIP archive
+     */
+    isZip(bytes) {
+        return bytes.length >= 4 &&
+            bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+    },
+
+    /**
+     * List the entries of an archive from its central directory
+     * @param {Uint8Array} bytes - Archive content
+     * @returns {Array<Object>} Entries with name, method, sizes and local header offset
+     */
+    readEntries(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        // The end of central directory record sits after an optional comment of up to 64 KB
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) {
+            throw new Error('Invalid ZIP archive: central directory not found');
+        }
+
+        const entryCount = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder('utf-8');
+        const entries = [];
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Invalid ZIP archive: corrupt central directory');
+            }
+
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+
+            entries.push({
+                name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                uncompressedSize: view.getUint32(offset + 24, true),
+                localHeaderOffset: view.getUint32(offset + 42, true)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    },
+
+    /**
+     * Extract the content of one entry
+     * @param {Uint8Array} bytes - Archive content
+     * @param {Object} entry - Entry returned by readEntries
+     * @returns {Promise<Uint8Array>} Uncompressed entry content
+     */
+    async extract(bytes, entry) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const offset = entry.localHeaderOffset;
+
+        if (view.getUint32(offset, true) !== 0x04034b50) {
+            throw new Error(`Invalid ZIP archive: corrupt entry ${entry.name}`);
+        }
+
+        const dataStart = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+
+        switch (entry.method) {
+            case 0: // Stored
+                return data;
+            case 8: { // Deflated
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                return new Uint8Array(await new Response(stream).arrayBuffer());
+            }
+            default:
+                throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+        }
+    }
+};
+
+export default zipReader;
@@ -13,13 +13,17 @@ class GeoPoint {
     constructor(lng, lat, options = {}) {
         this.lng = lng;
         this.lat = lat;
-        this.timestamp = options.timestamp || Date.now();
+        // Track points without a recorded time keep an explicit null timestamp
+        this.timestamp = options.timestamp !== undefined ? options.timestamp : Date.now();
         this.distanceFromStart = options.distanceFromStart || 0;
         this.remainingDistance = options.remainingDistance || 0;
         this.heading = options.heading || null;
         this.accuracy = options.accuracy || null;
-        this.altitude = options.altitude || null;
+        this.altitude = options.altitude ?? null;
         this.speed = options.speed || null;
+        this.segmentIndex = options.segmentIndex || 0;
+        this.ascentFromStart = options.ascentFromStart || 0;
+        this.descentFromStart = options.descentFromStart || 0;
     }
 
     /**
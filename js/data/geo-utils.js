@@ -62,6 +62,106 @@ const geoUtils = {
 
         const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
         return R * c;
+    },
+
+    /**
+     * Normalizes a point to an object with lng and lat in radians
+     * @param {Array|Object} point - Point as [longitude, latitude] or {lng, lat}
+     * @returns {Object} Point as {λ, φ} in radians
+     */
+    toRadians(point) {
+        const lng = Array.isArray(point) ? point[0] : point.lng;
+        const lat = Array.isArray(point) ? point[1] : point.lat;
+        return { λ: lng * Math.PI / 180, φ: lat * Math.PI / 180 };
+    },
+
+    /**
+     * Calculates the point a fraction of the way along the great circle between two points
+     * @param {Array|Object} start - Starting point as [longitude, latitude] or {lng, lat}
+     * @param {Array|Object} end - Ending point in same format as start
+     * @param {number} fraction - Position between the points (0-1)
+     * @returns {Object} Point as {lng, lat}
+     */
+    calculateIntermediatePoint(start, end, fraction) {
+        const { λ: λ1, φ: φ1 } = this.toRadians(start);
+        const { λ: λ2, φ: φ2 } = this.toRadians(end);
+
+        // Angular distance between the points
+        const δ = this.calculateDistance(start, end) / 6371e3;
+        if (δ === 0) {
+            return { lng: λ1 * 180 / Math.PI, lat: φ1 * 180 / Math.PI };
+        }
+
+        const a = Math.sin((1 - fraction) * δ) / Math.sin(δ);
+        const b = Math.sin(fraction * δ) / Math.sin(δ);
+
+        const x = a * Math.cos(φ1) * Math.cos(λ1) + b * Math.cos(φ2) * Math.cos(λ2);
+        const y = a * Math.cos(φ1) * Math.sin(λ1) + b * Math.cos(φ2) * Math.sin(λ2);
+        const z = a * Math.sin(φ1) + b * Math.sin(φ2);
+
+        return {
+            lng: Math.atan2(y, x) * 180 / Math.PI,
+            lat: Math.atan2(z, Math.sqrt(x * x + y * y)) * 180 / Math.PI
+        };
+    },
+
+    /**
+     * Calculates the point reached by travelling a distance on a bearing
+     * @param {Array|Object} start - Starting point as [longitude, latitude] or {lng, lat}
+     * @param {number} bearing - Initial bearing in degrees (0-360)
+     * @param {number} distance - Distance in meters
+     * @returns {Object} Point as {lng, lat}
+     */
+    calculateDestination(start, bearing, distance) {
+        const { λ: λ1, φ: φ1 } = this.toRadians(start);
+        const θ = bearing * Math.PI / 180;
+        const δ = distance / 6371e3; // Angular distance
+
+        const φ2 = Math.asin(Math.sin(φ1) * Math.cos(δ) +
+            Math.cos(φ1) * Math.sin(δ) * Math.cos(θ));
+        const λ2 = λ1 + Math.atan2(Math.sin(θ) * Math.sin(δ) * Math.cos(φ1),
+            Math.cos(δ) - Math.sin(φ1) * Math.sin(φ2));
+
+        return {
+            lng: ((λ2 * 180 / Math.PI) + 540) % 360 - 180, // Normalize to -180..180
+            lat: φ2 * 180 / Math.PI
+        };
+    },
+
+    /**
+     * Calculates the distance of a point from the great circle through two points
+     * @param {Array|Object} point - Point as [longitude, latitude] or {lng, lat}
+     * @param {Array|Object} start - Start of the path in same format as point
+     * @param {Array|Object} end - End of the path in same format as point
+     * @returns {number} Distance in meters, negative when the point is left of the path
+     */
+    calculateCrossTrackDistance(point, start, end) {
+        const R = 6371e3;
+        const δ13 = this.calculateDistance(start, point) / R;
+        const θ13 = this.calculateBearing(start, point) * Math.PI / 180;
+        const θ12 = this.calculateBearing(start, end) * Math.PI / 180;
+
+        return Math.asin(Math.sin(δ13) * Math.sin(θ13 - θ12)) * R;
+    },
+
+    /**
+     * Calculates how far along the path from start towards end a point lies
+     * @param {Array|Object} point - Point as [longitude, latitude] or {lng, lat}
+     * @param {Array|Object} start - Start of the path in same format as point
+     * @param {Array|Object} end - End of the path in same format as point
+     * @returns {number} Distance in meters from start to the point's foot on the path,
+     *                   negative when the point lies behind start
+     */
+    calculateAlongTrackDistance(point, start, end) {
+        const R = 6371e3;
+        const δ13 = this.calculateDistance(start, point) / R;
+        const θ13 = this.calculateBearing(start, point) * Math.PI / 180;
+        const θ12 = this.calculateBearing(start, end) * Math.PI / 180;
+        const δxt = Math.asin(Math.sin(δ13) * Math.sin(θ13 - θ12));
+
+        // Clamp against rounding errors for points on the path
+        const cosine = Math.max(-1, Math.min(1, Math.cos(δ13) / Math.cos(δxt)));
+        return Math.acos(cosine) * Math.sign(Math.cos(θ12 - θ13)) * R;
     }
 };
 
@@ -0,0 +1,149 @@
+/**
+ * kalman-filter.js
+ * Constant velocity Kalman filter for smoothing GPS positions
+ */
+
+const METERS_PER_DEGREE = 6371e3 * Math.PI / 180;
+
+class KalmanFilter {
+    /**
+     * Create a filter
+     * @param {Object} options - Filter tuning
+     * @param {number} options.accelerationNoise - m/s², how quickly the speed is expected to change
+     * @param {number} options.initialSpeedUncertainty - m/s, how little is known of the speed at the first fix
+     */
+    constructor({ accelerationNoise, initialSpeedUncertainty }) {
+        this.accelerationNoise = accelerationNoise;
+        this.initialSpeedUncertainty = initialSpeedUncertainty;
+        this.reset();
+    }
+
+    /**
+     * Forget the state, the next fix starts over
+     */
+    reset() {
+        this.origin = null; // { lng, lat, metersPerDegreeLng } the local plane is centered on
+        this.state = null; // { x, y, vx, vy } in meters and m/s east and north of the origin
+        this.timestamp = null;
+
+        // East and north get the same noise, so they share one covariance
+        this.covariance = null; // { pp, pv, vv } position and velocity (co)variances
+    }
+
+    /**
+     * Check whether the filter has a state yet
+     * @returns {boolean} Whether a fix was filtered since the last reset
+     */
+    isInitialized() {
+        return this.state !== null;
+    }
+
+    /**
+     * Filter a position
+     * @param {GeoPoint} point - Measured position with timestamp
+     * @param {number} accuracy - Measurement accuracy in meters (standard deviation)
+     * @returns {Object} Estimate as { lng, lat, accuracy, speed }
+     */
+    update(point, accuracy) {
+        const variance = accuracy * accuracy;
+
+        if (!this.isInitialized()) {
+            this.origin = {
+                lng: point.lng,
+                lat: point.lat,
+                metersPerDegreeLng: METERS_PER_DEGREE * Math.cos(point.lat * Math.PI / 180)
+            };
+            this.state = { x: 0, y: 0, vx: 0, vy: 0 };
+            this.covariance = {
+                pp: variance,
+                pv: 0,
+                vv: this.initialSpeedUncertainty * this.initialSpeedUncertainty
+            };
+            this.timestamp = point.timestamp;
+            return this.getEstimate();
+        }
+
+        const dt = Math.max(0, (point.timestamp - this.timestamp) / 1000);
+        this.timestamp = point.timestamp;
+
+        this.predict(dt);
+        this.correct(this.toPlane(point), variance);
+
+        return this.getEstimate();
+    }
+
+    /**
+     * Move the state forward in time at constant velocity
+     * @param {number} dt - Seconds since the last fix
+     */
+    predict(dt) {
+        const { pp, pv, vv } = this.covariance;
+        const q = this.accelerationNoise * this.accelerationNoise;
+
+        this.state.x += this.state.vx * dt;
+        this.state.y += this.state.vy * dt;
+
+        // P = F P Fᵀ + Q, with Q for a random acceleration between fixes
+        this.covariance = {
+            pp: pp + 2 * dt * pv + dt * dt * vv + q * dt ** 4 / 4,
+            pv: pv + dt * vv + q * dt ** 3 / 2,
+            vv: vv + q * dt * dt
+        };
+    }
+
+    /**
+     * Blend a measured position into the state
+     * @param {Object} measurement - Position as { x, y } in the local plane
+     * @param {number} variance - Measurement variance in m²
+     */
+    correct(measurement, variance) {
+        const { pp, pv, vv } = this.covariance;
+
+        const innovationVariance = pp + variance;
+        const positionGain = pp / innovationVariance;
+        const velocityGain = pv / innovationVariance;
+
+        const dx = measurement.x - this.state.x;
+        const dy = measurement.y - this.state.y;
+
+        this.state.x += positionGain * dx;
+        this.state.y += positionGain * dy;
+        this.state.vx += velocityGain * dx;
+        this.state.vy += velocityGain * dy;
+
+        this.covariance = {
+            pp: (1 - positionGain) * pp,
+            pv: (1 - positionGain) * pv,
+            vv: vv - velocityGain * pv
+        };
+    }
+
+    /**
+     * Project a point onto the local plane
+     * @param {Object} point - Point with lng and lat
+     * @returns {Object} Position as { x, y } in meters
+     */
+    toPlane(point) {
+        return {
+            x: (point.lng - this.origin.lng) * this.origin.metersPerDegreeLng,
+            y: (point.lat - this.origin.lat) * METERS_PER_DEGREE
+        };
+    }
+
+    /**
+     * Get the current estimate
+     * @returns {Object} Estimate as { lng, lat, accuracy, speed }
+     */
+    getEstimate() {
+        const { x, y, vx, vy } = this.state;
+
+        return {
+            lng: this.origin.lng + x / this.origin.metersPerDegreeLng,
+            lat: this.origin.lat + y / METERS_PER_DEGREE,
+            accuracy: Math.sqrt(this.covariance.pp),
+            speed: Math.hypot(vx, vy)
+        };
+    }
+}
+
+export default KalmanFilter;
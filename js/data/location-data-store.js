@@ -5,11 +5,14 @@
 
 import GeoPoint from './geo-point.js';
 import geoUtils from './geo-utils.js';
+import LocationFilter from './location-filter.js';
 import config from '../core/config.js';
 
 class LocationDataStore {
     constructor(eventBus) {
         this.eventBus = eventBus;
+        this.filter = new LocationFilter();
+        this.updateInterval = config.location.tracking.updateInterval; // Set by the adaptive sampling
         this.reset();
         this.setupEventListeners();
     }
@@ -27,9 +30,12 @@ class LocationDataStore {
         this.lastUpdateTime = 0;
 
         // Timed update system (like legacy)
-        this.latestGPSLocation = null; // Store latest GPS reading
+        this.latestGPSLocation = null; // Store latest GPS reading, filtered and smoothed
+        this.latestRawLocation = null; // Latest fix as the GPS gave it, for debugging
         this.lastMapUpdateLocation = null; // Last location sent to map
 
+        this.filter.reset();
+
         // Clear timer
         this.stopUpdateCycle();
     }
@@ -41,6 +47,7 @@ class LocationDataStore {
         this.eventBus.on('location:raw-update', this.handleRawLocationUpdate, this);
         this.eventBus.on('location:start-tracking', this.handleStartTracking, this);
         this.eventBus.on('location:stop-tracking', this.handleStopTracking, this);
+        this.eventBus.on('location:sampling-changed', this.handleSamplingChanged, this);
     }
 
     /**
@@ -54,10 +61,28 @@ class LocationDataStore {
 
         // Create GeoPoint from position
         const geoPoint = GeoPoint.fromPosition(position);
+        this.latestRawLocation = geoPoint;
+
+        // Drop cell tower fixes and jumps, smooth the rest
+        const { location, reason } = this.filter.process(geoPoint);
+        if (!location) {
+            this.eventBus.emit('location:fix-rejected', {
+                location: geoPoint,
+                reason
+            });
+            return;
+        }
+
+        // Store latest GPS reading (like legacy currentLocation), with the accuracy of the smoothed position
+        this.latestGPSLocation = location;
+        this.accuracy = location.accuracy;
 
-        // Store latest GPS reading (like legacy currentLocation)
-        this.latestGPSLocation = geoPoint;
-        this.accuracy = geoPoint.accuracy;
+        // Unlike location:updated, which follows the update interval, this fires for every fix kept
+        this.eventBus.emit('location:fix-accepted', {
+            location,
+            accuracy: this.accuracy,
+            rawLocation: geoPoint
+        });
     }
 
     /**
@@ -65,6 +90,7 @@ class LocationDataStore {
      */
     handleStartTracking() {
         this.isTracking = true;
+        this.filter.reset(); // Fixes from before tracking stopped say little about where we are now
         this.startUpdateCycle(); // Start timed updates like legacy
         this.eventBus.emit('location:tracking-started');
     }
@@ -78,6 +104,19 @@ class LocationDataStore {
         this.eventBus.emit('location:tracking-stopped');
     }
 
+    /**
+     * Handle sampling change - send updates at the new interval, filter for the new accuracy
+     * @param {Object} data - Contains interval and highAccuracy
+     */
+    handleSamplingChanged(data) {
+        this.updateInterval = data.interval;
+        this.filter.setHighAccuracy(data.highAccuracy);
+
+        if (this.isTracking) {
+            this.startUpdateCycle();
+        }
+    }
+
     /**
      * Start the timed update cycle (like legacy)
      */
@@ -87,10 +126,10 @@ class LocationDataStore {
             clearInterval(this.updateTimer);
         }
 
-        // Start new update cycle every 5 seconds like legacy
+        // Start new update cycle, every 5 seconds like legacy unless the sampling adapted
         this.updateTimer = setInterval(() => {
             this.updateMapWithCurrentLocation();
-        }, config.location.tracking.updateInterval);
+        }, this.updateInterval);
     }
 
     /**
@@ -149,6 +188,7 @@ class LocationDataStore {
             previousLocation: this.previousLocation,
             heading: heading, // Use calculated heading, not stored heading
             accuracy: this.accuracy,
+            rawLocation: this.latestRawLocation,
             timestamp: this.lastUpdateTime
         });
     }
@@ -163,6 +203,7 @@ class LocationDataStore {
             previousLocation: this.previousLocation,
             heading: this.heading,
             accuracy: this.accuracy,
+            rawLocation: this.latestRawLocation,
             isTracking: this.isTracking,
             lastUpdateTime: this.lastUpdateTime,
             locationHistory: [...this.locationHistory] // Return copy
@@ -0,0 +1,145 @@
+/**
+ * location-filter.js
+ * Drops unusable GPS fixes and smooths the rest before they reach the map and progress
+ */
+
+import config from '../core/config.js';
+import GeoPoint from './geo-point.js';
+import KalmanFilter from './kalman-filter.js';
+
+class LocationFilter {
+    /**
+     * Create a filter
+     * @param {Object} options - Thresholds, see config.location.filter
+     */
+    constructor(options = config.location.filter) {
+        this.options = options;
+        this.maxAccuracy = options.maxAccuracy;
+        this.kalman = new KalmanFilter(options.kalman);
+        this.reset();
+    }
+
+    /**
+     * Forget earlier fixes, the next fix is taken as it is
+     */
+    reset() {
+        this.lastAccepted = null;
+        this.speedRejections = 0;
+        this.clearRoughFixes();
+        this.kalman.reset();
+    }
+
+    /**
+     * Forget the fixes dropped for their accuracy
+     */
+    clearRoughFixes() {
+        this.roughSince = null; // Time of the first rough fix since the last accepted fix
+        this.bestRough = null; // Most accurate rough fix since then
+    }
+
+    /**
+     * Follow the accuracy mode of the GPS
+     * @param {boolean} highAccuracy - False when the GPS may answer with network positions
+     */
+    setHighAccuracy(highAccuracy) {
+        // Wi-Fi and cell tower positions are seldom within maxAccuracy, dropping them all would freeze the location
+        this.maxAccuracy = highAccuracy ? this.options.maxAccuracy : this.options.maxLowAccuracy;
+    }
+
+    /**
+     * Filter a fix
+     * @param {GeoPoint} fix - Raw fix from the GPS
+     * @returns {Object} { location, reason }: the smoothed location, or null and why the fix was dropped
+     */
+    process(fix) {
+        // After a long gap earlier fixes say little about this one
+        if (this.lastAccepted && fix.timestamp - this.lastAccepted.timestamp > this.options.maxGap) {
+            this.reset();
+        }
+
+        const reason = this.check(fix);
+
+        const isNewer = !this.lastAccepted || fix.timestamp > this.lastAccepted.timestamp;
+        if (reason === 'accuracy' && isNewer) {
+            if (!this.bestRough || fix.accuracy <= this.bestRough.accuracy) {
+                this.bestRough = fix;
+            }
+            this.roughSince = this.roughSince ?? fix.timestamp;
+
+            // Where the GPS does no better, e.g. indoors or on Wi-Fi positioning, a rough location beats none
+            if (fix.timestamp - this.roughSince >= this.options.maxAccuracyWait) {
+                return this.accept(this.bestRough);
+            }
+        }
+
+        if (reason === 'speed') {
+            this.speedRejections++;
+
+            // A real move the filter keeps refusing, e.g. after a train ride with the app asleep
+            if (this.speedRejections >= this.options.maxConsecutiveRejections) {
+                this.reset();
+                return this.accept(fix);
+            }
+        }
+
+        if (reason) {
+            return { location: null, reason };
+        }
+
+        return this.accept(fix);
+    }
+
+    /**
+     * Check a fix's accuracy and compare it with the last accepted one
+     * @param {GeoPoint} fix - Raw fix
+     * @returns {string|null} 'accuracy', 'duplicate' or 'speed' when the fix is unusable
+     */
+    check(fix) {
+        // A cell tower fix is no start either, the first fix and the first after a reset included
+        if (fix.accuracy !== null && fix.accuracy > this.maxAccuracy) return 'accuracy';
+
+        const last = this.lastAccepted;
+
+        // Without an earlier fix to compare with, a fix accurate enough beats none
+        if (!last) return null;
+
+        const duration = (fix.timestamp - last.timestamp) / 1000;
+        if (duration <= 0) return 'duplicate';
+
+        // Both fixes may be off by their accuracy, only count the distance beyond that
+        const distance = fix.distanceTo(last) - (fix.accuracy || 0) - (last.accuracy || 0);
+        if (distance / duration > this.options.maxSpeed) return 'speed';
+
+        return null;
+    }
+
+    /**
+     * Accept a fix and smooth it
+     * @param {GeoPoint} fix - Raw fix
+     * @returns {Object} { location, reason } with the smoothed location
+     */
+    accept(fix) {
+        this.lastAccepted = fix;
+        this.speedRejections = 0;
+        this.clearRoughFixes();
+
+        if (!this.options.kalman.enabled) {
+            return { location: fix, reason: null };
+        }
+
+        const accuracy = fix.accuracy || this.options.maxAccuracy;
+        const estimate = this.kalman.update(fix, accuracy);
+
+        return {
+            location: new GeoPoint(estimate.lng, estimate.lat, {
+                timestamp: fix.timestamp,
+                accuracy: estimate.accuracy,
+                altitude: fix.altitude,
+                speed: fix.speed ?? estimate.speed
+            }),
+            reason: null
+        };
+    }
+}
+
+export default LocationFilter;
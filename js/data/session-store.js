@@ -0,0 +1,161 @@
+/**
+ * session-store.js
+ * Keeps the state of the ride in localStorage, so it can be resumed after the app was killed
+ */
+
+import config from '../core/config.js';
+
+class SessionStore {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.saved = this.load(); // Session left by the previous run, until it is resumed or replaced
+        this.session = this.createSession();
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('library:active-track-changed', this.handleActiveTrackChanged, this);
+        this.eventBus.on('track:cleared', this.handleTrackCleared, this);
+        this.eventBus.on('progress:updated', this.handleProgressUpdate, this);
+        this.eventBus.on('map:zoom-changed', this.handleZoomChanged, this);
+        this.eventBus.on('recording:state-changed', this.handleRecordingStateChanged, this);
+        this.eventBus.on('ui:wake-lock-changed', this.handleWakeLockChanged, this);
+    }
+
+    /**
+     * Create an empty session
+     * @returns {Object} Session state
+     */
+    createSession() {
+        return {
+            trackId: null,
+            match: null, // { index, distanceFromStart, time, startedAt } of the last progress update
+            zoomOffset: config.map.zoomOffset.default,
+            recording: null, // { activityId, state } while recording or paused
+            wakeLock: false,
+            savedAt: null
+        };
+    }
+
+    /**
+     * Handle active track change
+     * @param {Object} data - Contains id of the library entry
+     */
+    handleActiveTrackChanged(data) {
+        if (data.id !== this.session.trackId) {
+            this.session.match = null;
+        }
+        this.update({ trackId: data.id });
+    }
+
+    /**
+     * Handle track cleared
+     */
+    handleTrackCleared() {
+        this.update({ trackId: null, match: null, wakeLock: false });
+    }
+
+    /**
+     * Handle progress update
+     * @param {Object} data - Progress data
+     */
+    handleProgressUpdate(data) {
+        const now = Date.now();
+        this.update({
+            match: {
+                index: data.pointIndex,
+                distanceFromStart: data.distanceFromStart,
+                time: now,
+                startedAt: now - data.elapsedTime * 1000
+            }
+        });
+    }
+
+    /**
+     * Handle zoom offset change
+     * @param {Object} data - Contains zoomOffset
+     */
+    handleZoomChanged(data) {
+        this.update({ zoomOffset: data.zoomOffset });
+    }
+
+    /**
+     * Handle recording state change
+     * @param {Object} data - Contains state and activityId
+     */
+    handleRecordingStateChanged(data) {
+        const { state, activityId } = data;
+        this.update({ recording: state === 'stopped' ? null : { activityId, state } });
+    }
+
+    /**
+     * Handle wake lock change
+     * @param {Object} data - Contains active
+     */
+    handleWakeLockChanged(data) {
+        this.update({ wakeLock: data.active });
+    }
+
+    /**
+     * Apply changes and save the session
+     * @param {Object} changes - Session fields to change
+     */
+    update(changes) {
+        this.session = { ...this.session, ...changes, savedAt: Date.now() };
+        this.save();
+    }
+
+    /**
+     * Save the session, or forget it when there is nothing to resume
+     */
+    save() {
+        const key = config.storage.keys.session;
+
+        try {
+            if (this.session.trackId === null && !this.session.recording) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, JSON.stringify(this.session));
+            }
+        } catch (error) {
+            console.warn('Could not save session:', error);
+        }
+    }
+
+    /**
+     * Load the session saved by the previous run
+     * @returns {Object|null} Session, or null when there is none or it is too old to resume
+     */
+    load() {
+        try {
+            const session = JSON.parse(localStorage.getItem(config.storage.keys.session));
+            if (session && Date.now() - session.savedAt <= config.session.maxAge) {
+                return { ...this.createSession(), ...session };
+            }
+        } catch (error) {
+            console.warn('Ignoring invalid saved session:', error);
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the session left by the previous run
+     * @returns {Object|null} Session to resume
+     */
+    getSavedSession() {
+        return this.saved;
+    }
+
+    /**
+     * Forget the session left by the previous run once it was resumed
+     */
+    clearSavedSession() {
+        this.saved = null;
+    }
+}
+
+export default SessionStore;
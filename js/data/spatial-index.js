@@ -0,0 +1,283 @@
+/**
+ * spatial-index.js
+ * Grid index over track segments for fast closest-point lookups
+ *
+ * Points are placed on an equirectangular grid (meters at the track's middle
+ * latitude). Every segment between two consecutive points of the same track segment
+ * is stored in each grid cell its bounding box touches. Queries search rings of cells
+ * outward from the location until no closer segment can exist, measuring segments in
+ * a plane centered on the location so long tracks are not distorted. The closest
+ * segment is then measured on the sphere, like the great circles the track was
+ * densified along.
+ */
+
+import config from '../core/config.js';
+import GeoPoint from './geo-point.js';
+import geoUtils from './geo-utils.js';
+
+const METERS_PER_DEGREE = 6371e3 * Math.PI / 180;
+
+class SpatialIndex {
+    /**
+     * Build the index
+     * @param {Array<GeoPoint>} trackPoints - Track points with segmentIndex set
+     * @param {number} cellSize - Grid cell size in meters
+     */
+    constructor(trackPoints, cellSize = config.track.spatialIndex.cellSize) {
+        this.trackPoints = trackPoints;
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.projected = [];
+
+        if (trackPoints.length === 0) return;
+
+        // Center the projection on the track to keep distortion low
+        const { minLat, maxLat } = trackPoints.reduce((range, point) => ({
+            minLat: Math.min(range.minLat, point.lat),
+            maxLat: Math.max(range.maxLat, point.lat)
+        }), { minLat: Infinity, maxLat: -Infinity });
+        this.originLat = (minLat + maxLat) / 2;
+        this.maxAbsLat = Math.max(Math.abs(minLat), Math.abs(maxLat));
+        this.originLng = trackPoints[0].lng;
+        this.lngScale = Math.cos(this.originLat * Math.PI / 180) * METERS_PER_DEGREE;
+
+        this.projected = trackPoints.map(point => this.project(point));
+        this.build();
+    }
+
+    /**
+     * Project a point to local plane coordinates in meters
+     * @param {Object} point - Point with lat and lng
+     * @returns {Object} Projected { x, y }
+     */
+    project(point) {
+        return {
+            x: (point.lng - this.originLng) * this.lngScale,
+            y: (point.lat - this.originLat) * METERS_PER_DEGREE
+        };
+    }
+
+    /**
+     * Insert every segment into the cells its bounding box covers
+     */
+    build() {
+        for (let i = 0; i < this.trackPoints.length; i++) {
+            const next = i + 1;
+            const hasNext = next < this.trackPoints.length &&
+                this.trackPoints[next].segmentIndex === this.trackPoints[i].segmentIndex;
+            const isLoneStart = !hasNext &&
+                (i === 0 || this.trackPoints[i - 1].segmentIndex !== this.trackPoints[i].segmentIndex);
+
+            // Lone points of one-point segments are indexed as zero length segments
+            if (!hasNext && !isLoneStart) continue;
+
+            const a = this.projected[i];
+            const b = hasNext ? this.projected[next] : a;
+
+            const minX = Math.floor(Math.min(a.x, b.x) / this.cellSize);
+            const maxX = Math.floor(Math.max(a.x, b.x) / this.cellSize);
+            const minY = Math.floor(Math.min(a.y, b.y) / this.cellSize);
+            const maxY = Math.floor(Math.max(a.y, b.y) / this.cellSize);
+
+            for (let cx = minX; cx <= maxX; cx++) {
+                for (let cy = minY; cy <= maxY; cy++) {
+                    const key = `${cx},${cy}`;
+                    if (!this.cells.has(key)) {
+                        this.cells.set(key, []);
+                    }
+                    this.cells.get(key).push(i);
+                }
+            }
+        }
+
+        // Bounds of the occupied grid, to stop ring searches that left the track behind
+        this.gridBounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+        this.cells.forEach((indices, key) => {
+            const [cx, cy] = key.split(',').map(Number);
+            this.gridBounds.minX = Math.min(this.gridBounds.minX, cx);
+            this.gridBounds.maxX = Math.max(this.gridBounds.maxX, cx);
+            this.gridBounds.minY = Math.min(this.gridBounds.minY, cy);
+            this.gridBounds.maxY = Math.max(this.gridBounds.maxY, cy);
+        });
+    }
+
+    /**
+     * Find the closest position on the track to a location
+     * @param {Object} location - Point with lat and lng
+     * @param {Object} options - Optional filters
+     * @param {number} options.minIndex - Ignore segments starting before this point index
+     * @param {number} options.maxIndex - Ignore segments starting after this point index
+     * @param {number} options.maxDistance - Give up beyond this distance in meters
+     * @returns {Object|null} { index, fraction, point, distance } or null
+     */
+    nearest(location, { minIndex = 0, maxIndex = Infinity, maxDistance = Infinity } = {}) {
+        if (this.cells.size === 0) return null;
+
+        const p = this.project(location);
+        const cx = Math.floor(p.x / this.cellSize);
+        const cy = Math.floor(p.y / this.cellSize);
+
+        // Cells are narrower than cellSize towards the poles, use the narrowest for the bounds
+        const maxAbsLat = Math.max(this.maxAbsLat, Math.abs(location.lat)) * Math.PI / 180;
+        const cellMeters = this.cellSize *
+            Math.min(1, Math.cos(maxAbsLat) / Math.cos(this.originLat * Math.PI / 180));
+
+        // Rings needed to cover the whole grid from the query cell
+        const { minX, maxX, minY, maxY } = this.gridBounds;
+        const maxRing = Math.max(cx - minX, maxX - cx, cy - minY, maxY - cy, 0);
+
+        let best = null;
+        const visited = new Set();
+
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Anything in this ring or beyond is at least (ring - 1) cells away
+            const ringDistance = (ring - 1) * cellMeters;
+            if (ringDistance > maxDistance || (best && ringDistance > best.planarDistance)) break;
+
+            this.getRingCells(cx, cy, ring).forEach(key => {
+                const cell = this.cells.get(key);
+                if (!cell) return;
+
+                cell.forEach(index => {
+                    if (index < minIndex || index > maxIndex || visited.has(index)) return;
+                    visited.add(index);
+
+                    const candidate = this.projectOntoSegment(location, index);
+                    if (!best || candidate.planarDistance < best.planarDistance) {
+                        best = candidate;
+                    }
+                });
+            });
+        }
+
+        if (!best || best.planarDistance > maxDistance) return null;
+
+        // The plane is only used for ranking, the reported position is measured on the sphere
+        const { fraction, distance } = this.measureOnSphere(location, best.index);
+        return {
+            index: best.index,
+            fraction,
+            point: this.interpolate(best.index, fraction),
+            distance
+        };
+    }
+
+    /**
+     * Measure a location against the great circle of a segment
+     * @param {Object} location - Point with lat and lng
+     * @param {number} index - Segment start index
+     * @returns {Object} { fraction, distance } of the closest position on the segment
+     */
+    measureOnSphere(location, index) {
+        const start = this.trackPoints[index];
+        const end = this.trackPoints[index + 1];
+        const length = end && end.segmentIndex === start.segmentIndex
+            ? geoUtils.calculateDistance(start, end)
+            : 0;
+
+        if (length === 0) {
+            return { fraction: 0, distance: geoUtils.calculateDistance(location, start) };
+        }
+
+        const along = geoUtils.calculateAlongTrackDistance(location, start, end);
+        if (along <= 0) {
+            return { fraction: 0, distance: geoUtils.calculateDistance(location, start) };
+        }
+        if (along >= length) {
+            return { fraction: 1, distance: geoUtils.calculateDistance(location, end) };
+        }
+
+        return {
+            fraction: along / length,
+            distance: Math.abs(geoUtils.calculateCrossTrackDistance(location, start, end))
+        };
+    }
+
+    /**
+     * Get the keys of the occupied-grid cells on the outline of a ring
+     * @param {number} cx - Center cell x
+     * @param {number} cy - Center cell y
+     * @param {number} ring - Ring radius in cells (0 is the center cell)
+     * @returns {Array<string>} Cell keys
+     */
+    getRingCells(cx, cy, ring) {
+        if (ring === 0) return [`${cx},${cy}`];
+
+        const { minX, maxX, minY, maxY } = this.gridBounds;
+        const keys = [];
+
+        // Top and bottom rows
+        for (let x = Math.max(cx - ring, minX); x <= Math.min(cx + ring, maxX); x++) {
+            if (cy - ring >= minY) keys.push(`${x},${cy - ring}`);
+            if (cy + ring <= maxY) keys.push(`${x},${cy + ring}`);
+        }
+
+        // Left and right columns, without the corners
+        for (let y = Math.max(cy - ring + 1, minY); y <= Math.min(cy + ring - 1, maxY); y++) {
+            if (cx - ring >= minX) keys.push(`${cx - ring},${y}`);
+            if (cx + ring <= maxX) keys.push(`${cx + ring},${y}`);
+        }
+
+        return keys;
+    }
+
+    /**
+     * Project a location onto the segment starting at a point index
+     * @param {Object} location - Point with lat and lng
+     * @param {number} index - Segment start index
+     * @returns {Object} { index, fraction, planarDistance }
+     */
+    projectOntoSegment(location, index) {
+        const start = this.trackPoints[index];
+        const hasNext = index + 1 < this.trackPoints.length &&
+            this.trackPoints[index + 1].segmentIndex === start.segmentIndex;
+        const end = hasNext ? this.trackPoints[index + 1] : start;
+
+        // Plane centered on the location, accurate for the nearby segments that matter
+        const lngScale = Math.cos(location.lat * Math.PI / 180) * METERS_PER_DEGREE;
+        const ax = (start.lng - location.lng) * lngScale;
+        const ay = (start.lat - location.lat) * METERS_PER_DEGREE;
+        const dx = (end.lng - start.lng) * lngScale;
+        const dy = (end.lat - start.lat) * METERS_PER_DEGREE;
+        const lengthSquared = dx * dx + dy * dy;
+
+        let fraction = 0;
+        if (lengthSquared > 0) {
+            fraction = -(ax * dx + ay * dy) / lengthSquared;
+            fraction = Math.max(0, Math.min(1, fraction));
+        }
+
+        return {
+            index,
+            fraction,
+            planarDistance: Math.hypot(ax + dx * fraction, ay + dy * fraction)
+        };
+    }
+
+    /**
+     * Create the track position a fraction along a segment
+     * @param {number} index - Segment start index
+     * @param {number} fraction - Position along the segment (0-1)
+     * @returns {GeoPoint} Position with distanceFromStart, remainingDistance and climbing so far
+     */
+    interpolate(index, fraction) {
+        const start = this.trackPoints[index];
+        const end = fraction > 0 ? this.trackPoints[index + 1] : start;
+
+        const lerp = (a, b) => a + (b - a) * fraction;
+        const lerpOptional = (a, b) => (a === null || b === null ? null : lerp(a, b));
+        const { lng, lat } = geoUtils.calculateIntermediatePoint(start, end, fraction);
+
+        return new GeoPoint(lng, lat, {
+            altitude: lerpOptional(start.altitude, end.altitude),
+            timestamp: lerpOptional(start.timestamp, end.timestamp),
+            distanceFromStart: lerp(start.distanceFromStart, end.distanceFromStart),
+            remainingDistance: lerp(start.remainingDistance, end.remainingDistance),
+            ascentFromStart: lerp(start.ascentFromStart, end.ascentFromStart),
+            descentFromStart: lerp(start.descentFromStart, end.descentFromStart),
+            segmentIndex: start.segmentIndex
+        });
+    }
+}
+
+export default SpatialIndex;
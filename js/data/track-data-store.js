@@ -4,6 +4,8 @@
  */
 
 import config from '../core/config.js';
+import formatRegistry from './formats/format-registry.js';
+import SpatialIndex from './spatial-index.js';
 
 class TrackDataStore {
     constructor(eventBus) {
@@ -17,14 +19,26 @@ class TrackDataStore {
      */
     reset() {
         this.trackPoints = [];
+        this.spatialIndex = null;
+        this.segments = [];
+        this.tracks = [];
+        this.waypoints = [];
+        this.selectedTrackIndex = 0;
         this.hasTrack = false;
         this.totalDistance = 0;
+        this.hasElevation = false;
+        this.totalAscent = 0;
+        this.totalDescent = 0;
         this.originalPoints = [];
+        this.content = null;
         this.metadata = {
             name: null,
             description: null,
             loadedAt: null,
-            source: null
+            source: null,
+            format: null,
+            filename: null,
+            trackId: null
         };
     }
 
@@ -34,18 +48,22 @@ class TrackDataStore {
     setupEventListeners() {
         this.eventBus.on('track:load-requested', this.handleLoadRequest, this);
         this.eventBus.on('track:clear-requested', this.handleClearRequest, this);
+        this.eventBus.on('track:select-requested', this.handleSelectRequest, this);
     }
 
     /**
      * Handle track load request
-     * @param {Object} data - Contains gpxContent and optional metadata
+     * @param {Object} data - Contains content and optional source, filename, trackId and trackIndex
      */
     async handleLoadRequest(data) {
         try {
-            const { gpxContent, source = 'file' } = data;
-            await this.loadTrackData(gpxContent, source);
+            const { content, source = 'file', ...options } = data;
+            await this.loadTrackData(content, source, options);
         } catch (error) {
-            this.eventBus.emit('track:load-error', { error });
+            this.eventBus.emit('track:load-error', {
+                error,
+                message: `Could not read track: ${error.message}`
+            });
         }
     }
 
@@ -57,55 +75,129 @@ class TrackDataStore {
     }
 
     /**
-     * Load track data from GPX content
-     * @param {string} gpxContent - GPX file content
+     * Handle request to follow another track from the loaded file
+     * @param {Object} data - Contains trackIndex
+     */
+    async handleSelectRequest(data) {
+        try {
+            await this.selectTrack(data.trackIndex);
+        } catch (error) {
+            this.eventBus.emit('track:load-error', { error });
+        }
+    }
+
+    /**
+     * Load track data from any supported track file
+     * @param {string|ArrayBuffer} content - File content
      * @param {string} source - Source of the track data
+     * @param {Object} options - Optional filename (used for format detection),
+     *                           trackId (track library entry) and trackIndex (track to follow)
      */
-    async loadTrackData(gpxContent, source = 'file') {
-        const parser = new DOMParser();
-        const gpx = parser.parseFromString(gpxContent, 'text/xml');
+    async loadTrackData(content, source = 'file', { filename = null, trackId = null, trackIndex = 0 } = {}) {
+        const parsed = await formatRegistry.parse(content, filename);
+
+        if (parsed.tracks.length === 0) {
+            throw new Error('No track or route points found in file');
+        }
+
+        this.tracks = parsed.tracks;
+        this.waypoints = parsed.waypoints;
 
-        // Extract metadata
-        const trackElement = gpx.querySelector('trk');
+        // Extract metadata, preferring the document name over the first track name
         this.metadata = {
-            name: trackElement?.querySelector('name')?.textContent || null,
-            description: trackElement?.querySelector('desc')?.textContent || null,
+            name: parsed.metadata.name || parsed.tracks[0].name,
+            description: parsed.metadata.description || parsed.tracks[0].description,
             loadedAt: Date.now(),
-            source
+            source,
+            format: parsed.format,
+            filename,
+            trackId
         };
 
-        // Extract track points
-        const trkpts = Array.from(gpx.getElementsByTagName('trkpt'));
-        if (trkpts.length === 0) {
-            throw new Error('No track points found in GPX file');
+        // Kept so the track library can store the original file
+        this.content = content;
+
+        await this.selectTrack(this.tracks[trackIndex] ? trackIndex : 0);
+    }
+
+    /**
+     * Follow one of the tracks of the loaded file
+     * @param {number} trackIndex - Index into the loaded tracks
+     */
+    async selectTrack(trackIndex) {
+        const track = this.tracks[trackIndex];
+        if (!track) {
+            throw new Error(`Track ${trackIndex} not found`);
         }
 
-        // Import GeoPoint dynamically to avoid circular dependencies
-        const { default: GeoPoint } = await import('../data/geo-point.js');
+        this.selectedTrackIndex = trackIndex;
+        this.originalPoints = track.segments.flat();
 
-        this.originalPoints = trkpts.map(point => {
-            const lat = parseFloat(point.getAttribute('lat'));
-            const lon = parseFloat(point.getAttribute('lon'));
-            return new GeoPoint(lon, lat);
-        });
+        // Interpolate each segment on its own so gaps are never filled in
+        this.segments = [];
+        for (const segment of track.segments) {
+            this.segments.push(await this.interpolatePoints(segment));
+        }
 
-        // Interpolate points for consistent spacing
-        this.trackPoints = await this.interpolatePoints(this.originalPoints);
+        this.segments.forEach((segment, segmentIndex) => {
+            segment.forEach(point => {
+                point.segmentIndex = segmentIndex;
+            });
+        });
+        this.trackPoints = this.segments.flat();
 
         // Calculate distances
-        this.calculateDistances();
+        await this.calculateDistances();
+        this.calculateElevationChanges();
 
-        this.hasTrack = true;
+        // Index segments for closest point lookups
+        this.spatialIndex = new SpatialIndex(this.trackPoints);
 
-        // Store in localStorage
-        localStorage.setItem(config.storage.keys.lastGpxContent, gpxContent);
+        this.hasTrack = true;
 
         // Emit success event
         this.eventBus.emit('track:loaded', {
             trackPoints: this.trackPoints,
+            segments: this.segments,
             originalPoints: this.originalPoints,
             totalDistance: this.totalDistance,
-            metadata: this.metadata
+            hasElevation: this.hasElevation,
+            totalAscent: this.totalAscent,
+            totalDescent: this.totalDescent,
+            metadata: this.metadata,
+            content: this.content,
+            waypoints: this.waypoints,
+            tracks: await this.getTrackSummaries(),
+            selectedTrackIndex: this.selectedTrackIndex
+        });
+    }
+
+    /**
+     * Get a short description of every loaded track
+     * @returns {Array} Track summaries with index, type, name and distance
+     */
+    async getTrackSummaries() {
+        // Import geoUtils dynamically to avoid circular dependencies
+        const { default: geoUtils } = await import('../data/geo-utils.js');
+
+        return this.tracks.map((track, index) => {
+            let distance = 0;
+            track.segments.forEach(segment => {
+                for (let i = 1; i < segment.length; i++) {
+                    distance += geoUtils.calculateDistance(
+                        segment[i - 1].toLatLng(),
+                        segment[i].toLatLng()
+                    );
+                }
+            });
+
+            return {
+                index,
+                type: track.type,
+                name: track.name,
+                segmentCount: track.segments.length,
+                distance
+            };
         });
     }
 
@@ -138,12 +230,19 @@ class TrackDataStore {
             const distance = geoUtils.calculateDistance(start.toLatLng(), end.toLatLng());
 
             if (distance > interpolationDistance) {
-                const steps = Math.floor(distance / interpolationDistance);
+                // Evenly spaced along the great circle, no further apart than the interpolation distance
+                const steps = Math.ceil(distance / interpolationDistance);
                 for (let j = 1; j < steps; j++) {
                     const fraction = j / steps;
-                    const lng = start.lng + (end.lng - start.lng) * fraction;
-                    const lat = start.lat + (end.lat - start.lat) * fraction;
-                    result.push(new GeoPoint(lng, lat));
+                    const { lng, lat } = geoUtils.calculateIntermediatePoint(
+                        start.toLatLng(),
+                        end.toLatLng(),
+                        fraction
+                    );
+                    result.push(new GeoPoint(lng, lat, {
+                        altitude: this.interpolateValue(start.altitude, end.altitude, fraction),
+                        timestamp: this.interpolateValue(start.timestamp, end.timestamp, fraction)
+                    }));
                 }
             }
         }
@@ -155,6 +254,18 @@ class TrackDataStore {
         return result;
     }
 
+    /**
+     * Linearly interpolate an optional value between two points
+     * @param {number|null} start - Value at the start point
+     * @param {number|null} end - Value at the end point
+     * @param {number} fraction - Position between the points (0-1)
+     * @returns {number|null} Interpolated value, or null when either end is missing
+     */
+    interpolateValue(start, end, fraction) {
+        if (start === null || end === null) return null;
+        return start + (end - start) * fraction;
+    }
+
     /**
      * Calculate cumulative and remaining distances for all points
      */
@@ -168,7 +279,8 @@ class TrackDataStore {
         for (let i = 0; i < this.trackPoints.length; i++) {
             const point = this.trackPoints[i];
 
-            if (i > 0) {
+            // The first point of a segment starts after a gap, which is not travelled
+            if (i > 0 && point.segmentIndex === this.trackPoints[i - 1].segmentIndex) {
                 const prevPoint = this.trackPoints[i - 1];
                 const distance = geoUtils.calculateDistance(
                     prevPoint.toLatLng(),
@@ -187,7 +299,7 @@ class TrackDataStore {
         for (let i = this.trackPoints.length - 1; i >= 0; i--) {
             this.trackPoints[i].remainingDistance = remainingDistance;
 
-            if (i > 0) {
+            if (i > 0 && this.trackPoints[i].segmentIndex === this.trackPoints[i - 1].segmentIndex) {
                 const distance = geoUtils.calculateDistance(
                     this.trackPoints[i - 1].toLatLng(),
                     this.trackPoints[i].toLatLng()
@@ -198,43 +310,93 @@ class TrackDataStore {
     }
 
     /**
-     * Find the closest point to a given location
-     * @param {GeoPoint} location - Location to find closest point to
-     * @returns {Object|null} Closest point data or null
+     * Calculate cumulative ascent and descent for all points
+     *
+     * Altitude changes only count once they exceed the smoothing threshold from the
+     * last counted altitude, so GPS and elevation model noise does not add up to
+     * climbing that is not there. Gaps between segments are not climbed.
      */
-    async findClosestPoint(location) {
-        if (!location || !this.hasTrack || this.trackPoints.length === 0) return null;
+    calculateElevationChanges() {
+        const { smoothingThreshold } = config.track.elevation;
 
-        // Import geoUtils dynamically to avoid circular dependencies
-        const { default: geoUtils } = await import('../data/geo-utils.js');
+        let ascent = 0;
+        let descent = 0;
+        let reference = null; // Last counted altitude
 
-        let minDistance = Infinity;
-        let closestIndex = -1;
+        this.trackPoints.forEach((point, i) => {
+            if (i > 0 && point.segmentIndex !== this.trackPoints[i - 1].segmentIndex) {
+                reference = null;
+            }
 
-        for (let i = 0; i < this.trackPoints.length; i++) {
-            const point = this.trackPoints[i];
-            const distance = geoUtils.calculateDistance(
-                location.toLatLng(),
-                point.toLatLng()
-            );
-
-            if (distance < minDistance) {
-                minDistance = distance;
-                closestIndex = i;
+            if (point.altitude !== null) {
+                if (reference === null) {
+                    reference = point.altitude;
+                } else if (point.altitude - reference >= smoothingThreshold) {
+                    ascent += point.altitude - reference;
+                    reference = point.altitude;
+                } else if (reference - point.altitude >= smoothingThreshold) {
+                    descent += reference - point.altitude;
+                    reference = point.altitude;
+                }
             }
-        }
 
-        if (closestIndex === -1) return null;
+            point.ascentFromStart = ascent;
+            point.descentFromStart = descent;
+        });
+
+        this.hasElevation = this.trackPoints.some(point => point.altitude !== null);
+        this.totalAscent = ascent;
+        this.totalDescent = descent;
+    }
+
+    /**
+     * Find the closest position on the track to a given location
+     * @param {GeoPoint} location - Location to find closest point to
+     * @param {Object} options - Optional minIndex, maxIndex and maxDistance filters
+     * @returns {Object|null} Closest point data or null; index is the start of the
+     *                        matched track segment and fraction the position along it
+     */
+    async findClosestPoint(location, options = {}) {
+        if (!location || !this.hasTrack || !this.spatialIndex) return null;
+
+        const nearest = this.spatialIndex.nearest(location, options);
+        if (!nearest) return null;
 
         return {
-            point: this.trackPoints[closestIndex],
-            index: closestIndex,
-            distanceFromStart: this.trackPoints[closestIndex].distanceFromStart,
-            remainingDistance: this.trackPoints[closestIndex].remainingDistance,
-            distanceFromTrack: minDistance
+            point: nearest.point,
+            index: nearest.index,
+            fraction: nearest.fraction,
+            distanceFromStart: nearest.point.distanceFromStart,
+            remainingDistance: nearest.point.remainingDistance,
+            remainingAscent: this.hasElevation ? this.totalAscent - nearest.point.ascentFromStart : null,
+            remainingDescent: this.hasElevation ? this.totalDescent - nearest.point.descentFromStart : null,
+            distanceFromTrack: nearest.distance
         };
     }
 
+    /**
+     * Find the track segment that contains a distance along the track
+     * @param {number} distance - Distance from start in meters
+     * @returns {number} Index of the last point at or before the distance
+     */
+    findIndexAtDistance(distance) {
+        let low = 0;
+        let high = this.trackPoints.length - 1;
+        if (high < 0) return 0;
+
+        // Binary search, distanceFromStart never decreases along the track
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.trackPoints[mid].distanceFromStart <= distance) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return low;
+    }
+
     /**
      * Get current track data
      * @returns {Object} Current track data
@@ -242,9 +404,16 @@ class TrackDataStore {
     getTrackData() {
         return {
             trackPoints: this.trackPoints,
+            segments: this.segments,
             originalPoints: this.originalPoints,
+            tracks: this.tracks,
+            waypoints: this.waypoints,
+            selectedTrackIndex: this.selectedTrackIndex,
             hasTrack: this.hasTrack,
             totalDistance: this.totalDistance,
+            hasElevation: this.hasElevation,
+            totalAscent: this.totalAscent,
+            totalDescent: this.totalDescent,
             metadata: this.metadata
         };
     }
@@ -0,0 +1,292 @@
+/**
+ * track-library.js
+ * Persistent library of loaded tracks, stored in IndexedDB
+ */
+
+import config from '../core/config.js';
+import database from './database.js';
+import formatUtils from './formats/format-utils.js';
+
+class TrackLibrary {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.storeName = config.storage.database.stores.tracks;
+        this.contentStoreName = config.storage.database.stores.trackContents;
+        this.entries = [];
+        this.activeLoad = null;
+        this.setupEventListeners();
+        this.ready = this.init();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('track:loaded', this.handleTrackLoaded, this);
+        this.eventBus.on('track:cleared', this.handleTrackCleared, this);
+        this.eventBus.on('library:open-requested', this.handleOpenRequest, this);
+        this.eventBus.on('library:load-latest-requested', this.handleLoadLatestRequest, this);
+        this.eventBus.on('library:rename-requested', this.handleRenameRequest, this);
+        this.eventBus.on('library:delete-requested', this.handleDeleteRequest, this);
+    }
+
+    /**
+     * Load the library, importing the track kept by older versions in localStorage
+     */
+    async init() {
+        try {
+            await this.migrateLegacyStorage();
+            await this.refresh();
+        } catch (error) {
+            console.error('Track library unavailable:', error);
+        }
+    }
+
+    /**
+     * Move the single localStorage track slot into the library
+     */
+    async migrateLegacyStorage() {
+        const legacyContent = localStorage.getItem(config.storage.keys.lastGpxContent);
+        if (!legacyContent) return;
+
+        // Name, distance and bounds are filled in the first time the track is opened
+        const now = Date.now();
+        await this.addEntry({
+            name: null,
+            filename: null,
+            format: null,
+            totalDistance: null,
+            bounds: null,
+            selectedTrackIndex: 0,
+            addedAt: now,
+            lastUsedAt: now
+        }, formatUtils.decodeFromStorage(legacyContent));
+
+        localStorage.removeItem(config.storage.keys.lastGpxContent);
+    }
+
+    /**
+     * Reload entry summaries and announce them
+     */
+    async refresh() {
+        const records = await database.getAll(this.storeName);
+
+        this.entries = records.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+        this.eventBus.emit('library:changed', {
+            entries: this.getEntries()
+        });
+    }
+
+    /**
+     * Handle track loaded - add new tracks and mark reopened ones as used
+     * @param {Object} data - Track data
+     */
+    async handleTrackLoaded(data) {
+        const { metadata } = data;
+
+        try {
+            // Choosing another track of the same file updates the entry saved for that load
+            if (this.activeLoad && this.activeLoad.loadedAt === metadata.loadedAt) {
+                const id = await this.activeLoad.id;
+                await this.updateEntry(id, data);
+            } else {
+                const id = this.saveTrack(data);
+                this.activeLoad = { loadedAt: metadata.loadedAt, id };
+                await id;
+            }
+
+            await this.refresh();
+
+            this.eventBus.emit('library:active-track-changed', {
+                id: await this.activeLoad.id
+            });
+        } catch (error) {
+            console.error('Failed to save track to library:', error);
+        }
+    }
+
+    /**
+     * Handle track cleared
+     */
+    handleTrackCleared() {
+        this.activeLoad = null;
+    }
+
+    /**
+     * Save a freshly loaded track, reusing the entry of an identical earlier import
+     * @param {Object} data - Track data
+     * @returns {Promise<number>} Entry id
+     */
+    async saveTrack(data) {
+        await this.ready;
+
+        const { metadata, content, totalDistance } = data;
+
+        const existingId = metadata.trackId ?? this.entries.find(entry =>
+            entry.filename === metadata.filename &&
+            entry.format === metadata.format &&
+            entry.totalDistance !== null &&
+            Math.round(entry.totalDistance) === Math.round(totalDistance)
+        )?.id;
+
+        if (existingId !== undefined) {
+            await this.updateEntry(existingId, data);
+            return existingId;
+        }
+
+        const now = Date.now();
+        return this.addEntry({
+            name: metadata.name || metadata.filename || 'Untitled track',
+            filename: metadata.filename,
+            format: metadata.format,
+            totalDistance,
+            bounds: this.calculateBounds(data.trackPoints),
+            selectedTrackIndex: data.selectedTrackIndex,
+            addedAt: now,
+            lastUsedAt: now
+        }, content);
+    }
+
+    /**
+     * Add an entry with its file content, which is kept in its own store
+     * @param {Object} entry - Entry summary without id
+     * @param {string|ArrayBuffer} content - Raw file content
+     * @returns {Promise<number>} Entry id
+     */
+    addEntry(entry, content) {
+        return database.runAll([this.storeName, this.contentStoreName], 'readwrite', stores => {
+            const request = stores[this.storeName].put(entry);
+            request.onsuccess = () => {
+                stores[this.contentStoreName].put({ id: request.result, content });
+            };
+            return request;
+        });
+    }
+
+    /**
+     * Refresh the stored details of an entry after it was loaded
+     * @param {number} id - Entry id
+     * @param {Object} data - Track data
+     */
+    async updateEntry(id, data) {
+        const entry = await database.get(this.storeName, id);
+        if (!entry) return;
+
+        const { metadata } = data;
+
+        await database.put(this.storeName, {
+            ...entry,
+            name: entry.name || metadata.name || metadata.filename || 'Untitled track',
+            format: entry.format || metadata.format,
+            totalDistance: data.totalDistance,
+            bounds: this.calculateBounds(data.trackPoints),
+            selectedTrackIndex: data.selectedTrackIndex,
+            lastUsedAt: Date.now()
+        });
+    }
+
+    /**
+     * Handle open request
+     * @param {Object} data - Contains id
+     */
+    async handleOpenRequest(data) {
+        await this.ready;
+
+        try {
+            const [entry, stored] = await Promise.all([
+                database.get(this.storeName, data.id),
+                database.get(this.contentStoreName, data.id)
+            ]);
+            if (!entry || !stored) {
+                throw new Error('Track not found in library');
+            }
+
+            this.eventBus.emit('track:load-requested', {
+                content: stored.content,
+                source: 'library',
+                filename: entry.filename,
+                trackId: entry.id,
+                trackIndex: entry.selectedTrackIndex || 0
+            });
+        } catch (error) {
+            this.eventBus.emit('track:load-error', {
+                error,
+                message: 'Could not open track from library'
+            });
+        }
+    }
+
+    /**
+     * Handle load latest request (reload button)
+     */
+    async handleLoadLatestRequest() {
+        await this.ready;
+
+        const latest = this.entries[0];
+        if (latest) {
+            await this.handleOpenRequest({ id: latest.id });
+        }
+    }
+
+    /**
+     * Handle rename request
+     * @param {Object} data - Contains id and name
+     */
+    async handleRenameRequest(data) {
+        const name = data.name?.trim();
+        if (!name) return;
+
+        try {
+            const entry = await database.get(this.storeName, data.id);
+            if (!entry) return;
+
+            await database.put(this.storeName, { ...entry, name });
+            await this.refresh();
+        } catch (error) {
+            console.error('Failed to rename track:', error);
+        }
+    }
+
+    /**
+     * Handle delete request
+     * @param {Object} data - Contains id
+     */
+    async handleDeleteRequest(data) {
+        try {
+            await database.runAll([this.storeName, this.contentStoreName], 'readwrite', stores => {
+                stores[this.contentStoreName].delete(data.id);
+                return stores[this.storeName].delete(data.id);
+            });
+            await this.refresh();
+        } catch (error) {
+            console.error('Failed to delete track:', error);
+        }
+    }
+
+    /**
+     * Calculate the bounding box of a track
+     * @param {Array} trackPoints - Array of GeoPoint objects
+     * @returns {Object|null} Bounds as { west, south, east, north }
+     */
+    calculateBounds(trackPoints) {
+        if (!trackPoints || trackPoints.length === 0) return null;
+
+        return trackPoints.reduce((bounds, point) => ({
+            west: Math.min(bounds.west, point.lng),
+            south: Math.min(bounds.south, point.lat),
+            east: Math.max(bounds.east, point.lng),
+            north: Math.max(bounds.north, point.lat)
+        }), { west: Infinity, south: Infinity, east: -Infinity, north: -Infinity });
+    }
+
+    /**
+     * Get entry summaries, most recently used first
+     * @returns {Array} Entry summaries, file content is only read when a track is opened
+     */
+    getEntries() {
+        return this.entries.map(entry => ({ ...entry }));
+    }
+}
+
+export default TrackLibrary;
@@ -0,0 +1,96 @@
+/**
+ * track-simplifier.js
+ * Douglas-Peucker line simplification for drawing long tracks with fewer points.
+ */
+
+const EARTH_CIRCUMFERENCE = 40075016.686; // meters at the equator
+const TILE_SIZE = 512; // Mapbox GL tile size in pixels
+
+const trackSimplifier = {
+
+    /**
+     * Calculates the simplification tolerance for a zoom level
+     * @param {number} zoom - Map zoom level
+     * @param {number} latitude - Latitude the tolerance applies at
+     * @param {number} pixelTolerance - Allowed deviation in screen pixels
+     * @returns {number} Tolerance in meters
+     */
+    getTolerance(zoom, latitude, pixelTolerance) {
+        const metersPerPixel = EARTH_CIRCUMFERENCE * Math.cos(latitude * Math.PI / 180) /
+            (TILE_SIZE * Math.pow(2, zoom));
+        return metersPerPixel * pixelTolerance;
+    },
+
+    /**
+     * Simplifies a line, dropping points that deviate less than the tolerance from it
+     * @param {Array} coordinates - Line as an array of [longitude, latitude]
+     * @param {number} tolerance - Allowed deviation in meters
+     * @returns {Array} Kept coordinates, always including the first and last
+     */
+    simplify(coordinates, tolerance) {
+        if (coordinates.length <= 2 || tolerance <= 0) return coordinates.slice();
+
+        // Project to a local plane in meters, accurate enough for measuring deviations
+        const metersPerDegree = 6371e3 * Math.PI / 180;
+        const lngScale = Math.cos(coordinates[0][1] * Math.PI / 180) * metersPerDegree;
+        const points = coordinates.map(([lng, lat]) => [lng * lngScale, lat * metersPerDegree]);
+
+        const keep = new Uint8Array(coordinates.length);
+        keep[0] = 1;
+        keep[coordinates.length - 1] = 1;
+
+        const sqTolerance = tolerance * tolerance;
+
+        // Iterative to keep deep recursion off the stack for long tracks
+        const stack = [[0, coordinates.length - 1]];
+        while (stack.length > 0) {
+            const [first, last] = stack.pop();
+            let maxSqDistance = 0;
+            let index = -1;
+
+            for (let i = first + 1; i < last; i++) {
+                const sqDistance = this.getSqSegmentDistance(points[i], points[first], points[last]);
+                if (sqDistance > maxSqDistance) {
+                    maxSqDistance = sqDistance;
+                    index = i;
+                }
+            }
+
+            if (maxSqDistance > sqTolerance) {
+                keep[index] = 1;
+                stack.push([first, index], [index, last]);
+            }
+        }
+
+        return coordinates.filter((coord, i) => keep[i]);
+    },
+
+    /**
+     * Calculates the squared distance from a point to a segment in plane coordinates
+     * @param {Array} p - Point as [x, y]
+     * @param {Array} a - Segment start as [x, y]
+     * @param {Array} b - Segment end as [x, y]
+     * @returns {number} Squared distance
+     */
+    getSqSegmentDistance(p, a, b) {
+        let [x, y] = a;
+        let dx = b[0] - x;
+        let dy = b[1] - y;
+
+        if (dx !== 0 || dy !== 0) {
+            const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+            if (t > 1) {
+                [x, y] = b;
+            } else if (t > 0) {
+                x += dx * t;
+                y += dy * t;
+            }
+        }
+
+        dx = p[0] - x;
+        dy = p[1] - y;
+        return dx * dx + dy * dy;
+    }
+};
+
+export default trackSimplifier;
@@ -0,0 +1,183 @@
+/**
+ * breadcrumb-renderer.js
+ * Draws the trail actually travelled this session, between the planned track and the location
+ */
+
+import config from '../core/config.js';
+
+class BreadcrumbRenderer {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.mapInstance = null;
+        this.lines = [[]]; // Travelled points per line, as { coordinates, speed }
+        this.lastLocation = null;
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('map:style-loaded', this.handleMapStyleLoaded, this);
+        this.eventBus.on('location:updated', this.handleLocationUpdated, this);
+        this.eventBus.on('recording:started', this.clear, this);
+        this.eventBus.on('recording:stopped', this.clear, this);
+        this.eventBus.on('recording:restored', this.handleRecordingRestored, this);
+        this.eventBus.on('location:tracking-stopped', this.breakLine, this);
+    }
+
+    /**
+     * Handle map style loaded - a new style drops our layer, add it again with the trail so far
+     * @param {Object} data - Contains map instance
+     */
+    handleMapStyleLoaded(data) {
+        this.mapInstance = data.mapInstance;
+        this.setupBreadcrumbVisualization();
+    }
+
+    /**
+     * Handle location updated - extend the trail
+     * @param {Object} data - Location data
+     */
+    handleLocationUpdated(data) {
+        const { location } = data;
+        if (!location) return;
+
+        // The same fix is sent again when nothing new came from the GPS
+        if (this.lastLocation && location.timestamp === this.lastLocation.timestamp) return;
+
+        let speed = location.speed;
+        if (speed === null && this.lastLocation) {
+            const duration = (location.timestamp - this.lastLocation.timestamp) / 1000;
+            speed = duration > 0 ? location.distanceTo(this.lastLocation) / duration : 0;
+        }
+
+        this.lines[this.lines.length - 1].push({
+            coordinates: location.toArray(),
+            speed: speed ?? 0
+        });
+        this.lastLocation = location;
+
+        this.update();
+    }
+
+    /**
+     * Handle recording restored - draw what was recorded before the app was killed
+     * @param {Object} data - Contains the recorded points
+     */
+    handleRecordingRestored(data) {
+        const lines = [];
+        data.points.forEach((point, i) => {
+            if (i === 0 || point.segmentIndex !== data.points[i - 1].segmentIndex) {
+                lines.push([]);
+            }
+            lines[lines.length - 1].push({
+                coordinates: [point.lng, point.lat],
+                speed: point.speed ?? 0
+            });
+        });
+
+        this.lines = [...lines, ...this.lines];
+        this.update();
+    }
+
+    /**
+     * End the current line, so a gap in tracking is not drawn as a straight line
+     */
+    breakLine() {
+        if (this.lines[this.lines.length - 1].length > 0) {
+            this.lines.push([]);
+        }
+        this.lastLocation = null;
+    }
+
+    /**
+     * Clear the trail
+     */
+    clear() {
+        this.lines = [[]];
+        this.lastLocation = null;
+        this.update();
+    }
+
+    /**
+     * Setup the breadcrumb source and layer
+     */
+    setupBreadcrumbVisualization() {
+        if (!this.mapInstance) return;
+
+        const { color, width, opacity, colorBySpeed, speedColors } = config.breadcrumb;
+
+        this.mapInstance.addSource('breadcrumb', {
+            type: 'geojson',
+            data: this.createFeatures()
+        });
+
+        this.mapInstance.addLayer({
+            'id': 'breadcrumb',
+            'type': 'line',
+            'source': 'breadcrumb',
+            'slot': 'breadcrumbSlot',
+            'layout': {
+                'line-join': 'round',
+                'line-cap': 'round'
+            },
+            'paint': {
+                'line-color': colorBySpeed
+                    ? ['interpolate', ['linear'], ['get', 'speed'], ...speedColors.flat()]
+                    : color,
+                'line-width': width,
+                'line-opacity': opacity
+            }
+        });
+    }
+
+    /**
+     * Update the drawn trail
+     */
+    update() {
+        if (!this.mapInstance) return;
+
+        const source = this.mapInstance.getSource('breadcrumb');
+        if (source) {
+            source.setData(this.createFeatures());
+        }
+    }
+
+    /**
+     * Create the trail features
+     * @returns {Object} GeoJSON FeatureCollection
+     */
+    createFeatures() {
+        const lines = this.lines.filter(line => line.length > 1);
+
+        // One short line per step when colored by speed, the speed of its end point
+        if (config.breadcrumb.colorBySpeed) {
+            return {
+                type: 'FeatureCollection',
+                features: lines.flatMap(line => line.slice(1).map((point, i) => ({
+                    type: 'Feature',
+                    properties: { speed: point.speed },
+                    geometry: {
+                        type: 'LineString',
+                        coordinates: [line[i].coordinates, point.coordinates]
+                    }
+                })))
+            };
+        }
+
+        return {
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                properties: {},
+                geometry: {
+                    type: 'MultiLineString',
+                    coordinates: lines.map(line => line.map(point => point.coordinates))
+                }
+            }]
+        };
+    }
+}
+
+export default BreadcrumbRenderer;
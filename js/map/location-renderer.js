@@ -13,6 +13,7 @@ class LocationRenderer {
         this.hasReceivedFirstLocation = false; // Track if we've received first location
         this.currentZoomOffset = 0; // Track current zoom offset
         this.previousLocation = null; // Store previous location for heading calculation
+        this.rejoin = null; // Way back to the track while off track, from progress:rejoin-updated
 
         this.setupEventListeners();
     }
@@ -26,6 +27,8 @@ class LocationRenderer {
         this.eventBus.on('location:clear-requested', this.clearLocationVisualization, this);
         this.eventBus.on('location:tracking-stopped', this.handleTrackingStopped, this);
         this.eventBus.on('map:zoom-changed', this.handleZoomChanged, this);
+        this.eventBus.on('progress:rejoin-updated', this.handleRejoinUpdated, this);
+        this.eventBus.on('progress:rejoin-cleared', this.handleRejoinCleared, this);
     }
 
     /**
@@ -83,6 +86,23 @@ class LocationRenderer {
         }
     }
 
+    /**
+     * Handle rejoin guidance update
+     * @param {Object} data - Contains location, point and bearing
+     */
+    handleRejoinUpdated(data) {
+        this.rejoin = data;
+        this.updateRejoinVisualization();
+    }
+
+    /**
+     * Handle rejoin guidance cleared - the user is back on track
+     */
+    handleRejoinCleared() {
+        this.rejoin = null;
+        this.updateRejoinVisualization();
+    }
+
     /**
      * Setup location visualization resources
      */
@@ -111,11 +131,130 @@ class LocationRenderer {
             }
         });
 
+        this.setupRejoinVisualization();
+
         this.isLocationVisible = true;
 
         this.eventBus.emit('location:visualization-ready');
     }
 
+    /**
+     * Setup the rejoin line and arrow, drawn under the location circle
+     */
+    setupRejoinVisualization() {
+        const { color, lineWidth, lineDasharray, arrowOffset } = config.location.style.rejoin;
+
+        if (!this.mapInstance.hasImage('rejoin-arrow')) {
+            this.mapInstance.addImage('rejoin-arrow', this.createRejoinArrowImage());
+        }
+
+        this.mapInstance.addSource('rejoin', {
+            type: 'geojson',
+            data: this.createRejoinFeatures()
+        });
+
+        this.mapInstance.addLayer({
+            'id': 'rejoin-line',
+            'source': 'rejoin',
+            'type': 'line',
+            'slot': 'locationSlot',
+            'filter': ['==', ['geometry-type'], 'LineString'],
+            'paint': {
+                'line-color': color,
+                'line-width': lineWidth,
+                'line-dasharray': lineDasharray
+            }
+        });
+
+        // The offset turns with the icon, so the arrow sits on the way to the track
+        this.mapInstance.addLayer({
+            'id': 'rejoin-arrow',
+            'source': 'rejoin',
+            'type': 'symbol',
+            'slot': 'locationSlot',
+            'filter': ['==', ['geometry-type'], 'Point'],
+            'layout': {
+                'icon-image': 'rejoin-arrow',
+                'icon-rotate': ['get', 'bearing'],
+                'icon-rotation-alignment': 'map',
+                'icon-offset': [0, -arrowOffset],
+                'icon-allow-overlap': true,
+                'icon-ignore-placement': true
+            }
+        });
+    }
+
+    /**
+     * Update the rejoin line and arrow
+     */
+    updateRejoinVisualization() {
+        if (!this.mapInstance) return;
+
+        const source = this.mapInstance.getSource('rejoin');
+        if (source) {
+            source.setData(this.createRejoinFeatures());
+        }
+    }
+
+    /**
+     * Create the rejoin features
+     * @returns {Object} GeoJSON FeatureCollection, empty while on track
+     */
+    createRejoinFeatures() {
+        if (!this.rejoin) {
+            return { type: 'FeatureCollection', features: [] };
+        }
+
+        const { location, point, bearing } = this.rejoin;
+        return {
+            type: 'FeatureCollection',
+            features: [
+                {
+                    type: 'Feature',
+                    geometry: {
+                        type: 'LineString',
+                        coordinates: [location.toArray(), point.toArray()]
+                    }
+                },
+                {
+                    type: 'Feature',
+                    properties: { bearing },
+                    geometry: {
+                        type: 'Point',
+                        coordinates: location.toArray()
+                    }
+                }
+            ]
+        };
+    }
+
+    /**
+     * Create the rejoin arrow image
+     * @returns {ImageData} Arrow pointing up, rotated by the layer
+     */
+    createRejoinArrowImage() {
+        const { arrowSize: size, color } = config.location.style.rejoin;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = color;
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+
+        ctx.beginPath();
+        ctx.moveTo(size / 2, 2);
+        ctx.lineTo(size - 4, size - 4);
+        ctx.lineTo(size / 2, size * 0.7);
+        ctx.lineTo(4, size - 4);
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+
+        return ctx.getImageData(0, 0, size, size);
+    }
+
     /**
      * Update location visualization on the map - LEGACY STYLE
      * @param {GeoPoint} geoPoint - Position to update to
@@ -157,15 +296,19 @@ class LocationRenderer {
     clearLocationVisualization() {
         if (!this.mapInstance) return;
 
-        // Remove layer
-        if (this.mapInstance.getLayer('location')) {
-            this.mapInstance.removeLayer('location');
-        }
+        // Remove layers
+        ['rejoin-arrow', 'rejoin-line', 'location'].forEach(id => {
+            if (this.mapInstance.getLayer(id)) {
+                this.mapInstance.removeLayer(id);
+            }
+        });
 
-        // Remove source
-        if (this.mapInstance.getSource('location')) {
-            this.mapInstance.removeSource('location');
-        }
+        // Remove sources
+        ['rejoin', 'location'].forEach(id => {
+            if (this.mapInstance.getSource(id)) {
+                this.mapInstance.removeSource(id);
+            }
+        });
 
         this.isLocationVisible = false;
         this.hasReceivedFirstLocation = false; // Reset first location flag
@@ -22,6 +22,7 @@ class MapRenderer {
         this.eventBus.on('map:zoom-reset-requested', this.handleZoomResetRequest, this);
         this.eventBus.on('map:fit-bounds-requested', this.handleFitBoundsRequest, this);
         this.eventBus.on('map:fly-to-requested', this.handleFlyToRequest, this);
+        this.eventBus.on('session:restore-requested', this.handleSessionRestore, this);
     }
 
     /**
@@ -62,6 +63,18 @@ class MapRenderer {
         this.flyTo(data);
     }
 
+    /**
+     * Handle session restore - bring back the zoom level the user had picked
+     * @param {Object} session - Saved session
+     */
+    handleSessionRestore(session) {
+        const { min, max } = config.map.zoomOffset;
+        this.zoomOffset = Math.max(min, Math.min(max, session.zoomOffset));
+        this.eventBus.emit('map:zoom-changed', {
+            zoomOffset: this.zoomOffset
+        });
+    }
+
     /**
      * Initialize the Mapbox map instance
      */
@@ -86,6 +99,10 @@ class MapRenderer {
                 'id': 'trackAndDirectionsSlot',
                 'type': 'slot',
             });
+            this.mapInstance.addLayer({
+                'id': 'breadcrumbSlot',
+                'type': 'slot',
+            });
             this.mapInstance.addLayer({
                 'id': 'locationSlot',
                 'type': 'slot',
@@ -96,6 +113,12 @@ class MapRenderer {
             });
         });
 
+        this.mapInstance.on('zoomend', () => {
+            this.eventBus.emit('map:zoom-ended', {
+                zoom: this.mapInstance.getZoom()
+            });
+        });
+
         this.mapInstance.on('error', (error) => {
             this.eventBus.emit('map:error', { error });
         });
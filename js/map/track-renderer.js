@@ -4,12 +4,17 @@
  */
 
 import config from '../core/config.js';
+import geoUtils from '../data/geo-utils.js';
+import trackSimplifier from '../data/track-simplifier.js';
 
 class TrackRenderer {
     constructor(eventBus) {
         this.eventBus = eventBus;
         this.mapInstance = null;
         this.isTrackVisible = false;
+        this.lines = []; // Full resolution coordinates, one array per segment
+        this.simplifiedLines = new Map(); // Simplified lines and stats by zoom level
+        this.renderedZoomLevel = null;
         this.setupEventListeners();
     }
 
@@ -20,6 +25,7 @@ class TrackRenderer {
         this.eventBus.on('map:style-loaded', this.handleMapStyleLoaded, this);
         this.eventBus.on('track:loaded', this.handleTrackLoaded, this);
         this.eventBus.on('track:cleared', this.handleTrackCleared, this);
+        this.eventBus.on('map:zoom-ended', this.handleZoomEnded, this);
     }
 
     /**
@@ -36,8 +42,8 @@ class TrackRenderer {
      * @param {Object} data - Track data
      */
     handleTrackLoaded(data) {
-        const { trackPoints } = data;
-        this.renderTrack(trackPoints);
+        const { segments } = data;
+        this.renderTrack(segments);
     }
 
     /**
@@ -47,6 +53,26 @@ class TrackRenderer {
         this.clearTrack();
     }
 
+    /**
+     * Handle zoom ended - redraw the track and its arrows simplified for the new zoom level
+     * @param {Object} data - Contains zoom
+     */
+    handleZoomEnded(data) {
+        if (!this.isTrackVisible) return;
+
+        const zoomLevel = Math.round(data.zoom);
+        if (zoomLevel === this.renderedZoomLevel) return;
+
+        const trackSource = this.mapInstance.getSource('track');
+        const directionsSource = this.mapInstance.getSource('track-directions');
+        if (!trackSource || !directionsSource) return;
+
+        const { lines } = this.getSimplifiedLines(zoomLevel);
+        trackSource.setData(this.createTrackLine(lines));
+        directionsSource.setData(this.createDirectionPoints(lines, zoomLevel));
+        this.renderedZoomLevel = zoomLevel;
+    }
+
     /**
      * Setup track visualization resources
      */
@@ -60,22 +86,27 @@ class TrackRenderer {
 
     /**
      * Render track on the map
-     * @param {Array} trackPoints - Array of GeoPoint objects
+     * @param {Array} segments - Array of segments, each an array of GeoPoint objects
      */
-    async renderTrack(trackPoints) {
-        if (!this.mapInstance || !trackPoints || trackPoints.length === 0) return;
+    renderTrack(segments) {
+        if (!this.mapInstance || !segments || segments.length === 0) return;
 
-        // Convert track points to coordinates
-        const coordinates = trackPoints.map(point => point.toArray());
+        // Replace any previously rendered track (e.g. another track of the same file)
+        if (this.isTrackVisible) {
+            this.clearTrack();
+        }
 
-        // Create track line
-        const trackLine = {
-            'type': 'Feature',
-            'geometry': {
-                'type': 'LineString',
-                'coordinates': coordinates
-            }
-        };
+        // Convert track points to coordinates, one line per segment
+        const lines = segments.map(segment => segment.map(point => point.toArray()));
+        const coordinates = lines.flat();
+
+        this.lines = lines;
+        this.simplifiedLines.clear();
+
+        // Draw only the points that matter at the current zoom, progress uses the full track
+        this.renderedZoomLevel = Math.round(this.mapInstance.getZoom());
+        const { lines: renderedLines, stats } = this.getSimplifiedLines(this.renderedZoomLevel);
+        const trackLine = this.createTrackLine(renderedLines);
 
         // Add track line source and layer
         this.mapInstance.addSource('track', {
@@ -94,8 +125,8 @@ class TrackRenderer {
             }
         });
 
-        // Add direction indicators
-        const directionPoints = await this.createDirectionPoints(coordinates);
+        // Add direction indicators along the drawn line, evenly spaced on screen
+        const directionPoints = this.createDirectionPoints(renderedLines, this.renderedZoomLevel);
 
         this.mapInstance.addSource('track-directions', {
             'type': 'geojson',
@@ -126,10 +157,71 @@ class TrackRenderer {
         this.eventBus.emit('track:rendered', {
             coordinates,
             trackLine,
-            directionPoints
+            directionPoints,
+            stats
         });
     }
 
+    /**
+     * Create the track line feature
+     * @param {Array} lines - Array of coordinate arrays, one per segment
+     * @returns {Object} Track line GeoJSON, gaps between segments stay undrawn
+     */
+    createTrackLine(lines) {
+        return {
+            'type': 'Feature',
+            'geometry': {
+                'type': 'MultiLineString',
+                'coordinates': lines
+            }
+        };
+    }
+
+    /**
+     * Get the track lines simplified for a zoom level, computing them on first use
+     * @param {number} zoomLevel - Integer zoom level
+     * @returns {Object} { lines, stats } with point counts before and after simplification
+     */
+    getSimplifiedLines(zoomLevel) {
+        if (this.simplifiedLines.has(zoomLevel)) {
+            return this.simplifiedLines.get(zoomLevel);
+        }
+
+        const tolerance = trackSimplifier.getTolerance(
+            zoomLevel,
+            this.getReferenceLatitude(),
+            config.track.simplification.pixelTolerance
+        );
+
+        const lines = this.lines.map(line => trackSimplifier.simplify(line, tolerance));
+
+        const originalPoints = this.lines.reduce((sum, line) => sum + line.length, 0);
+        const renderedPoints = lines.reduce((sum, line) => sum + line.length, 0);
+        const stats = {
+            zoomLevel,
+            tolerance,
+            originalPoints,
+            renderedPoints,
+            droppedPoints: originalPoints - renderedPoints
+        };
+
+        const result = { lines, stats };
+        this.simplifiedLines.set(zoomLevel, result);
+
+        console.log(`Track simplified for zoom ${zoomLevel}: ${renderedPoints} of ${originalPoints} points drawn, ${stats.droppedPoints} dropped`);
+
+        return result;
+    }
+
+    /**
+     * Get the latitude used for converting screen pixels to meters
+     * @returns {number} Latitude in degrees
+     */
+    getReferenceLatitude() {
+        // The first point's latitude is close enough for the meters per pixel of the whole track
+        return this.lines[0]?.[0]?.[1] ?? 0;
+    }
+
     /**
      * Clear track visualization
      */
@@ -153,6 +245,9 @@ class TrackRenderer {
         }
 
         this.isTrackVisible = false;
+        this.lines = [];
+        this.simplifiedLines.clear();
+        this.renderedZoomLevel = null;
 
         this.eventBus.emit('track:rendering-cleared');
     }
@@ -184,35 +279,52 @@ class TrackRenderer {
     }
 
     /**
-     * Create direction points with bearings
-     * @param {Array} coordinates - Array of track coordinates
+     * Create direction points with bearings, evenly spaced along the lines
+     * @param {Array} lines - Array of coordinate arrays, one per segment
+     * @param {number} zoomLevel - Zoom level the arrows are spaced for
      * @returns {Object} Direction points GeoJSON
      */
-    async createDirectionPoints(coordinates) {
-        const { frequency } = config.track.arrows;
+    createDirectionPoints(lines, zoomLevel) {
+        const { spacing: pixelSpacing, minSpacing } = config.track.arrows;
+        const spacing = Math.max(
+            minSpacing,
+            trackSimplifier.getTolerance(zoomLevel, this.getReferenceLatitude(), pixelSpacing)
+        );
         const features = [];
 
-        // Import geoUtils
-        const { default: geoUtils } = await import('../data/geo-utils.js');
-
-        for (let i = 0; i < coordinates.length - 1; i += frequency) {
-            const point1 = coordinates[i];
-            const point2 = coordinates[i + 1];
-            if (!point2) continue;
-
-            const bearing = geoUtils.calculateBearing(point1, point2);
-
-            features.push({
-                'type': 'Feature',
-                'geometry': {
-                    'type': 'Point',
-                    'coordinates': point1
-                },
-                'properties': {
-                    'bearing': bearing
+        lines.forEach(coordinates => {
+            // Start half a spacing in, so short segments still show their direction
+            let nextArrow = spacing / 2;
+            let distance = 0;
+
+            for (let i = 0; i < coordinates.length - 1; i++) {
+                const point1 = coordinates[i];
+                const point2 = coordinates[i + 1];
+                const length = geoUtils.calculateDistance(point1, point2);
+
+                // Simplified lines can have long straights, which get several arrows
+                while (length > 0 && nextArrow < distance + length) {
+                    const { lng, lat } = geoUtils.calculateIntermediatePoint(
+                        point1, point2, (nextArrow - distance) / length
+                    );
+
+                    features.push({
+                        'type': 'Feature',
+                        'geometry': {
+                            'type': 'Point',
+                            'coordinates': [lng, lat]
+                        },
+                        'properties': {
+                            'bearing': geoUtils.calculateBearing([lng, lat], point2)
+                        }
+                    });
+
+                    nextArrow += spacing;
                 }
-            });
-        }
+
+                distance += length;
+            }
+        });
 
         return {
             'type': 'FeatureCollection',
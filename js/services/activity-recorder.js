@@ -0,0 +1,317 @@
+/**
+ * activity-recorder.js
+ * Records the ride as it happens, saving every fix to IndexedDB, and exports it as GPX
+ */
+
+import config from '../core/config.js';
+import database from '../data/database.js';
+import gpxWriter from '../data/formats/gpx-writer.js';
+
+class ActivityRecorder {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.stores = config.storage.database.stores;
+        this.state = 'stopped'; // 'stopped', 'recording' or 'paused'
+        this.activity = null; // Record of the activity being recorded
+        this.segmentIndex = 0; // Every resume after a pause starts a new segment
+        this.lastLocation = null;
+        this.trackName = null; // Name of the loaded track, used to name the activity
+        this.writes = Promise.resolve(); // Database writes, kept in order
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('recording:toggle-requested', this.handleToggleRequest, this);
+        this.eventBus.on('recording:stop-requested', this.stop, this);
+        this.eventBus.on('location:fix-accepted', this.handleFixAccepted, this);
+        this.eventBus.on('track:loaded', this.handleTrackLoaded, this);
+        this.eventBus.on('track:cleared', this.handleTrackCleared, this);
+        this.eventBus.on('session:restore-requested', this.handleSessionRestore, this);
+    }
+
+    /**
+     * Handle the record button - start, pause or resume
+     */
+    handleToggleRequest() {
+        if (this.state === 'stopped') {
+            this.start();
+        } else if (this.state === 'recording') {
+            this.pause();
+        } else {
+            this.resume();
+        }
+    }
+
+    /**
+     * Handle track loaded
+     * @param {Object} data - Track data
+     */
+    handleTrackLoaded(data) {
+        this.trackName = data.metadata.name || data.metadata.filename || null;
+    }
+
+    /**
+     * Handle track cleared
+     */
+    handleTrackCleared() {
+        this.trackName = null;
+    }
+
+    /**
+     * Handle session restore - carry on with the recording the app was killed in
+     * @param {Object} session - Saved session
+     */
+    async handleSessionRestore(session) {
+        if (!session.recording || this.state !== 'stopped') return;
+
+        try {
+            await this.restore(session.recording);
+        } catch (error) {
+            this.handleError('Could not resume the recording', error);
+        }
+    }
+
+    /**
+     * Handle fix accepted - save every filtered fix while recording, not just the map updates
+     * @param {Object} data - Location data
+     */
+    handleFixAccepted(data) {
+        const { location, accuracy } = data;
+        if (this.state !== 'recording' || !this.activity || !location) return;
+
+        // Some browsers hand out the same cached fix twice
+        if (this.lastLocation && location.timestamp === this.lastLocation.timestamp) return;
+
+        if (this.lastLocation) {
+            this.activity.distance += location.distanceTo(this.lastLocation);
+        }
+        this.activity.pointCount++;
+        this.lastLocation = location;
+
+        const point = {
+            activityId: this.activity.id,
+            segmentIndex: this.segmentIndex,
+            lng: location.lng,
+            lat: location.lat,
+            time: location.timestamp,
+            altitude: location.altitude,
+            speed: location.speed,
+            accuracy: accuracy ?? location.accuracy
+        };
+
+        const activity = { ...this.activity };
+        this.write(async () => {
+            await database.put(this.stores.activityPoints, point);
+            await database.put(this.stores.activities, activity);
+        });
+    }
+
+    /**
+     * Start a new recording
+     */
+    async start() {
+        if (this.state !== 'stopped') return;
+
+        const now = Date.now();
+        const activity = {
+            name: this.trackName || `Ride ${new Date(now).toLocaleString()}`,
+            startedAt: now,
+            endedAt: null,
+            distance: 0,
+            pointCount: 0
+        };
+
+        // Claim the state before the first await so a double tap starts only one recording
+        this.state = 'recording';
+        this.segmentIndex = 0;
+        this.lastLocation = null;
+
+        try {
+            activity.id = await database.put(this.stores.activities, activity);
+        } catch (error) {
+            this.state = 'stopped';
+            this.handleError('Could not start recording', error);
+            return;
+        }
+
+        this.activity = activity;
+        this.eventBus.emit('recording:started', { activityId: activity.id });
+        this.emitStateChanged();
+    }
+
+    /**
+     * Continue an unfinished recording
+     * @param {Object} recording - Contains activityId and state
+     */
+    async restore(recording) {
+        const activity = await database.get(this.stores.activities, recording.activityId);
+        if (!activity || activity.endedAt) return;
+
+        const points = await database.getAllByIndex(this.stores.activityPoints, 'activityId', activity.id);
+        if (this.state !== 'stopped') return;
+
+        // The time the app was gone is a gap, like a pause
+        this.activity = { ...activity, pointCount: points.length };
+        this.segmentIndex = points.length > 0 ? points[points.length - 1].segmentIndex + 1 : 0;
+        this.lastLocation = null;
+        this.state = recording.state === 'paused' ? 'paused' : 'recording';
+
+        this.eventBus.emit('recording:restored', { activityId: activity.id, points });
+        this.emitStateChanged();
+    }
+
+    /**
+     * Pause the recording, fixes are ignored until it is resumed
+     */
+    pause() {
+        if (this.state !== 'recording' || !this.activity) return;
+
+        this.state = 'paused';
+        this.emitStateChanged();
+    }
+
+    /**
+     * Resume a paused recording in a new segment
+     */
+    resume() {
+        if (this.state !== 'paused') return;
+
+        // The gap while paused is not part of the ride
+        this.segmentIndex++;
+        this.lastLocation = null;
+
+        this.state = 'recording';
+        this.emitStateChanged();
+    }
+
+    /**
+     * Finish the recording and export it
+     */
+    async stop() {
+        if (this.state === 'stopped' || !this.activity) return;
+
+        const activity = { ...this.activity, endedAt: Date.now() };
+        this.state = 'stopped';
+        this.activity = null;
+        this.lastLocation = null;
+        this.emitStateChanged();
+
+        try {
+            await this.writes;
+
+            // Nothing worth keeping
+            if (activity.pointCount === 0) {
+                await database.delete(this.stores.activities, activity.id);
+                this.eventBus.emit('recording:stopped', { activityId: null });
+                return;
+            }
+
+            await database.put(this.stores.activities, activity);
+            this.eventBus.emit('recording:stopped', { activityId: activity.id });
+
+            await this.exportGpx(activity.id);
+        } catch (error) {
+            this.handleError('Could not save the recording', error);
+        }
+    }
+
+    /**
+     * Export a recorded activity as a GPX download
+     * @param {number} activityId - Activity id
+     */
+    async exportGpx(activityId) {
+        const activity = await database.get(this.stores.activities, activityId);
+        if (!activity) {
+            throw new Error('Recording not found');
+        }
+
+        const points = await database.getAllByIndex(this.stores.activityPoints, 'activityId', activityId);
+
+        const segments = [];
+        points.forEach((point, i) => {
+            if (i === 0 || point.segmentIndex !== points[i - 1].segmentIndex) {
+                segments.push([]);
+            }
+            segments[segments.length - 1].push(point);
+        });
+
+        const content = gpxWriter.write(activity, segments);
+        this.download(this.getFilename(activity), content);
+    }
+
+    /**
+     * Build the download name of an activity
+     * @param {Object} activity - Activity record
+     * @returns {string} File name like 2024-05-01-evening-ride.gpx
+     */
+    getFilename(activity) {
+        const date = new Date(activity.startedAt).toISOString().slice(0, 10);
+        const slug = activity.name
+            .toLowerCase()
+            .replace(/\.[a-z]+$/, '') // Drop the extension of a track file name
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+
+        return `${date}-${slug || 'ride'}${gpxWriter.extension}`;
+    }
+
+    /**
+     * Save a file to the device
+     * @param {string} filename - File name
+     * @param {string} content - File content
+     */
+    download(filename, content) {
+        const blob = new Blob([content], { type: gpxWriter.mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser time to start the download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Queue a database write behind the earlier ones
+     * @param {Function} operation - Async write
+     */
+    write(operation) {
+        this.writes = this.writes
+            .then(operation)
+            .catch(error => this.handleError('Could not save the recorded position', error));
+    }
+
+    /**
+     * Report a recording error to the user
+     * @param {string} message - Message shown to the user
+     * @param {Error} error - Cause
+     */
+    handleError(message, error) {
+        console.error(`${message}:`, error);
+
+        this.eventBus.emit('notification:show-requested', {
+            key: 'recording',
+            type: 'error',
+            message
+        });
+    }
+
+    /**
+     * Announce the recording state
+     */
+    emitStateChanged() {
+        this.eventBus.emit('recording:state-changed', {
+            state: this.state,
+            activityId: this.activity ? this.activity.id : null
+        });
+    }
+}
+
+export default ActivityRecorder;
@@ -0,0 +1,188 @@
+/**
+ * adaptive-sampling.js
+ * Feeds the sampling policy with speed, progress and battery, and announces when the sampling changes
+ */
+
+import config from '../core/config.js';
+import geoUtils from '../data/geo-utils.js';
+import SamplingPolicy from './sampling-policy.js';
+
+class AdaptiveSampling {
+    /**
+     * Create the service
+     * @param {EventBus} eventBus - Event bus
+     * @param {Object} clock - Time source with now() in milliseconds, Date unless testing
+     */
+    constructor(eventBus, clock = Date) {
+        this.eventBus = eventBus;
+        this.clock = clock;
+        this.policy = new SamplingPolicy(config.location.sampling, clock);
+        this.turns = []; // Distances from start of the track's turns, ascending
+        this.speed = null;
+        this.progress = null; // { distanceFromStart, time } of the last progress update
+        this.isOffTrack = false;
+        this.battery = null; // { level, charging }
+        this.sampling = null; // Last announced { interval, highAccuracy, reason }
+        this.setupEventListeners();
+        this.watchBattery();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('location:updated', this.handleLocationUpdated, this);
+        this.eventBus.on('progress:updated', this.handleProgressUpdate, this);
+        this.eventBus.on('progress:off-track-changed', this.handleOffTrackChanged, this);
+        this.eventBus.on('track:loaded', this.handleTrackLoaded, this);
+        this.eventBus.on('track:cleared', this.handleTrackCleared, this);
+    }
+
+    /**
+     * Follow the battery level where the Battery Status API is available
+     */
+    async watchBattery() {
+        if (!('getBattery' in navigator)) return;
+
+        try {
+            const battery = await navigator.getBattery();
+            const update = () => {
+                this.battery = { level: battery.level, charging: battery.charging };
+                this.evaluate();
+            };
+
+            battery.addEventListener('levelchange', update);
+            battery.addEventListener('chargingchange', update);
+            update();
+        } catch (error) {
+            console.warn('Battery status unavailable:', error);
+        }
+    }
+
+    /**
+     * Handle location updated
+     * @param {Object} data - Location data
+     */
+    handleLocationUpdated(data) {
+        const { location } = data;
+        if (!location) return;
+
+        this.speed = location.speed;
+        this.evaluate();
+    }
+
+    /**
+     * Handle progress update
+     * @param {Object} data - Progress data
+     */
+    handleProgressUpdate(data) {
+        this.progress = {
+            distanceFromStart: data.distanceFromStart,
+            time: this.clock.now()
+        };
+        this.evaluate();
+    }
+
+    /**
+     * Handle off-track status change
+     * @param {Object} data - Contains isOffTrack
+     */
+    handleOffTrackChanged(data) {
+        this.isOffTrack = data.isOffTrack;
+        this.evaluate();
+    }
+
+    /**
+     * Handle track loaded - find the turns to slow down for
+     * @param {Object} data - Track data
+     */
+    handleTrackLoaded(data) {
+        this.turns = this.findTurns(data.trackPoints);
+        this.progress = null;
+        this.isOffTrack = false;
+        this.evaluate();
+    }
+
+    /**
+     * Handle track cleared
+     */
+    handleTrackCleared() {
+        this.turns = [];
+        this.progress = null;
+        this.isOffTrack = false;
+        this.evaluate();
+    }
+
+    /**
+     * Find where the track changes direction
+     * @param {Array<GeoPoint>} trackPoints - Track points
+     * @returns {Array<number>} Distances from start of the turns, ascending
+     */
+    findTurns(trackPoints) {
+        const { turnAngle, turnSampleDistance } = config.location.sampling;
+
+        // Sample at even distances, so dense and sparse tracks show the same bends
+        const samples = [];
+        let nextDistance = 0;
+        trackPoints.forEach(point => {
+            const last = samples[samples.length - 1];
+            if (point.distanceFromStart >= nextDistance || (last && point.segmentIndex !== last.segmentIndex)) {
+                samples.push(point);
+                nextDistance = point.distanceFromStart + turnSampleDistance;
+            }
+        });
+
+        const turns = [];
+        for (let i = 1; i < samples.length - 1; i++) {
+            const [before, point, after] = [samples[i - 1], samples[i], samples[i + 1]];
+            if (before.segmentIndex !== point.segmentIndex || point.segmentIndex !== after.segmentIndex) continue;
+
+            const change = Math.abs(
+                (geoUtils.calculateBearing(point, after) - geoUtils.calculateBearing(before, point) + 540) % 360 - 180
+            );
+            if (change >= turnAngle) {
+                turns.push(point.distanceFromStart);
+            }
+        }
+
+        return turns;
+    }
+
+    /**
+     * Estimate the distance to the next turn
+     * @returns {number|null} Meters, Infinity past the last turn, null without progress
+     */
+    getDistanceToTurn() {
+        if (!this.progress || this.isOffTrack) return null;
+
+        // Progress only updates every minute, move it on at the current speed
+        const elapsed = (this.clock.now() - this.progress.time) / 1000;
+        const distance = this.progress.distanceFromStart + (this.speed || 0) * elapsed;
+
+        const nextTurn = this.turns.find(turn => turn >= distance);
+        return nextTurn === undefined ? Infinity : nextTurn - distance;
+    }
+
+    /**
+     * Ask the policy and announce a change of sampling
+     */
+    evaluate() {
+        const sampling = this.policy.evaluate({
+            speed: this.speed,
+            distanceToTurn: this.getDistanceToTurn(),
+            isOffTrack: this.isOffTrack,
+            battery: this.battery
+        });
+
+        const previous = this.sampling;
+        this.sampling = sampling;
+
+        if (previous && previous.interval === sampling.interval && previous.highAccuracy === sampling.highAccuracy) {
+            return;
+        }
+
+        this.eventBus.emit('location:sampling-changed', sampling);
+    }
+}
+
+export default AdaptiveSampling;
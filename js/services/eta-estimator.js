@@ -0,0 +1,117 @@
+/**
+ * eta-estimator.js
+ * Estimates the time left on the track from recent moving speed and the climbing ahead.
+ */
+
+import config from '../core/config.js';
+
+const etaEstimator = {
+
+    /**
+     * Measures the average speed while moving over the location history
+     * @param {Array} locationHistory - Entries with location and timestamp, oldest first
+     * @returns {Object} { speed, movingTime, movingDistance, variation } with speed in m/s,
+     *                   time in seconds and variation the coefficient of variation of speeds
+     */
+    calculateMovingSpeed(locationHistory) {
+        const { stoppedSpeed, maxSpeed } = config.eta;
+        const speeds = [];
+        let movingTime = 0;
+        let movingDistance = 0;
+
+        for (let i = 1; i < locationHistory.length; i++) {
+            const previous = locationHistory[i - 1];
+            const current = locationHistory[i];
+            const duration = (current.timestamp - previous.timestamp) / 1000;
+            if (duration <= 0) continue;
+
+            const distance = current.location.distanceTo(previous.location);
+            const speed = distance / duration;
+
+            // Stops and GPS jumps say nothing about the pace
+            if (speed < stoppedSpeed || speed > maxSpeed) continue;
+
+            speeds.push(speed);
+            movingTime += duration;
+            movingDistance += distance;
+        }
+
+        if (movingTime === 0) {
+            return { speed: 0, movingTime: 0, movingDistance: 0, variation: 0 };
+        }
+
+        const speed = movingDistance / movingTime;
+        const variance = speeds.reduce((sum, s) => sum + (s - speed) ** 2, 0) / speeds.length;
+
+        return {
+            speed,
+            movingTime,
+            movingDistance,
+            variation: Math.sqrt(variance) / speed
+        };
+    },
+
+    /**
+     * Calculates the extra time the climbing ahead takes on top of the flat pace
+     * @param {number|null} remainingAscent - Meters to climb, null when unknown
+     * @param {string} activity - 'walking', 'cycling' or 'none'
+     * @returns {number} Extra time in seconds
+     */
+    calculateClimbingTime(remainingAscent, activity) {
+        if (!remainingAscent) return 0;
+
+        switch (activity) {
+            case 'walking':
+                // Naismith's rule: an extra hour for every ascentRate meters climbed
+                return remainingAscent / config.eta.walking.ascentRate * 3600;
+            case 'cycling': {
+                // Lifting rider and bike against gravity at the sustained climbing power
+                const { power, mass } = config.eta.cycling;
+                return mass * 9.81 * remainingAscent / power;
+            }
+            default:
+                return 0;
+        }
+    },
+
+    /**
+     * Estimates the time left and the arrival time
+     * @param {Object} options - Estimation input
+     * @param {Array} options.locationHistory - Entries with location and timestamp, oldest first
+     * @param {number} options.remainingDistance - Meters left on the track
+     * @param {number|null} options.remainingAscent - Meters left to climb, null when unknown
+     * @param {string} options.activity - Climbing model, see calculateClimbingTime
+     * @param {number} options.now - Current time in milliseconds
+     * @returns {Object} { timeRemaining, etaTimestamp, confidence, speed }, times are null
+     *                   while there is not enough movement to estimate from; speed is the
+     *                   moving speed in m/s
+     */
+    estimate({ locationHistory, remainingDistance, remainingAscent = null, activity = config.eta.activity, now = Date.now() }) {
+        const { speed, movingTime, variation } = this.calculateMovingSpeed(locationHistory);
+
+        if (movingTime < config.eta.minimumMovingTime || speed === 0) {
+            return {
+                timeRemaining: null,
+                etaTimestamp: null,
+                confidence: 0,
+                speed: movingTime > 0 ? speed : null
+            };
+        }
+
+        const timeRemaining = remainingDistance / speed +
+            this.calculateClimbingTime(remainingAscent, activity);
+
+        // More moving time and a steadier pace make the estimate more trustworthy
+        const coverage = Math.min(1, movingTime / config.eta.fullConfidenceMovingTime);
+        const confidence = coverage / (1 + variation);
+
+        return {
+            timeRemaining,
+            etaTimestamp: now + timeRemaining * 1000,
+            confidence,
+            speed
+        };
+    }
+};
+
+export default etaEstimator;
@@ -9,9 +9,14 @@ class LocationTracker {
     constructor(eventBus) {
         this.eventBus = eventBus;
         this.watchId = null;
+        this.isRequestPending = false; // Whether a single position request is running
         this.updateTimer = null;
         this.isPaused = false;
         this.isTracking = false;
+        this.sampling = {
+            interval: config.location.tracking.updateInterval,
+            highAccuracy: config.location.tracking.options.enableHighAccuracy
+        };
         this.setupEventListeners();
     }
 
@@ -24,6 +29,8 @@ class LocationTracker {
         this.eventBus.on('location:pause-requested', this.handlePauseRequest, this);
         this.eventBus.on('location:resume-requested', this.handleResumeRequest, this);
         this.eventBus.on('location:refresh-requested', this.handleRefreshRequest, this);
+        this.eventBus.on('location:retry-requested', this.handleRetryRequest, this);
+        this.eventBus.on('location:sampling-changed', this.handleSamplingChanged, this);
     }
 
     /**
@@ -62,6 +69,31 @@ class LocationTracker {
         this.triggerLocationUpdate();
     }
 
+    /**
+     * Handle retry request (restart geolocation after an error)
+     */
+    handleRetryRequest() {
+        this.stopLocationTracking();
+        this.startLocationTracking();
+    }
+
+    /**
+     * Handle sampling change from the adaptive sampling policy
+     * @param {Object} data - Contains interval and highAccuracy
+     */
+    handleSamplingChanged(data) {
+        const { interval, highAccuracy } = data;
+        const accuracyChanged = highAccuracy !== this.sampling.highAccuracy;
+        this.sampling = { interval, highAccuracy };
+
+        if (!this.isTracking) return;
+
+        this.startUpdateCycle();
+
+        // The accuracy of a running watch cannot be changed, start a new one
+        this.updateWatch(accuracyChanged);
+    }
+
     /**
      * Start location tracking
      */
@@ -79,12 +111,11 @@ class LocationTracker {
             return;
         }
 
-        // Start continuous location watching
-        this.watchId = navigator.geolocation.watchPosition(
-            this.handlePositionUpdate.bind(this),
-            this.handleLocationError.bind(this),
-            config.location.tracking.options
-        );
+        // Watch the position, or ask for it right away when updates are far apart
+        this.updateWatch(false);
+        if (this.watchId === null) {
+            this.requestPosition();
+        }
 
         // Start update cycle
         this.startUpdateCycle();
@@ -93,6 +124,65 @@ class LocationTracker {
         this.eventBus.emit('location:tracking-started');
     }
 
+    /**
+     * Watch the GPS at short update intervals, leave it off between updates at long ones
+     * @param {boolean} restart - Whether a running watch must be restarted, e.g. for a new accuracy
+     */
+    updateWatch(restart) {
+        const shouldWatch = this.sampling.interval < config.location.sampling.pollFromInterval;
+
+        if (this.watchId !== null && (!shouldWatch || restart)) {
+            navigator.geolocation.clearWatch(this.watchId);
+            this.watchId = null;
+        }
+
+        if (shouldWatch && this.watchId === null) {
+            this.watchPosition();
+        }
+    }
+
+    /**
+     * Ask for a single position, used instead of the watch at long update intervals
+     */
+    requestPosition() {
+        if (this.isRequestPending) return;
+
+        this.isRequestPending = true;
+        navigator.geolocation.getCurrentPosition(
+            position => {
+                this.isRequestPending = false;
+                this.handlePositionUpdate(position);
+            },
+            error => {
+                this.isRequestPending = false;
+                this.handleLocationError(error);
+            },
+            this.getPositionOptions()
+        );
+    }
+
+    /**
+     * Get the geolocation options for the current accuracy
+     * @returns {Object} PositionOptions
+     */
+    getPositionOptions() {
+        return {
+            ...config.location.tracking.options,
+            enableHighAccuracy: this.sampling.highAccuracy
+        };
+    }
+
+    /**
+     * Watch the position with the current accuracy
+     */
+    watchPosition() {
+        this.watchId = navigator.geolocation.watchPosition(
+            this.handlePositionUpdate.bind(this),
+            this.handleLocationError.bind(this),
+            this.getPositionOptions()
+        );
+    }
+
     /**
      * Stop location tracking
      */
@@ -121,8 +211,12 @@ class LocationTracker {
         }
 
         this.updateTimer = setInterval(() => {
+            // Without a watch the fix asked for now is shown at the next update
+            if (this.watchId === null) {
+                this.requestPosition();
+            }
             this.triggerLocationUpdate();
-        }, config.location.tracking.updateInterval);
+        }, this.sampling.interval);
     }
 
     /**
@@ -0,0 +1,170 @@
+/**
+ * off-track-alerts.js
+ * Vibration, sound and spoken alerts when leaving and rejoining the track
+ */
+
+import config from '../core/config.js';
+import units from '../core/units.js';
+
+class OffTrackAlerts {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.audioContext = null;
+        this.isMuted = localStorage.getItem(config.storage.keys.alertsMuted) === 'true';
+        this.reset();
+        this.setupEventListeners();
+
+        // Let the controls show the saved state
+        this.eventBus.emit('alerts:mute-changed', { muted: this.isMuted });
+    }
+
+    /**
+     * Reset alert state
+     */
+    reset() {
+        this.isOffTrack = false;
+        this.lastAlertTime = 0;
+        this.lastOffTrackAlertTime = 0;
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('progress:off-track-changed', this.handleOffTrackChanged, this);
+        this.eventBus.on('progress:updated', this.handleProgressUpdate, this);
+        this.eventBus.on('track:loaded', this.reset, this);
+        this.eventBus.on('track:cleared', this.reset, this);
+        this.eventBus.on('alerts:mute-toggle', this.handleMuteToggle, this);
+
+        // Browsers only allow audio after the user touched the page
+        this.eventBus.on('ui:user-interaction', this.unlockAudio, this);
+    }
+
+    /**
+     * Handle off-track status change
+     * @param {Object} data - Contains isOffTrack and distanceFromTrack
+     */
+    handleOffTrackChanged(data) {
+        const { isOffTrack, distanceFromTrack } = data;
+        this.isOffTrack = isOffTrack;
+
+        if (isOffTrack) {
+            this.alertOffTrack(distanceFromTrack);
+        } else {
+            this.alert('onTrack', 'Back on route');
+        }
+    }
+
+    /**
+     * Handle progress update - remind the user while they stay off track
+     * @param {Object} data - Progress data
+     */
+    handleProgressUpdate(data) {
+        if (!this.isOffTrack) return;
+
+        if (Date.now() - this.lastOffTrackAlertTime >= config.alerts.repeatInterval) {
+            this.alertOffTrack(data.distanceFromTrack);
+        }
+    }
+
+    /**
+     * Handle mute toggle from the controls
+     */
+    handleMuteToggle() {
+        this.isMuted = !this.isMuted;
+        localStorage.setItem(config.storage.keys.alertsMuted, String(this.isMuted));
+
+        if (this.isMuted && 'speechSynthesis' in window) {
+            window.speechSynthesis.cancel();
+        }
+
+        this.eventBus.emit('alerts:mute-changed', { muted: this.isMuted });
+    }
+
+    /**
+     * Alert that the user is off track
+     * @param {number} distanceFromTrack - Distance from the track in meters
+     */
+    alertOffTrack(distanceFromTrack) {
+        if (this.alert('offTrack', `Off route, ${units.formatSpokenDistance(distanceFromTrack)}`)) {
+            this.lastOffTrackAlertTime = Date.now();
+        }
+    }
+
+    /**
+     * Vibrate, beep and speak, unless muted or alerted too recently
+     * @param {string} type - 'offTrack' or 'onTrack'
+     * @param {string} message - Text to speak
+     * @returns {boolean} Whether the alert went off
+     */
+    alert(type, message) {
+        const now = Date.now();
+        if (this.isMuted || now - this.lastAlertTime < config.alerts.minInterval) return false;
+
+        this.lastAlertTime = now;
+
+        if ('vibrate' in navigator) {
+            navigator.vibrate(config.alerts.vibration[type]);
+        }
+
+        this.playTone(config.alerts.tones[type]);
+
+        if (config.alerts.speech && 'speechSynthesis' in window) {
+            window.speechSynthesis.cancel();
+            window.speechSynthesis.speak(new SpeechSynthesisUtterance(message));
+        }
+
+        this.eventBus.emit('alerts:played', { type, message });
+        return true;
+    }
+
+    /**
+     * Create or resume the audio context while handling a user gesture
+     */
+    unlockAudio() {
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+
+        if (!this.audioContext) {
+            this.audioContext = new AudioContext();
+        }
+
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume().catch(() => {});
+        }
+    }
+
+    /**
+     * Play a sequence of beeps
+     * @param {Array<number>} frequencies - Frequency of each beep in Hz
+     */
+    playTone(frequencies) {
+        if (!this.audioContext || this.audioContext.state !== 'running') return;
+
+        const { beepDuration, volume } = config.alerts;
+        const start = this.audioContext.currentTime;
+
+        frequencies.forEach((frequency, i) => {
+            const oscillator = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+            const beepStart = start + i * beepDuration * 1.5;
+            const beepEnd = beepStart + beepDuration;
+
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+
+            // Ramp the volume to avoid clicks
+            gain.gain.setValueAtTime(0, beepStart);
+            gain.gain.linearRampToValueAtTime(volume, beepStart + 0.01);
+            gain.gain.linearRampToValueAtTime(0, beepEnd);
+
+            oscillator.connect(gain);
+            gain.connect(this.audioContext.destination);
+            oscillator.start(beepStart);
+            oscillator.stop(beepEnd);
+        });
+    }
+}
+
+export default OffTrackAlerts;
@@ -4,12 +4,17 @@
  */
 
 import config from '../core/config.js';
+import etaEstimator from './eta-estimator.js';
+import geoUtils from '../data/geo-utils.js';
 
 class ProgressTracker {
     constructor(eventBus) {
         this.eventBus = eventBus;
         this.lastUpdateTime = 0;
         this.isOffTrack = false;
+        this.lastMatch = null; // { index, distanceFromStart, time } of the previous match
+        this.startedAt = null; // Time of the first match on this track
+        this.restoredMatch = null; // Match of a resumed session, applied when its track is loaded
         this.setupEventListeners();
     }
 
@@ -20,6 +25,7 @@ class ProgressTracker {
         this.eventBus.on('location:updated', this.handleLocationUpdate, this);
         this.eventBus.on('track:cleared', this.handleTrackCleared, this);
         this.eventBus.on('track:loaded', this.handleTrackLoaded, this);
+        this.eventBus.on('session:restore-requested', this.handleSessionRestore, this);
     }
 
     /**
@@ -29,6 +35,12 @@ class ProgressTracker {
     async handleLocationUpdate(data) {
         const { location } = data;
         if (!location) return; // Skip if no location available
+
+        // Point the way back on every fix, progress itself only updates every interval
+        if (this.isOffTrack) {
+            this.eventBus.emit('progress:rejoin-requested', { location });
+        }
+
         await this.updateProgress(location);
     }
 
@@ -36,6 +48,17 @@ class ProgressTracker {
      * Handle track loaded - try to calculate initial progress if location is available
      */
     async handleTrackLoaded() {
+        // A new track (or another track of the file) starts matching from scratch
+        this.reset();
+
+        // Unless it is the track of a resumed session, which carries on where it was
+        if (this.restoredMatch) {
+            const { index, distanceFromStart, time, startedAt } = this.restoredMatch;
+            this.lastMatch = { index, distanceFromStart, time };
+            this.startedAt = startedAt;
+            this.restoredMatch = null;
+        }
+
         // Request current location and try to calculate progress immediately
         this.eventBus.emit('location:update-requested');
 
@@ -48,6 +71,14 @@ class ProgressTracker {
         }
     }
 
+    /**
+     * Handle session restore - keep the match until the session's track is loaded
+     * @param {Object} session - Saved session
+     */
+    handleSessionRestore(session) {
+        this.restoredMatch = session.trackId !== null ? session.match : null;
+    }
+
     /**
      * Handle track cleared
      */
@@ -59,8 +90,14 @@ class ProgressTracker {
      * Reset progress tracker state
      */
     reset() {
+        if (this.isOffTrack) {
+            this.eventBus.emit('progress:rejoin-cleared');
+        }
+
         this.lastUpdateTime = 0;
         this.isOffTrack = false;
+        this.lastMatch = null;
+        this.startedAt = null;
     }
 
     /**
@@ -97,16 +134,41 @@ class ProgressTracker {
      * Calculate progress based on track data
      * @param {GeoPoint} location - Current location
      * @param {Object} trackDataStore - Track data store instance
+     * @param {Array} locationHistory - Recent locations for the arrival estimate
      */
-    async calculateProgress(location, trackDataStore) {
-        const closest = await trackDataStore.findClosestPoint(location);
+    async calculateProgress(location, trackDataStore, locationHistory = []) {
+        const closest = await this.matchLocation(location, trackDataStore);
         if (!closest) return;
 
-        const { remainingDistance, distanceFromTrack } = closest;
+        const now = Date.now();
+        this.lastMatch = {
+            index: closest.index,
+            distanceFromStart: closest.distanceFromStart,
+            time: now
+        };
+        this.startedAt = this.startedAt ?? now;
+
+        const { distanceFromStart, remainingDistance, remainingAscent, remainingDescent, distanceFromTrack } = closest;
+        const totalDistance = distanceFromStart + remainingDistance;
+
+        const { timeRemaining, etaTimestamp, confidence, speed } = etaEstimator.estimate({
+            locationHistory,
+            remainingDistance,
+            remainingAscent
+        });
 
         // Update progress
         this.eventBus.emit('progress:updated', {
             remainingDistance,
+            distanceFromStart,
+            percentComplete: totalDistance > 0 ? distanceFromStart / totalDistance * 100 : 0,
+            elapsedTime: (now - this.startedAt) / 1000,
+            averageSpeed: speed,
+            remainingAscent,
+            remainingDescent,
+            timeRemaining,
+            etaTimestamp,
+            etaConfidence: confidence,
             distanceFromTrack,
             closestPoint: closest.point,
             pointIndex: closest.index
@@ -121,10 +183,125 @@ class ProgressTracker {
                 isOffTrack: this.isOffTrack,
                 distanceFromTrack
             });
+
+            if (this.isOffTrack) {
+                await this.calculateRejoin(location, trackDataStore);
+            } else {
+                this.eventBus.emit('progress:rejoin-cleared');
+            }
         }
 
         this.lastUpdateTime = Date.now();
     }
+
+    /**
+     * Find where to rejoin the track and the way there
+     *
+     * Only the track ahead of the last match is searched, so the guidance never leads
+     * back to a part of the route that is already done.
+     * @param {GeoPoint} location - Current location
+     * @param {Object} trackDataStore - Track data store instance
+     */
+    async calculateRejoin(location, trackDataStore) {
+        if (!this.isOffTrack || !this.lastMatch) return;
+
+        const ahead = await trackDataStore.findClosestPoint(location, { minIndex: this.lastMatch.index });
+        if (!ahead || !this.isOffTrack) return;
+
+        this.eventBus.emit('progress:rejoin-updated', {
+            location,
+            point: ahead.point,
+            bearing: geoUtils.calculateBearing(location, ahead.point),
+            distance: ahead.distanceFromTrack,
+            distanceFromStart: ahead.distanceFromStart
+        });
+    }
+
+    /**
+     * Match a location to the track, preferring positions just ahead of the previous match
+     *
+     * Where the track passes the same place twice (loops, out-and-back legs) the globally
+     * closest position can belong to either pass, so the search is limited to a window
+     * around the previous match. It starts with the distance expected at the current
+     * speed and widens to the fastest expected travel. A match outside the window is
+     * only taken when it is clearly closer than anything inside it. Before the first
+     * match the window sits at the start of the track, so a loop starts at its start
+     * rather than its finish.
+     * @param {GeoPoint} location - Current location
+     * @param {Object} trackDataStore - Track data store instance
+     * @returns {Promise<Object|null>} Closest point data, see TrackDataStore.findClosestPoint
+     */
+    async matchLocation(location, trackDataStore) {
+        const global = await trackDataStore.findClosestPoint(location);
+        if (!global) return null;
+
+        const { behindDistance, aheadDistance, maxSpeed, reacquireMargin } = config.progress.matching;
+        const previous = this.lastMatch || { index: 0, distanceFromStart: 0, time: Date.now() };
+        const elapsed = Math.max(0, Date.now() - previous.time) / 1000;
+        const minIndex = trackDataStore.findIndexAtDistance(previous.distanceFromStart - behindDistance);
+        const expectedDistance = previous.distanceFromStart + (location.speed || 0) * elapsed;
+
+        let windowed = null;
+        for (const speed of [location.speed || 0, maxSpeed]) {
+            const maxIndex = trackDataStore.findIndexAtDistance(
+                previous.distanceFromStart + aheadDistance + speed * elapsed
+            );
+            windowed = await this.matchInWindow(location, trackDataStore, {
+                minIndex,
+                maxIndex,
+                splitIndex: previous.index,
+                expectedDistance
+            });
+
+            if (windowed && windowed.distanceFromTrack <= config.progress.offTrackThreshold) break;
+        }
+
+        if (!windowed || windowed.distanceFromTrack - global.distanceFromTrack > reacquireMargin) {
+            return global;
+        }
+
+        // Without a previous match, only start at the start when the rider is actually there
+        if (!this.lastMatch && windowed.distanceFromTrack > config.progress.offTrackThreshold) {
+            return global;
+        }
+
+        return windowed;
+    }
+
+    /**
+     * Match a location within a window of the track
+     *
+     * The window is searched in two parts, up to and after the previous match. At the
+     * turn of an out-and-back both legs are as close as each other, so when the parts'
+     * matches are about as close, the one nearer the expected progress wins.
+     * @param {GeoPoint} location - Current location
+     * @param {Object} trackDataStore - Track data store instance
+     * @param {Object} window - Search window
+     * @param {number} window.minIndex - First segment searched
+     * @param {number} window.maxIndex - Last segment searched
+     * @param {number} window.splitIndex - Segment of the previous match
+     * @param {number} window.expectedDistance - Distance from start expected at the current speed
+     * @returns {Promise<Object|null>} Closest point data, see TrackDataStore.findClosestPoint
+     */
+    async matchInWindow(location, trackDataStore, { minIndex, maxIndex, splitIndex, expectedDistance }) {
+        const behind = await trackDataStore.findClosestPoint(location, {
+            minIndex,
+            maxIndex: Math.min(splitIndex, maxIndex)
+        });
+        const ahead = await trackDataStore.findClosestPoint(location, {
+            minIndex: Math.max(splitIndex + 1, minIndex),
+            maxIndex
+        });
+        if (!behind || !ahead) return behind || ahead;
+
+        if (Math.abs(behind.distanceFromTrack - ahead.distanceFromTrack) > config.progress.matching.tieDistance) {
+            return behind.distanceFromTrack < ahead.distanceFromTrack ? behind : ahead;
+        }
+
+        const behindOffset = Math.abs(behind.distanceFromStart - expectedDistance);
+        const aheadOffset = Math.abs(ahead.distanceFromStart - expectedDistance);
+        return behindOffset < aheadOffset ? behind : ahead;
+    }
 }
 
 export default ProgressTracker;
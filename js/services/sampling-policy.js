@@ -0,0 +1,76 @@
+/**
+ * sampling-policy.js
+ * Decides how often to update the location and how accurate the GPS must be
+ */
+
+import config from '../core/config.js';
+
+class SamplingPolicy {
+    /**
+     * Create a policy
+     * @param {Object} options - Thresholds, see config.location.sampling
+     * @param {Object} clock - Time source with now() in milliseconds, Date unless testing
+     */
+    constructor(options = config.location.sampling, clock = Date) {
+        this.options = options;
+        this.clock = clock;
+        this.normalInterval = config.location.tracking.updateInterval;
+        this.stoppedSince = null; // Time the speed dropped below stoppedSpeed
+    }
+
+    /**
+     * Forget how long the user has been stopped
+     */
+    reset() {
+        this.stoppedSince = null;
+    }
+
+    /**
+     * Decide the sampling for the current situation
+     * @param {Object} inputs - Current situation
+     * @param {number|null} inputs.speed - Speed in m/s, null when unknown
+     * @param {number|null} inputs.distanceToTurn - Meters to the next turn, null without a track
+     * @param {boolean} inputs.isOffTrack - Whether the user is off track
+     * @param {Object|null} inputs.battery - { level, charging } when the Battery Status API is available
+     * @returns {Object} { interval, highAccuracy, reason }
+     */
+    evaluate({ speed = null, distanceToTurn = null, isOffTrack = false, battery = null }) {
+        const now = this.clock.now();
+        const { options } = this;
+
+        if (speed !== null && speed < options.stoppedSpeed) {
+            this.stoppedSince = this.stoppedSince ?? now;
+        } else if (speed !== null) {
+            this.stoppedSince = null;
+        }
+
+        const { enableHighAccuracy } = config.location.tracking.options;
+        if (!options.enabled) {
+            return { interval: this.normalInterval, highAccuracy: enableHighAccuracy, reason: 'fixed' };
+        }
+
+        const isLowBattery = battery !== null && !battery.charging && battery.level <= options.lowBatteryLevel;
+        const decide = (interval, reason) => ({ interval, highAccuracy: enableHighAccuracy && !isLowBattery, reason });
+
+        // Nothing changes while standing still, even off track
+        if (this.stoppedSince !== null && now - this.stoppedSince >= options.stationaryDelay) {
+            return decide(options.stationaryInterval, 'stationary');
+        }
+
+        if (isOffTrack) {
+            return decide(options.fastInterval, 'off-track');
+        }
+
+        if (distanceToTurn !== null && distanceToTurn <= options.nearTurnDistance) {
+            return decide(options.fastInterval, 'near-turn');
+        }
+
+        if (distanceToTurn !== null && distanceToTurn > options.farTurnDistance) {
+            return decide(options.relaxedInterval, 'far-from-turn');
+        }
+
+        return decide(this.normalInterval, 'normal');
+    }
+}
+
+export default SamplingPolicy;
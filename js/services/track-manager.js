@@ -4,12 +4,17 @@
  */
 
 import config from '../core/config.js';
+import formatRegistry from '../data/formats/format-registry.js';
+import formatUtils from '../data/formats/format-utils.js';
 
 class TrackManager {
     constructor(eventBus) {
         this.eventBus = eventBus;
+        this.isMapReady = false;
+        this.pendingFiles = [];
         this.setupEventListeners();
         this.setupFileInput();
+        this.setupLaunchQueue();
     }
 
     /**
@@ -19,6 +24,9 @@ class TrackManager {
         this.eventBus.on('track:load-file-requested', this.handleFileLoadRequest, this);
         this.eventBus.on('track:reload-requested', this.handleReloadRequest, this);
         this.eventBus.on('track:clear-requested', this.handleClearRequest, this);
+
+        // Tracks passed at launch can only be drawn once the map is ready
+        this.eventBus.once('map:style-loaded', this.handleMapReady, this);
     }
 
     /**
@@ -27,10 +35,26 @@ class TrackManager {
     setupFileInput() {
         const fileInput = document.querySelector(config.ui.selectors.gpxFileInput);
         if (fileInput) {
+            fileInput.accept = formatRegistry.getAcceptedTypes();
             fileInput.addEventListener('change', this.handleFileSelection.bind(this));
         }
     }
 
+    /**
+     * Consume files opened with the app from the OS (File Handling API)
+     */
+    setupLaunchQueue() {
+        if (!('launchQueue' in window)) return;
+
+        window.launchQueue.setConsumer(async launchParams => {
+            if (!launchParams.files || launchParams.files.length === 0) return;
+
+            // Only one track is followed at a time
+            const file = await launchParams.files[0].getFile();
+            this.queueFile(file, 'file-handler');
+        });
+    }
+
     /**
      * Handle file selection from input
      * @param {Event} event - File input change event
@@ -39,22 +63,44 @@ class TrackManager {
         const file = event.target.files[0];
         if (!file) return;
 
+        await this.loadFile(file, 'file');
+
+        // Clear file input
+        event.target.value = '';
+    }
+
+    /**
+     * Load a file now, or once the map is ready
+     * @param {File} file - Track file
+     * @param {string} source - Source of the track data
+     */
+    queueFile(file, source) {
+        if (this.isMapReady) {
+            this.loadFile(file, source);
+        } else {
+            this.pendingFiles.push({ file, source });
+        }
+    }
+
+    /**
+     * Read a track file and request loading it
+     * @param {File} file - Track file
+     * @param {string} source - Source of the track data
+     */
+    async loadFile(file, source) {
         try {
-            const gpxContent = await this.readGPXFile(file);
+            const content = await this.readTrackFile(file);
             this.eventBus.emit('track:load-requested', {
-                gpxContent,
-                source: 'file',
+                content,
+                source,
                 filename: file.name
             });
         } catch (error) {
             this.eventBus.emit('track:load-error', {
                 error,
-                message: 'Failed to read GPX file'
+                message: 'Failed to read track file'
             });
         }
-
-        // Clear file input
-        event.target.value = '';
     }
 
     /**
@@ -68,18 +114,166 @@ class TrackManager {
     }
 
     /**
-     * Handle reload request
+     * Handle reload request - reopen the most recently used library track
      */
     handleReloadRequest() {
-        const lastGpxContent = localStorage.getItem(config.storage.keys.lastGpxContent);
-        if (lastGpxContent) {
+        this.eventBus.emit('library:load-latest-requested');
+    }
+
+    /**
+     * Handle map ready - load whatever the app was launched with
+     */
+    async handleMapReady() {
+        this.isMapReady = true;
+
+        this.pendingFiles.forEach(({ file, source }) => this.loadFile(file, source));
+        this.pendingFiles = [];
+
+        const params = new URLSearchParams(window.location.search);
+        const trackValue = params.get(config.launch.trackParameter);
+        const hasSharedFiles = params.has(config.launch.sharedParameter);
+
+        // Drop the parameters so a page reload does not load the track again
+        if (trackValue !== null || hasSharedFiles) {
+            params.delete(config.launch.trackParameter);
+            params.delete(config.launch.sharedParameter);
+            const query = params.toString();
+            window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        }
+
+        if (trackValue) {
+            await this.loadLaunchTrack(trackValue);
+        } else if (hasSharedFiles) {
+            await this.loadSharedFiles();
+        }
+    }
+
+    /**
+     * Load files shared to the app, stashed by the service worker's share target route
+     */
+    async loadSharedFiles() {
+        if (!('caches' in window)) return;
+
+        try {
+            const cache = await caches.open(config.launch.sharedCacheName);
+            const requests = await cache.keys();
+            if (requests.length === 0) return;
+
+            // Only one track is followed at a time
+            const response = await cache.match(requests[0]);
+            const filename = decodeURIComponent(response.headers.get('X-Filename') || '') || null;
+            const content = await response.arrayBuffer();
+
+            await caches.delete(config.launch.sharedCacheName);
+
+            this.eventBus.emit('track:load-requested', {
+                content,
+                source: 'share',
+                filename
+            });
+        } catch (error) {
+            this.eventBus.emit('track:load-error', {
+                error,
+                message: 'Failed to read shared track file'
+            });
+        }
+    }
+
+    /**
+     * Load a track passed through ?gpx= (also used by the web+gpx protocol handler)
+     * @param {string} value - Parameter value
+     */
+    async loadLaunchTrack(value) {
+        try {
+            const { content, filename } = await this.resolveLaunchTrack(value);
             this.eventBus.emit('track:load-requested', {
-                gpxContent: lastGpxContent,
-                source: 'storage'
+                content,
+                source: 'url',
+                filename
+            });
+        } catch (error) {
+            console.error('Launch track download failed:', error);
+
+            // A download may work on a second try, unlike a file that fails to parse
+            this.eventBus.emit('notification:show-requested', {
+                key: 'track',
+                type: 'error',
+                message: `Could not download track: ${error.message}`,
+                duration: 0,
+                action: {
+                    label: 'Retry',
+                    onClick: () => this.loadLaunchTrack(value)
+                }
             });
         }
     }
 
+    /**
+     * Resolve a ?gpx= value into track content
+     * @param {string} value - A URL, web+gpx URL, data: URL or inline (base64) payload
+     * @returns {Promise<Object>} Content and optional filename
+     */
+    async resolveLaunchTrack(value) {
+        let location = value.trim();
+
+        // The protocol handler passes web+gpx://host/path, which is served over https
+        if (location.toLowerCase().startsWith('web+gpx:')) {
+            location = location.slice('web+gpx:'.length);
+            if (location.startsWith('//')) {
+                location = `https:${location}`;
+            }
+        }
+
+        if (/^(https?|data):/i.test(location)) {
+            let response;
+            try {
+                response = await fetch(location);
+            } catch (error) {
+                throw new Error('the server could not be reached or does not allow downloads from this app');
+            }
+            if (!response.ok) {
+                throw new Error(`the server answered HTTP ${response.status}`);
+            }
+
+            return {
+                content: await response.arrayBuffer(),
+                filename: this.getFilenameFromUrl(location)
+            };
+        }
+
+        // Inline XML or JSON
+        if (/^[<{]/.test(location)) {
+            return { content: location, filename: null };
+        }
+
+        // Inline base64, possibly URL-safe and with '+' turned into spaces by the query string
+        const base64 = location.replace(/ /g, '+').replace(/\s/g, '').replace(/-/g, '+').replace(/_/g, '/');
+        try {
+            return {
+                content: formatUtils.decodeFromStorage(`data:;base64,${base64}`),
+                filename: null
+            };
+        } catch (error) {
+            throw new Error('the link is neither a URL nor a valid base64 payload');
+        }
+    }
+
+    /**
+     * Get the file name from the last path segment of a URL
+     * @param {string} url - http(s) or data: URL
+     * @returns {string|null} File name or null
+     */
+    getFilenameFromUrl(url) {
+        if (url.startsWith('data:')) return null;
+
+        try {
+            const name = new URL(url).pathname.split('/').pop();
+            return name ? decodeURIComponent(name) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Handle clear request
      */
@@ -95,16 +289,16 @@ class TrackManager {
     }
 
     /**
-     * Read GPX file content
-     * @param {File} file - GPX file to read
-     * @returns {Promise<string>} File content
+     * Read track file content
+     * @param {File} file - Track file to read (any format known to the format registry)
+     * @returns {Promise<ArrayBuffer>} File content, decoded later by the matching parser
      */
-    readGPXFile(file) {
+    readTrackFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             reader.onload = e => resolve(e.target.result);
             reader.onerror = e => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
+            reader.readAsArrayBuffer(file);
         });
     }
 }
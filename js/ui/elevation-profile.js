@@ -0,0 +1,298 @@
+/**
+ * elevation-profile.js
+ * Collapsible elevation chart of the track with the current position marked
+ */
+
+import config from '../core/config.js';
+import units from '../core/units.js';
+
+class ElevationProfile {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.elements = {};
+        this.points = []; // Track points with altitude, as { distance, altitude, lng, lat }
+        this.totalDistance = 0;
+        this.range = { min: 0, max: 0 };
+        this.marker = null; // { distance, altitude } of the current position
+        this.isCollapsed = localStorage.getItem(config.storage.keys.elevationCollapsed) === 'true';
+        this.pauseTimeout = null;
+        this.setupEventListeners();
+        this.initElements();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('track:loaded', this.handleTrackLoaded, this);
+        this.eventBus.on('track:cleared', this.handleTrackCleared, this);
+        this.eventBus.on('progress:updated', this.handleProgressUpdate, this);
+        this.eventBus.on('units:changed', this.draw, this);
+    }
+
+    /**
+     * Initialize DOM element references
+     */
+    initElements() {
+        const { elevationProfile, elevationToggleBtn, elevationCanvas } = config.ui.selectors;
+        this.elements.container = document.querySelector(elevationProfile);
+        this.elements.toggleBtn = document.querySelector(elevationToggleBtn);
+        this.elements.canvas = document.querySelector(elevationCanvas);
+
+        if (!this.elements.container || !this.elements.canvas) {
+            console.error(`Elevation profile element not found: ${elevationProfile}`);
+            return;
+        }
+
+        if (this.elements.toggleBtn) {
+            this.elements.toggleBtn.addEventListener('click', () => {
+                this.setCollapsed(!this.isCollapsed);
+                this.eventBus.emit('ui:user-interaction');
+            });
+        }
+
+        this.elements.canvas.addEventListener('click', (event) => this.handleCanvasClick(event));
+        window.addEventListener('resize', () => this.draw());
+
+        this.setCollapsed(this.isCollapsed);
+        this.hide();
+    }
+
+    /**
+     * Handle track loaded
+     * @param {Object} data - Track data
+     */
+    handleTrackLoaded(data) {
+        const { trackPoints, totalDistance } = data;
+
+        this.points = trackPoints
+            .filter(point => point.altitude !== null)
+            .map(point => ({
+                distance: point.distanceFromStart,
+                altitude: point.altitude,
+                segmentIndex: point.segmentIndex,
+                lng: point.lng,
+                lat: point.lat
+            }));
+        this.totalDistance = totalDistance;
+        this.marker = null;
+
+        // Nothing to plot without elevation data
+        if (this.points.length < 2 || totalDistance <= 0) {
+            this.points = [];
+            this.hide();
+            return;
+        }
+
+        this.range = this.points.reduce((range, point) => ({
+            min: Math.min(range.min, point.altitude),
+            max: Math.max(range.max, point.altitude)
+        }), { min: Infinity, max: -Infinity });
+
+        this.show();
+    }
+
+    /**
+     * Handle track cleared
+     */
+    handleTrackCleared() {
+        this.points = [];
+        this.marker = null;
+        this.hide();
+    }
+
+    /**
+     * Handle progress update - move the marker to the matched track position
+     * @param {Object} data - Progress data with closestPoint and pointIndex
+     */
+    handleProgressUpdate(data) {
+        if (this.points.length === 0) return;
+
+        const { closestPoint } = data;
+        if (!closestPoint) return;
+
+        const distance = closestPoint.distanceFromStart;
+        this.marker = {
+            distance,
+            altitude: closestPoint.altitude ?? this.getPointAtDistance(distance).altitude
+        };
+        this.draw();
+    }
+
+    /**
+     * Handle a tap on the chart - fly the map to that part of the track
+     * @param {MouseEvent} event - Click event
+     */
+    handleCanvasClick(event) {
+        if (this.points.length === 0) return;
+
+        const rect = this.elements.canvas.getBoundingClientRect();
+        const { padding } = config.elevation;
+        const plotWidth = rect.width - padding.left - padding.right;
+        const x = Math.max(0, Math.min(plotWidth, event.clientX - rect.left - padding.left));
+        const point = this.getPointAtDistance(x / plotWidth * this.totalDistance);
+
+        // Keep location updates from moving the map straight back
+        this.eventBus.emit('location:pause-requested');
+        clearTimeout(this.pauseTimeout);
+        this.pauseTimeout = setTimeout(() => {
+            this.eventBus.emit('location:resume-requested');
+        }, config.elevation.locationPauseAfterTap);
+
+        this.eventBus.emit('map:fly-to-requested', {
+            center: [point.lng, point.lat]
+        });
+        this.eventBus.emit('ui:user-interaction');
+    }
+
+    /**
+     * Find the profile point closest to a distance along the track
+     * @param {number} distance - Distance from start in meters
+     * @returns {Object} Profile point
+     */
+    getPointAtDistance(distance) {
+        let low = 0;
+        let high = this.points.length - 1;
+
+        while (high - low > 1) {
+            const mid = Math.floor((low + high) / 2);
+            if (this.points[mid].distance <= distance) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+
+        const before = this.points[low];
+        const after = this.points[high];
+        return distance - before.distance <= after.distance - distance ? before : after;
+    }
+
+    /**
+     * Collapse or expand the chart, remembering the choice
+     * @param {boolean} collapsed - Whether only the toggle stays visible
+     */
+    setCollapsed(collapsed) {
+        this.isCollapsed = collapsed;
+        localStorage.setItem(config.storage.keys.elevationCollapsed, String(collapsed));
+
+        if (!this.elements.container) return;
+
+        this.elements.container.classList.toggle('collapsed', collapsed);
+        this.draw();
+    }
+
+    /**
+     * Show the panel
+     */
+    show() {
+        if (!this.elements.container) return;
+
+        this.elements.container.style.display = 'block';
+        this.draw();
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        if (!this.elements.container) return;
+
+        this.elements.container.style.display = 'none';
+    }
+
+    /**
+     * Draw the profile and position marker
+     */
+    draw() {
+        const { canvas } = this.elements;
+        if (!canvas || this.isCollapsed || this.points.length === 0) return;
+
+        // Match the backing store to the displayed size for sharp lines
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        if (width === 0 || height === 0) return;
+
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const { padding, lineColor, fillColor, markerColor, textColor } = config.elevation;
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+
+        // Leave some headroom on flat tracks
+        const span = Math.max(this.range.max - this.range.min, config.elevation.minimumSpan);
+        const base = this.range.min - (span - (this.range.max - this.range.min)) / 2;
+
+        const toX = distance => padding.left + distance / this.totalDistance * plotWidth;
+        const toY = altitude => padding.top + (1 - (altitude - base) / span) * plotHeight;
+        const bottom = padding.top + plotHeight;
+
+        // Filled area and outline, one run per track segment
+        const runs = [];
+        this.points.forEach((point, i) => {
+            if (i === 0 || point.segmentIndex !== this.points[i - 1].segmentIndex) {
+                runs.push([]);
+            }
+            runs[runs.length - 1].push(point);
+        });
+
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = lineColor;
+        ctx.fillStyle = fillColor;
+        runs.forEach(run => {
+            ctx.beginPath();
+            run.forEach((point, i) => {
+                const x = toX(point.distance);
+                const y = toY(point.altitude);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+
+            ctx.lineTo(toX(run[run.length - 1].distance), bottom);
+            ctx.lineTo(toX(run[0].distance), bottom);
+            ctx.closePath();
+            ctx.fill();
+        });
+
+        // Altitude range and total distance labels
+        ctx.fillStyle = textColor;
+        ctx.font = '11px Arial, sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.fillText(units.formatElevation(this.range.max), 2, toY(this.range.max));
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(units.formatElevation(this.range.min), 2, toY(this.range.min));
+        ctx.textAlign = 'right';
+        ctx.fillText(units.formatDistance(this.totalDistance), width - padding.right, height);
+        ctx.textAlign = 'left';
+
+        // Current position
+        if (this.marker) {
+            const x = toX(this.marker.distance);
+            const y = toY(this.marker.altitude);
+
+            ctx.strokeStyle = markerColor;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, padding.top);
+            ctx.lineTo(x, bottom);
+            ctx.stroke();
+
+            ctx.fillStyle = markerColor;
+            ctx.beginPath();
+            ctx.arc(x, y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+}
+
+export default ElevationProfile;
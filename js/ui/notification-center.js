@@ -0,0 +1,218 @@
+/**
+ * notification-center.js
+ * Toast notifications for errors and other events the user needs to act on
+ */
+
+import config from '../core/config.js';
+
+class NotificationCenter {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.container = null;
+        this.toasts = {}; // Active toasts by key
+        this.setupEventListeners();
+        this.initElement();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('notification:show-requested', this.handleShowRequest, this);
+        this.eventBus.on('notification:dismiss-requested', this.handleDismissRequest, this);
+
+        // Errors surfaced to the user
+        this.eventBus.on('track:load-error', this.handleTrackLoadError, this);
+        this.eventBus.on('location:error', this.handleLocationError, this);
+
+        // A fix means earlier location problems are solved
+        this.eventBus.on('location:updated', this.handleLocationUpdated, this);
+        this.eventBus.on('track:loaded', this.handleTrackLoaded, this);
+    }
+
+    /**
+     * Initialize DOM element
+     */
+    initElement() {
+        this.container = document.querySelector(config.ui.selectors.notifications);
+        if (!this.container) {
+            console.error(`Notification container not found: ${config.ui.selectors.notifications}`);
+        }
+    }
+
+    /**
+     * Handle show request from other components
+     * @param {Object} data - Toast options, see show()
+     */
+    handleShowRequest(data) {
+        this.show(data);
+    }
+
+    /**
+     * Handle dismiss request from other components
+     * @param {Object} data - Contains key
+     */
+    handleDismissRequest(data) {
+        this.dismiss(data.key);
+    }
+
+    /**
+     * Handle track load error
+     * @param {Object} data - Contains error and optional message
+     */
+    handleTrackLoadError(data) {
+        const { error, message } = data;
+        console.error('Track load failed:', error);
+
+        this.show({
+            key: 'track',
+            type: 'error',
+            message: message || error?.message || 'Could not load track'
+        });
+    }
+
+    /**
+     * Handle track loaded
+     */
+    handleTrackLoaded() {
+        this.dismiss('track');
+    }
+
+    /**
+     * Handle location error
+     * @param {Object} data - Contains error, message and GeolocationPositionError code
+     */
+    handleLocationError(data) {
+        const { code, message } = data;
+
+        // GeolocationPositionError codes
+        switch (code) {
+            case 1: // PERMISSION_DENIED
+                this.show({
+                    key: 'location',
+                    type: 'error',
+                    message: 'Location access is blocked. Allow location for this site in your browser ' +
+                        'settings (tap the icon next to the address, or Settings › Site settings › Location), ' +
+                        'then reload the app.',
+                    duration: 0,
+                    action: {
+                        label: 'Reload',
+                        onClick: () => window.location.reload()
+                    }
+                });
+                break;
+            case 2: // POSITION_UNAVAILABLE
+                this.show({
+                    key: 'location',
+                    type: 'warning',
+                    message: 'Location unavailable. Check that location services are on and try again under open sky.',
+                    duration: 0,
+                    action: this.createRetryAction()
+                });
+                break;
+            case 3: // TIMEOUT
+                this.show({
+                    key: 'location',
+                    type: 'warning',
+                    message: 'Still waiting for a GPS fix.',
+                    duration: 0,
+                    action: this.createRetryAction()
+                });
+                break;
+            default:
+                this.show({
+                    key: 'location',
+                    type: 'error',
+                    message: message || 'Location error occurred',
+                    duration: 0
+                });
+        }
+    }
+
+    /**
+     * Handle location updated
+     */
+    handleLocationUpdated() {
+        this.dismiss('location');
+    }
+
+    /**
+     * Create the action that restarts location tracking
+     * @returns {Object} Toast action
+     */
+    createRetryAction() {
+        return {
+            label: 'Retry',
+            onClick: () => this.eventBus.emit('location:retry-requested')
+        };
+    }
+
+    /**
+     * Show a toast, replacing any toast with the same key
+     * @param {Object} options - Toast options
+     * @param {string} options.message - Text to show
+     * @param {string} options.key - Identifies the toast for replacement and dismissal
+     * @param {string} options.type - 'info', 'warning' or 'error'
+     * @param {number} options.duration - Milliseconds before auto-dismiss, 0 keeps it until dismissed
+     * @param {Object} options.action - Optional { label, onClick } button
+     */
+    show({ message, key = message, type = 'info', duration = config.notifications.duration, action = null }) {
+        if (!this.container) return;
+
+        this.dismiss(key);
+
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+        const text = document.createElement('span');
+        text.className = 'toast-message';
+        text.textContent = message;
+        toast.appendChild(text);
+
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.className = 'toast-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.dismiss(key);
+                action.onClick();
+            });
+            toast.appendChild(actionBtn);
+        }
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'toast-close';
+        closeBtn.textContent = '✖️';
+        closeBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            this.dismiss(key);
+        });
+        toast.appendChild(closeBtn);
+
+        this.container.appendChild(toast);
+
+        const timeout = duration > 0 ? setTimeout(() => this.dismiss(key), duration) : null;
+        this.toasts[key] = { element: toast, timeout };
+
+        this.eventBus.emit('notification:shown', { key, type, message });
+    }
+
+    /**
+     * Remove a toast
+     * @param {string} key - Toast key
+     */
+    dismiss(key) {
+        const toast = this.toasts[key];
+        if (!toast) return;
+
+        if (toast.timeout) {
+            clearTimeout(toast.timeout);
+        }
+        toast.element.remove();
+        delete this.toasts[key];
+    }
+}
+
+export default NotificationCenter;
@@ -4,6 +4,8 @@
  */
 
 import config from '../core/config.js';
+import units from '../core/units.js';
+import progressFields from './progress-fields.js';
 
 class ProgressDisplay {
     constructor(eventBus) {
@@ -12,6 +14,11 @@ class ProgressDisplay {
         this.isVisible = false;
         this.hasTrack = false;
         this.hasLocation = false;
+        this.hasProgress = false;
+        this.fields = progressFields.load(); // Field ids in display order
+        this.values = {}; // Latest value of every field, by field id
+        this.rejoin = null; // { bearing, distance } of the way back while off track
+        this.heading = null; // Last known heading, the map is turned to it
         this.setupEventListeners();
         this.initElement();
     }
@@ -22,6 +29,10 @@ class ProgressDisplay {
     setupEventListeners() {
         this.eventBus.on('progress:updated', this.handleProgressUpdate, this);
         this.eventBus.on('progress:off-track-changed', this.handleOffTrackChanged, this);
+        this.eventBus.on('progress:rejoin-updated', this.handleRejoinUpdated, this);
+        this.eventBus.on('progress:rejoin-cleared', this.handleRejoinCleared, this);
+        this.eventBus.on('progress:fields-changed', this.handleFieldsChanged, this);
+        this.eventBus.on('units:changed', this.handleUnitsChanged, this);
         this.eventBus.on('ui:progress-visibility-changed', this.handleVisibilityChanged, this);
         this.eventBus.on('track:loaded', this.handleTrackLoaded, this);
         this.eventBus.on('track:cleared', this.handleTrackCleared, this);
@@ -38,8 +49,14 @@ class ProgressDisplay {
             return;
         }
 
+        // Tapping the display lets the user choose its fields
+        this.element.addEventListener('click', () => {
+            this.eventBus.emit('ui:progress-fields-panel-toggle');
+            this.eventBus.emit('ui:user-interaction');
+        });
+
         // Set initial state
-        this.element.textContent = '---';
+        this.showMessage('---');
         this.element.classList.remove('off-track');
     }
 
@@ -48,6 +65,9 @@ class ProgressDisplay {
      */
     handleTrackLoaded() {
         this.hasTrack = true;
+        this.hasProgress = false;
+        this.values = {};
+        this.rejoin = null;
         this.updateDisplayMessage();
     }
 
@@ -57,14 +77,40 @@ class ProgressDisplay {
     handleTrackCleared() {
         this.hasTrack = false;
         this.hasLocation = false;
+        this.hasProgress = false;
+        this.values = {};
+        this.rejoin = null;
     }
 
     /**
-     * Handle location updated
+     * Handle location updated - speed and accuracy change with every fix
+     * @param {Object} data - Location data
      */
-    handleLocationUpdated() {
+    handleLocationUpdated(data) {
         this.hasLocation = true;
-        this.updateDisplayMessage();
+
+        const { location, previousLocation, accuracy, heading } = data;
+        if (location) {
+            let speed = location.speed;
+
+            // Not every device reports speed, derive it from the previous fix
+            if (speed === null && previousLocation) {
+                const duration = (location.timestamp - previousLocation.timestamp) / 1000;
+                if (duration > 0) {
+                    speed = location.distanceTo(previousLocation) / duration;
+                }
+            }
+
+            this.values.currentSpeed = speed;
+            this.values.accuracy = accuracy;
+            this.heading = heading ?? this.heading;
+        }
+
+        if (this.hasProgress) {
+            this.render();
+        } else {
+            this.updateDisplayMessage();
+        }
     }
 
     /**
@@ -74,12 +120,10 @@ class ProgressDisplay {
         if (!this.element || !this.isVisible) return;
 
         if (this.hasTrack && !this.hasLocation) {
-            this.element.textContent = 'GPS...';
-        } else if (this.hasTrack && this.hasLocation) {
-            // Keep current display - will be updated by progress:updated
-            if (this.element.textContent === 'GPS...' || this.element.textContent === '***') {
-                this.element.textContent = '***';
-            }
+            this.showMessage('GPS...');
+        } else if (this.hasTrack && this.hasLocation && !this.hasProgress) {
+            // Replaced by the fields on the first progress:updated
+            this.showMessage('***');
         }
     }
 
@@ -90,9 +134,124 @@ class ProgressDisplay {
     handleProgressUpdate(data) {
         if (!this.element || !this.isVisible) return;
 
-        const { remainingDistance } = data;
-        const remainingKm = (remainingDistance / 1000).toFixed(1);
-        this.element.textContent = `${remainingKm} km`;
+        Object.assign(this.values, data);
+        this.hasProgress = true;
+        this.render();
+    }
+
+    /**
+     * Handle rejoin guidance update
+     * @param {Object} data - Contains bearing and distance
+     */
+    handleRejoinUpdated(data) {
+        const { bearing, distance } = data;
+        this.rejoin = { bearing, distance };
+
+        if (this.hasProgress && this.isVisible) {
+            this.render();
+        }
+    }
+
+    /**
+     * Handle rejoin guidance cleared
+     */
+    handleRejoinCleared() {
+        this.rejoin = null;
+
+        if (this.hasProgress && this.isVisible) {
+            this.render();
+        }
+    }
+
+    /**
+     * Handle a new choice of fields
+     * @param {Object} data - Contains fields
+     */
+    handleFieldsChanged(data) {
+        this.fields = data.fields;
+
+        if (this.hasProgress && this.isVisible) {
+            this.render();
+        }
+    }
+
+    /**
+     * Handle unit system change
+     */
+    handleUnitsChanged() {
+        if (this.hasProgress && this.isVisible) {
+            this.render();
+        }
+    }
+
+    /**
+     * Show a status message instead of the fields
+     * @param {string} message - Message text
+     */
+    showMessage(message) {
+        if (!this.element) return;
+
+        this.element.classList.remove('has-fields');
+        this.element.textContent = message;
+    }
+
+    /**
+     * Render the chosen fields
+     */
+    render() {
+        if (!this.element) return;
+
+        this.element.innerHTML = '';
+        this.element.classList.add('has-fields');
+
+        if (this.rejoin) {
+            this.element.appendChild(this.createRejoinField());
+        }
+
+        this.fields.forEach(id => {
+            const field = progressFields.get(id);
+            if (!field) return;
+
+            const container = document.createElement('div');
+            container.className = 'progress-field';
+
+            const value = document.createElement('span');
+            value.className = 'progress-value';
+            value.textContent = progressFields.format(id, this.values);
+
+            const label = document.createElement('span');
+            label.className = 'progress-label';
+            label.textContent = field.label;
+
+            container.append(value, label);
+            this.element.appendChild(container);
+        });
+    }
+
+    /**
+     * Create the field pointing back to the track
+     * @returns {HTMLElement} Field with an arrow and the distance to the track
+     */
+    createRejoinField() {
+        const container = document.createElement('div');
+        container.className = 'progress-field progress-rejoin';
+
+        // Relative to the heading, like the map
+        const arrow = document.createElement('span');
+        arrow.className = 'rejoin-arrow';
+        arrow.textContent = '⬆';
+        arrow.style.transform = `rotate(${this.rejoin.bearing - (this.heading ?? 0)}deg)`;
+
+        const value = document.createElement('span');
+        value.className = 'progress-value';
+        value.append(arrow, units.formatShortDistance(this.rejoin.distance));
+
+        const label = document.createElement('span');
+        label.className = 'progress-label';
+        label.textContent = 'Rejoin';
+
+        container.append(value, label);
+        return container;
     }
 
     /**
@@ -125,10 +284,12 @@ class ProgressDisplay {
             this.element.classList.remove('off-track');
             this.updateDisplayMessage();
         } else {
-            this.element.textContent = '---';
+            this.showMessage('---');
             this.element.classList.remove('off-track');
             this.hasTrack = false;
             this.hasLocation = false;
+            this.hasProgress = false;
+            this.values = {};
         }
     }
 }
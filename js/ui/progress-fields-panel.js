@@ -0,0 +1,194 @@
+/**
+ * progress-fields-panel.js
+ * Lets the user choose and order the fields of the progress display
+ */
+
+import config from '../core/config.js';
+import units from '../core/units.js';
+import progressFields from './progress-fields.js';
+
+class ProgressFieldsPanel {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.elements = {};
+        this.order = []; // Every field id, chosen fields first in display order
+        this.chosen = new Set();
+        this.isOpen = false;
+        this.setupEventListeners();
+        this.initElements();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('ui:progress-fields-panel-toggle', this.handleToggle, this);
+    }
+
+    /**
+     * Initialize DOM element references
+     */
+    initElements() {
+        const { progressFieldsPanel, progressFieldsList, progressFieldsCloseBtn, unitsSelect } = config.ui.selectors;
+        this.elements.panel = document.querySelector(progressFieldsPanel);
+        this.elements.list = document.querySelector(progressFieldsList);
+        this.elements.closeBtn = document.querySelector(progressFieldsCloseBtn);
+        this.elements.unitsSelect = document.querySelector(unitsSelect);
+
+        if (!this.elements.panel || !this.elements.list) {
+            console.error(`Progress fields panel element not found: ${progressFieldsPanel}`);
+            return;
+        }
+
+        if (this.elements.closeBtn) {
+            this.elements.closeBtn.addEventListener('click', () => this.close());
+        }
+
+        if (this.elements.unitsSelect) {
+            this.initUnitsSelect();
+        }
+    }
+
+    /**
+     * Fill the unit system choice and save changes
+     */
+    initUnitsSelect() {
+        const select = this.elements.unitsSelect;
+
+        units.getSystems().forEach(system => {
+            const option = document.createElement('option');
+            option.value = system.id;
+            option.textContent = system.name;
+            select.appendChild(option);
+        });
+        select.value = units.getSystem();
+
+        select.addEventListener('change', () => {
+            units.setSystem(select.value);
+            this.eventBus.emit('units:changed', { system: select.value });
+        });
+    }
+
+    /**
+     * Handle toggle request from the progress display
+     */
+    handleToggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Show the panel with the saved choice
+     */
+    open() {
+        if (!this.elements.panel) return;
+
+        const fields = progressFields.load();
+        const others = progressFields.definitions
+            .map(field => field.id)
+            .filter(id => !fields.includes(id));
+
+        this.order = [...fields, ...others];
+        this.chosen = new Set(fields);
+
+        this.isOpen = true;
+        this.render();
+        this.elements.panel.style.display = 'flex';
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        if (!this.elements.panel) return;
+
+        this.isOpen = false;
+        this.elements.panel.style.display = 'none';
+    }
+
+    /**
+     * Render the list of fields
+     */
+    render() {
+        const { list } = this.elements;
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.order.forEach((id, index) => list.appendChild(this.createItem(id, index)));
+    }
+
+    /**
+     * Create the list item for a field
+     * @param {string} id - Field id
+     * @param {number} index - Position in the order
+     * @returns {HTMLElement} List item
+     */
+    createItem(id, index) {
+        const item = document.createElement('li');
+        item.className = 'progress-fields-item';
+
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = this.chosen.has(id);
+        checkbox.addEventListener('change', () => {
+            // The display needs at least one field
+            if (!checkbox.checked && this.chosen.size === 1) {
+                checkbox.checked = true;
+                return;
+            }
+
+            if (checkbox.checked) {
+                this.chosen.add(id);
+            } else {
+                this.chosen.delete(id);
+            }
+            this.save();
+        });
+        label.append(checkbox, progressFields.get(id).label);
+
+        const upBtn = document.createElement('button');
+        upBtn.className = 'progress-fields-action';
+        upBtn.textContent = '⬆️';
+        upBtn.disabled = index === 0;
+        upBtn.addEventListener('click', () => this.move(index, -1));
+
+        const downBtn = document.createElement('button');
+        downBtn.className = 'progress-fields-action';
+        downBtn.textContent = '⬇️';
+        downBtn.disabled = index === this.order.length - 1;
+        downBtn.addEventListener('click', () => this.move(index, 1));
+
+        item.append(label, upBtn, downBtn);
+        return item;
+    }
+
+    /**
+     * Move a field up or down the order
+     * @param {number} index - Current position
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    move(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.order.length) return;
+
+        [this.order[index], this.order[target]] = [this.order[target], this.order[index]];
+        this.render();
+        this.save();
+    }
+
+    /**
+     * Save the choice and let the display update
+     */
+    save() {
+        const fields = this.order.filter(id => this.chosen.has(id));
+        progressFields.save(fields);
+
+        this.eventBus.emit('progress:fields-changed', { fields });
+    }
+}
+
+export default ProgressFieldsPanel;
@@ -0,0 +1,127 @@
+/**
+ * progress-fields.js
+ * Data fields the progress display can show, and the user's saved choice of them
+ */
+
+import config from '../core/config.js';
+import units from '../core/units.js';
+
+const progressFields = {
+
+    // Every field formats a value from the display's current values, missing values show as --
+    definitions: [
+        {
+            id: 'remainingDistance',
+            label: 'To go',
+            format: ({ remainingDistance }) => units.formatDistance(remainingDistance)
+        },
+        {
+            id: 'distanceFromStart',
+            label: 'Done',
+            format: ({ distanceFromStart }) => units.formatDistance(distanceFromStart)
+        },
+        {
+            id: 'percentComplete',
+            label: 'Complete',
+            format: ({ percentComplete }) => units.formatPercent(percentComplete)
+        },
+        {
+            id: 'currentSpeed',
+            label: 'Speed',
+            format: ({ currentSpeed }) => units.formatSpeed(currentSpeed)
+        },
+        {
+            id: 'averageSpeed',
+            label: 'Avg speed',
+            format: ({ averageSpeed }) => units.formatSpeed(averageSpeed)
+        },
+        {
+            id: 'elapsedTime',
+            label: 'Elapsed',
+            format: ({ elapsedTime }) => units.formatDuration(elapsedTime)
+        },
+        {
+            id: 'timeRemaining',
+            label: 'Time left',
+            format: ({ timeRemaining }) => units.formatDuration(timeRemaining)
+        },
+        {
+            id: 'etaTimestamp',
+            label: 'Arrival',
+            format: ({ etaTimestamp, etaConfidence }) => {
+                const time = units.formatTime(etaTimestamp);
+                // Rough estimates are marked with ~
+                return etaConfidence < config.eta.minimumConfidence ? `~${time}` : time;
+            }
+        },
+        {
+            id: 'remainingAscent',
+            label: 'Climb left',
+            format: ({ remainingAscent }) => `↑${units.formatElevation(remainingAscent)}`
+        },
+        {
+            id: 'remainingDescent',
+            label: 'Descent left',
+            format: ({ remainingDescent }) => `↓${units.formatElevation(remainingDescent)}`
+        },
+        {
+            id: 'distanceFromTrack',
+            label: 'Off track',
+            format: ({ distanceFromTrack }) => units.formatShortDistance(distanceFromTrack)
+        },
+        {
+            id: 'accuracy',
+            label: 'GPS',
+            format: ({ accuracy }) => `±${units.formatShortDistance(accuracy)}`
+        }
+    ],
+
+    /**
+     * Get a field definition
+     * @param {string} id - Field id
+     * @returns {Object|undefined} Field definition
+     */
+    get(id) {
+        return this.definitions.find(field => field.id === id);
+    },
+
+    /**
+     * Format a field for display
+     * @param {string} id - Field id
+     * @param {Object} values - Current values by field id
+     * @returns {string} Formatted value, or -- when the value is not known yet
+     */
+    format(id, values) {
+        const value = values[id];
+        if (value === null || value === undefined || Number.isNaN(value)) return '--';
+        return this.get(id).format(values);
+    },
+
+    /**
+     * Load the chosen fields
+     * @returns {Array<string>} Field ids in display order
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(config.storage.keys.progressFields));
+            if (Array.isArray(saved)) {
+                // Drop fields that no longer exist
+                return saved.filter(id => this.get(id));
+            }
+        } catch (error) {
+            console.warn('Ignoring invalid saved progress fields:', error);
+        }
+
+        return [...config.progress.fields];
+    },
+
+    /**
+     * Save the chosen fields
+     * @param {Array<string>} ids - Field ids in display order
+     */
+    save(ids) {
+        localStorage.setItem(config.storage.keys.progressFields, JSON.stringify(ids));
+    }
+};
+
+export default progressFields;
@@ -0,0 +1,174 @@
+/**
+ * track-library-panel.js
+ * List of saved tracks to reopen, rename or delete
+ */
+
+import config from '../core/config.js';
+import units from '../core/units.js';
+
+class TrackLibraryPanel {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.elements = {};
+        this.entries = [];
+        this.isOpen = false;
+        this.setupEventListeners();
+        this.initElements();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('library:changed', this.handleLibraryChanged, this);
+        this.eventBus.on('ui:library-panel-toggle', this.handleToggle, this);
+        this.eventBus.on('track:loaded', this.close, this);
+        this.eventBus.on('units:changed', this.render, this);
+    }
+
+    /**
+     * Initialize DOM element references
+     */
+    initElements() {
+        const { libraryPanel, libraryList, libraryCloseBtn } = config.ui.selectors;
+        this.elements.panel = document.querySelector(libraryPanel);
+        this.elements.list = document.querySelector(libraryList);
+        this.elements.closeBtn = document.querySelector(libraryCloseBtn);
+
+        if (!this.elements.panel || !this.elements.list) {
+            console.error(`Track library panel element not found: ${libraryPanel}`);
+            return;
+        }
+
+        if (this.elements.closeBtn) {
+            this.elements.closeBtn.addEventListener('click', () => this.close());
+        }
+    }
+
+    /**
+     * Handle library changes
+     * @param {Object} data - Contains library entries
+     */
+    handleLibraryChanged(data) {
+        this.entries = data.entries;
+        this.render();
+    }
+
+    /**
+     * Handle toggle request from the library button
+     */
+    handleToggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Show the panel
+     */
+    open() {
+        if (!this.elements.panel) return;
+
+        this.isOpen = true;
+        this.render();
+        this.elements.panel.style.display = 'flex';
+    }
+
+    /**
+     * Hide the panel
+     */
+    close() {
+        if (!this.elements.panel) return;
+
+        this.isOpen = false;
+        this.elements.panel.style.display = 'none';
+    }
+
+    /**
+     * Render the list of entries
+     */
+    render() {
+        const { list } = this.elements;
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (this.entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = 'No saved tracks yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.entries.forEach(entry => list.appendChild(this.createItem(entry)));
+    }
+
+    /**
+     * Create the list item for an entry
+     * @param {Object} entry - Library entry summary
+     * @returns {HTMLElement} List item
+     */
+    createItem(entry) {
+        const item = document.createElement('li');
+        item.className = 'library-item';
+
+        const openBtn = document.createElement('button');
+        openBtn.className = 'library-open';
+
+        const name = document.createElement('span');
+        name.className = 'library-name';
+        name.textContent = entry.name || entry.filename || 'Untitled track';
+
+        const details = document.createElement('span');
+        details.className = 'library-details';
+        details.textContent = this.formatDetails(entry);
+
+        openBtn.append(name, details);
+        openBtn.addEventListener('click', () => {
+            this.eventBus.emit('library:open-requested', { id: entry.id });
+            this.close();
+        });
+
+        const renameBtn = document.createElement('button');
+        renameBtn.className = 'library-action';
+        renameBtn.textContent = '✏️';
+        renameBtn.addEventListener('click', () => {
+            const newName = window.prompt('Track name', name.textContent);
+            if (newName) {
+                this.eventBus.emit('library:rename-requested', { id: entry.id, name: newName });
+            }
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'library-action';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.addEventListener('click', () => {
+            if (window.confirm(`Delete "${name.textContent}"?`)) {
+                this.eventBus.emit('library:delete-requested', { id: entry.id });
+            }
+        });
+
+        item.append(openBtn, renameBtn, deleteBtn);
+        return item;
+    }
+
+    /**
+     * Format the distance and dates of an entry
+     * @param {Object} entry - Library entry summary
+     * @returns {string} Details line
+     */
+    formatDetails(entry) {
+        const parts = [];
+        if (entry.totalDistance !== null) {
+            parts.push(units.formatDistance(entry.totalDistance));
+        }
+        parts.push(`added ${new Date(entry.addedAt).toLocaleDateString()}`);
+        parts.push(`used ${new Date(entry.lastUsedAt).toLocaleDateString()}`);
+        return parts.join(' · ');
+    }
+}
+
+export default TrackLibraryPanel;
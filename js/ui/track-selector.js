@@ -0,0 +1,106 @@
+/**
+ * track-selector.js
+ * Lets the user choose which track to follow when a file contains several
+ */
+
+import config from '../core/config.js';
+import units from '../core/units.js';
+
+class TrackSelector {
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.element = null;
+        this.lastTrackData = null; // Kept to relabel the options when units change
+        this.setupEventListeners();
+        this.initElement();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.eventBus.on('track:loaded', this.handleTrackLoaded, this);
+        this.eventBus.on('track:cleared', this.handleTrackCleared, this);
+        this.eventBus.on('units:changed', this.handleUnitsChanged, this);
+    }
+
+    /**
+     * Initialize DOM element
+     */
+    initElement() {
+        this.element = document.querySelector(config.ui.selectors.trackSelect);
+        if (!this.element) {
+            console.error(`Track selector element not found: ${config.ui.selectors.trackSelect}`);
+            return;
+        }
+
+        this.element.addEventListener('change', () => {
+            this.eventBus.emit('track:select-requested', {
+                trackIndex: parseInt(this.element.value, 10)
+            });
+            this.eventBus.emit('ui:user-interaction');
+        });
+
+        this.hide();
+    }
+
+    /**
+     * Handle track loaded
+     * @param {Object} data - Track data
+     */
+    handleTrackLoaded(data) {
+        if (!this.element) return;
+
+        this.lastTrackData = data;
+
+        const { tracks = [], selectedTrackIndex = 0 } = data;
+
+        // Nothing to choose from
+        if (tracks.length < 2) {
+            this.hide();
+            return;
+        }
+
+        this.element.innerHTML = '';
+        tracks.forEach(track => {
+            const option = document.createElement('option');
+            const label = track.type === 'route' ? 'Route' : 'Track';
+            const name = track.name || `${label} ${track.index + 1}`;
+            option.value = track.index;
+            option.textContent = `${name} (${units.formatDistance(track.distance)})`;
+            this.element.appendChild(option);
+        });
+
+        this.element.value = selectedTrackIndex;
+        this.element.style.display = 'block';
+    }
+
+    /**
+     * Handle track cleared
+     */
+    handleTrackCleared() {
+        this.lastTrackData = null;
+        this.hide();
+    }
+
+    /**
+     * Handle unit system change
+     */
+    handleUnitsChanged() {
+        if (this.lastTrackData) {
+            this.handleTrackLoaded(this.lastTrackData);
+        }
+    }
+
+    /**
+     * Hide the selector
+     */
+    hide() {
+        if (!this.element) return;
+
+        this.element.style.display = 'none';
+        this.element.innerHTML = '';
+    }
+}
+
+export default TrackSelector;
@@ -23,6 +23,8 @@ class UIControls {
         this.eventBus.on('ui:button-visibility-changed', this.handleButtonVisibilityChanged, this);
         this.eventBus.on('ui:drawer-state-changed', this.handleDrawerStateChanged, this);
         this.eventBus.on('ui:location-overlay-visibility-changed', this.handleLocationOverlayVisibilityChanged, this);
+        this.eventBus.on('alerts:mute-changed', this.handleAlertsMuteChanged, this);
+        this.eventBus.on('recording:state-changed', this.handleRecordingStateChanged, this);
     }
 
     /**
@@ -55,6 +57,14 @@ class UIControls {
             });
         }
 
+        // Track library button
+        if (this.elements.libraryBtn) {
+            this.elements.libraryBtn.addEventListener('click', () => {
+                this.eventBus.emit('ui:library-panel-toggle');
+                this.emitUserInteraction();
+            });
+        }
+
         // Clear button
         if (this.elements.clearBtn) {
             this.elements.clearBtn.addEventListener('click', () => {
@@ -113,6 +123,29 @@ class UIControls {
                 this.emitUserInteraction();
             });
         }
+
+        // Off-track alerts mute button
+        if (this.elements.muteBtn) {
+            this.elements.muteBtn.addEventListener('click', () => {
+                this.eventBus.emit('alerts:mute-toggle');
+                this.emitUserInteraction();
+            });
+        }
+
+        // Recording buttons
+        if (this.elements.recordBtn) {
+            this.elements.recordBtn.addEventListener('click', () => {
+                this.eventBus.emit('recording:toggle-requested');
+                this.emitUserInteraction();
+            });
+        }
+
+        if (this.elements.stopRecordBtn) {
+            this.elements.stopRecordBtn.addEventListener('click', () => {
+                this.eventBus.emit('recording:stop-requested');
+                this.emitUserInteraction();
+            });
+        }
     }
 
     /**
@@ -217,6 +250,29 @@ class UIControls {
         }
     }
 
+    /**
+     * Handle off-track alerts being muted or unmuted
+     * @param {Object} data - Contains muted
+     */
+    handleAlertsMuteChanged(data) {
+        if (this.elements.muteBtn) {
+            this.elements.muteBtn.textContent = data.muted ? '🔕' : '🔔';
+        }
+    }
+
+    /**
+     * Handle recording state change - the record button shows what tapping it does
+     * @param {Object} data - Contains state
+     */
+    handleRecordingStateChanged(data) {
+        const { recordBtn } = this.elements;
+        if (!recordBtn) return;
+
+        const icons = { stopped: '⏺️', recording: '⏸️', paused: '▶️' };
+        recordBtn.textContent = icons[data.state];
+        recordBtn.classList.toggle('recording', data.state === 'recording');
+    }
+
     /**
      * Handle location overlay visibility change
      * @param {Object} data - Visibility data
@@ -23,13 +23,18 @@ class UIStateManager {
                 clear: false,
                 zoom: false,
                 reload: false,
-                wake: false
+                wake: false,
+                mute: false,
+                stopRecord: false
             },
             drawerExpanded: false,
             progressVisible: false,
             locationOverlayVisible: true
         };
         this.hideTimeout = null;
+        this.hasTrack = false;
+        this.libraryHasTracks = false;
+        this.isRecording = false; // Recording or paused, either can be stopped
     }
 
     /**
@@ -39,6 +44,10 @@ class UIStateManager {
         // Track events
         this.eventBus.on('track:loaded', this.handleTrackLoaded, this);
         this.eventBus.on('track:cleared', this.handleTrackCleared, this);
+        this.eventBus.on('library:changed', this.handleLibraryChanged, this);
+
+        // Recording events
+        this.eventBus.on('recording:state-changed', this.handleRecordingStateChanged, this);
 
         // Location events
         this.eventBus.on('location:updated', this.handleLocationUpdated, this);
@@ -54,13 +63,15 @@ class UIStateManager {
      * Handle track loaded
      */
     handleTrackLoaded() {
+        this.hasTrack = true;
         this.updateState({
             buttonsVisible: {
                 ...this.state.buttonsVisible,
                 clear: true,
                 zoom: true,
                 reload: false,
-                wake: true
+                wake: true,
+                mute: true
             },
             progressVisible: true
         });
@@ -70,19 +81,51 @@ class UIStateManager {
      * Handle track cleared
      */
     handleTrackCleared() {
-        const hasStoredTrack = !!localStorage.getItem(config.storage.keys.lastGpxContent);
-
+        this.hasTrack = false;
         this.updateState({
             buttonsVisible: {
                 clear: false,
                 zoom: false,
-                reload: hasStoredTrack,
-                wake: false
+                reload: this.libraryHasTracks,
+                wake: false,
+                mute: false,
+                stopRecord: this.isRecording
             },
             progressVisible: false
         });
     }
 
+    /**
+     * Handle track library changes - the reload button needs a track to reopen
+     * @param {Object} data - Contains library entries
+     */
+    handleLibraryChanged(data) {
+        this.libraryHasTracks = data.entries.length > 0;
+
+        if (!this.hasTrack) {
+            this.updateState({
+                buttonsVisible: {
+                    ...this.state.buttonsVisible,
+                    reload: this.libraryHasTracks
+                }
+            });
+        }
+    }
+
+    /**
+     * Handle recording state change - the stop button is only needed while recording
+     * @param {Object} data - Contains state
+     */
+    handleRecordingStateChanged(data) {
+        this.isRecording = data.state !== 'stopped';
+        this.updateState({
+            buttonsVisible: {
+                ...this.state.buttonsVisible,
+                stopRecord: this.isRecording
+            }
+        });
+    }
+
     /**
      * Handle location updated
      */
@@ -1,4 +1,7 @@
-const CACHE_NAME = 'gpx-navigator-v5';
+// Bump on every release that changes a cached file, or installed apps keep the old code
+const CACHE_NAME = 'gpx-navigator-v8';
+// Holds files shared to the app until it picks them up (config.launch.sharedCacheName)
+const SHARE_CACHE_NAME = 'gpx-navigator-shared';
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
@@ -8,24 +11,54 @@ const ASSETS_TO_CACHE = [
     '/js/core/app.js',
     '/js/core/event-bus.js',
     '/js/core/config.js',
+    '/js/core/units.js',
     // Data layer
     '/js/data/track-data-store.js',
     '/js/data/location-data-store.js',
     '/js/data/geo-utils.js',
     '/js/data/geo-point.js',
+    '/js/data/location-filter.js',
+    '/js/data/kalman-filter.js',
+    '/js/data/database.js',
+    '/js/data/spatial-index.js',
+    '/js/data/track-simplifier.js',
+    '/js/data/track-library.js',
+    '/js/data/session-store.js',
+    '/js/data/formats/format-registry.js',
+    '/js/data/formats/format-utils.js',
+    '/js/data/formats/zip-reader.js',
+    '/js/data/formats/gpx-parser.js',
+    '/js/data/formats/kml-parser.js',
+    '/js/data/formats/kmz-parser.js',
+    '/js/data/formats/geojson-parser.js',
+    '/js/data/formats/tcx-parser.js',
+    '/js/data/formats/fit-parser.js',
+    '/js/data/formats/gpx-writer.js',
     // UI layer
     '/js/ui/ui-state-manager.js',
     '/js/ui/ui-controls.js',
     '/js/ui/progress-display.js',
+    '/js/ui/progress-fields.js',
+    '/js/ui/progress-fields-panel.js',
+    '/js/ui/track-selector.js',
+    '/js/ui/track-library-panel.js',
+    '/js/ui/notification-center.js',
+    '/js/ui/elevation-profile.js',
     // Map layer
     '/js/map/map-renderer.js',
     '/js/map/track-renderer.js',
     '/js/map/location-renderer.js',
+    '/js/map/breadcrumb-renderer.js',
     // Services layer
     '/js/services/track-manager.js',
     '/js/services/location-tracker.js',
     '/js/services/progress-tracker.js',
+    '/js/services/eta-estimator.js',
     '/js/services/external-services.js',
+    '/js/services/off-track-alerts.js',
+    '/js/services/activity-recorder.js',
+    '/js/services/sampling-policy.js',
+    '/js/services/adaptive-sampling.js',
     // Icons
     '/icons/icon-192x192.png',
     '/icons/icon-512x512.png',
@@ -55,7 +88,7 @@ self.addEventListener('activate', (event) => {
         caches.keys().then((cacheNames) => {
             return Promise.all(
                 cacheNames.map((cacheName) => {
-                    if (cacheName !== CACHE_NAME) {
+                    if (cacheName !== CACHE_NAME && cacheName !== SHARE_CACHE_NAME) {
                         return caches.delete(cacheName);
                     }
                 })
@@ -64,8 +97,30 @@ self.addEventListener('activate', (event) => {
     );
 });
 
+// Share target - stash shared files and open the app to pick them up
+async function handleShareTarget(request) {
+    const formData = await request.formData();
+    const files = formData.getAll('tracks');
+
+    await caches.delete(SHARE_CACHE_NAME);
+    const cache = await caches.open(SHARE_CACHE_NAME);
+    await Promise.all(files.map((file, index) => cache.put(
+        new Request(`shared-files/${index}`),
+        // Header values must be Latin-1, so names like Côte-d'Azur.gpx are encoded
+        new Response(file, { headers: { 'X-Filename': encodeURIComponent(file.name) } })
+    )));
+
+    return Response.redirect(new URL('./?shared=1', self.registration.scope).href, 303);
+}
+
 // Fetch event - serve from cache, fallback to network
 self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method === 'POST' && url.pathname.endsWith('/share-target')) {
+        event.respondWith(handleShareTarget(event.request));
+        return;
+    }
+
     event.respondWith(
         caches.match(event.request)
             .then((response) => {
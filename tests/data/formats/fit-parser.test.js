@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compressed, createFit, data, definition, toFitTime, toSemicircles } from '../../helpers/fit.js';
+import fitParser from '../../../js/data/formats/fit-parser.js';
+
+const FILE_ID_FIELDS = [[0, 1, 0x00]]; // type
+const COURSE_FIELDS = [[5, 16, 0x07]]; // name
+const RECORD_FIELDS = [[253, 4, 0x86], [0, 4, 0x85], [1, 4, 0x85], [2, 2, 0x84]]; // timestamp, lat, long, altitude
+const POSITION_FIELDS = [[0, 4, 0x85], [1, 4, 0x85]]; // lat, long
+const EVENT_FIELDS = [[0, 1, 0x00], [1, 1, 0x00]]; // event, event_type
+const COURSE_POINT_FIELDS = [[1, 4, 0x86], [2, 4, 0x85], [3, 4, 0x85], [5, 1, 0x00], [6, 16, 0x07]];
+
+const START = toFitTime('2024-05-01T08:00:00Z');
+
+/**
+ * Create a record message value list
+ * @param {number} time - FIT timestamp
+ * @param {number} lat - Latitude in degrees
+ * @param {number} altitude - Altitude in meters
+ * @returns {Array<number>} Values for RECORD_FIELDS
+ */
+const record = (time, lat, altitude) => [time, toSemicircles(lat), toSemicircles(4), (altitude + 500) * 5];
+
+const COURSE = createFit([
+    definition(0, 0, FILE_ID_FIELDS), data(0, FILE_ID_FIELDS, [6]),
+    definition(1, 31, COURSE_FIELDS), data(1, COURSE_FIELDS, ['Hills']),
+    // A developer field, e.g. from a power meter app, that the parser has to skip
+    definition(2, 20, RECORD_FIELDS, [[0, 2, 0]]),
+    data(2, RECORD_FIELDS, record(START, 50, 100), [0x12, 0x34]),
+    data(2, RECORD_FIELDS, record(START + 10, 50.001, 102), [0x56, 0x78]),
+    definition(3, 32, COURSE_POINT_FIELDS),
+    data(3, COURSE_POINT_FIELDS, [START + 10, toSemicircles(50.001), toSemicircles(4), 6, 'Left here'])
+]);
+
+describe('fitParser', () => {
+    it('sniffs the .FIT signature', () => {
+        assert.ok(fitParser.sniff(COURSE));
+        assert.ok(!fitParser.sniff(new TextEncoder().encode('<gpx version="1.1"></gpx>')));
+    });
+
+    it('reads a course with its name and points', () => {
+        const { metadata, tracks } = fitParser.parse(COURSE.buffer);
+
+        assert.equal(metadata.name, 'Hills');
+        assert.equal(tracks.length, 1);
+        assert.equal(tracks[0].type, 'route');
+        assert.deepEqual(tracks[0].segments.map(segment => segment.length), [2]);
+    });
+
+    it('reads position, elevation and time past developer fields', () => {
+        const [first, second] = fitParser.parse(COURSE).tracks[0].segments[0];
+
+        assert.ok(Math.abs(first.lat - 50) < 1e-7);
+        assert.ok(Math.abs(first.lng - 4) < 1e-7);
+        assert.equal(first.altitude, 100);
+        assert.equal(second.altitude, 102);
+        assert.equal(first.timestamp, Date.parse('2024-05-01T08:00:00Z'));
+        assert.equal(second.timestamp - first.timestamp, 10000);
+    });
+
+    it('reads course points as waypoints', () => {
+        const { waypoints } = fitParser.parse(COURSE);
+
+        assert.equal(waypoints.length, 1);
+        assert.equal(waypoints[0].name, 'Left here');
+        assert.equal(waypoints[0].type, 'left');
+    });
+
+    it('expands compressed timestamps, rolling over the 5 bit offset', () => {
+        const activity = createFit([
+            definition(0, 0, FILE_ID_FIELDS), data(0, FILE_ID_FIELDS, [4]),
+            definition(1, 20, RECORD_FIELDS), data(1, RECORD_FIELDS, record(START + 30, 50, 0)),
+            definition(2, 20, POSITION_FIELDS),
+            compressed(2, START + 35, POSITION_FIELDS, [toSemicircles(50.001), toSemicircles(4)]),
+            compressed(2, START + 40, POSITION_FIELDS, [toSemicircles(50.002), toSemicircles(4)])
+        ]);
+        const { tracks } = fitParser.parse(activity);
+        const times = tracks[0].segments[0].map(point => (point.timestamp - Date.parse('2024-05-01T08:00:00Z')) / 1000);
+
+        assert.equal(tracks[0].type, 'track');
+        assert.deepEqual(times, [30, 35, 40]);
+    });
+
+    it('starts a new segment when the timer stops', () => {
+        const activity = createFit([
+            definition(0, 0, FILE_ID_FIELDS), data(0, FILE_ID_FIELDS, [4]),
+            definition(1, 20, RECORD_FIELDS),
+            data(1, RECORD_FIELDS, record(START, 50, 0)),
+            data(1, RECORD_FIELDS, record(START + 1, 50.001, 0)),
+            definition(2, 21, EVENT_FIELDS), data(2, EVENT_FIELDS, [0, 4]),
+            data(1, RECORD_FIELDS, record(START + 600, 50.01, 0))
+        ]);
+
+        assert.deepEqual(fitParser.parse(activity).tracks[0].segments.map(segment => segment.length), [2, 1]);
+    });
+
+    it('drops the empty segment a timer stop after the last record leaves', () => {
+        const activity = createFit([
+            definition(0, 0, FILE_ID_FIELDS), data(0, FILE_ID_FIELDS, [4]),
+            definition(1, 20, RECORD_FIELDS),
+            data(1, RECORD_FIELDS, record(START, 50, 0)),
+            data(1, RECORD_FIELDS, record(START + 1, 50.001, 0)),
+            definition(2, 21, EVENT_FIELDS), data(2, EVENT_FIELDS, [0, 4])
+        ]);
+
+        assert.deepEqual(fitParser.parse(activity).tracks[0].segments.map(segment => segment.length), [2]);
+    });
+
+    it('returns no tracks for an activity without positions', () => {
+        const indoor = createFit([
+            definition(0, 0, FILE_ID_FIELDS), data(0, FILE_ID_FIELDS, [4]),
+            definition(1, 21, EVENT_FIELDS), data(1, EVENT_FIELDS, [0, 0]), data(1, EVENT_FIELDS, [0, 4])
+        ]);
+
+        assert.deepEqual(fitParser.parse(indoor).tracks, []);
+    });
+
+    it('rejects content without the .FIT signature', () => {
+        assert.throws(() => fitParser.parse(new Uint8Array(20)), /missing .FIT signature/);
+    });
+
+    it('rejects data messages without a definition', () => {
+        const broken = createFit([data(0, FILE_ID_FIELDS, [4])]);
+
+        assert.throws(() => fitParser.parse(broken), /data message without definition/);
+    });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import '../../helpers/dom.js';
+import formatRegistry from '../../../js/data/formats/format-registry.js';
+
+// The fixtures hold the same five point ride with a waypoint, one file per format
+const FIXTURES = {
+    gpx: 'sample.gpx',
+    kml: 'sample.kml',
+    kmz: 'sample.kmz',
+    geojson: 'sample.geojson',
+    tcx: 'sample.tcx',
+    fit: 'sample.fit'
+};
+const BINARY_FORMATS = ['kmz', 'fit'];
+
+/**
+ * Read a fixture the way TrackManager reads a file
+ * @param {string} format - Format id
+ * @returns {string|ArrayBuffer} Text for text formats, ArrayBuffer for binary ones
+ */
+function readFixture(format) {
+    const bytes = readFileSync(new URL(`../../fixtures/${FIXTURES[format]}`, import.meta.url));
+    if (!BINARY_FORMATS.includes(format)) return bytes.toString('utf-8');
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+describe('formatRegistry', () => {
+    describe('detect', () => {
+        Object.entries(FIXTURES).forEach(([format, filename]) => {
+            it(`detects ${format} by extension`, () => {
+                assert.equal(formatRegistry.detect(readFixture(format), filename).id, format);
+            });
+
+            it(`detects ${format} by content`, () => {
+                assert.equal(formatRegistry.detect(readFixture(format)).id, format);
+                assert.equal(formatRegistry.detect(readFixture(format), 'download.bin').id, format);
+            });
+        });
+
+        it('matches extensions case-insensitively', () => {
+            assert.equal(formatRegistry.detect(readFixture('gpx'), 'RIDE.GPX').id, 'gpx');
+        });
+
+        it('sniffs text formats from binary content', () => {
+            const bytes = new TextEncoder().encode(readFixture('tcx'));
+            assert.equal(formatRegistry.detect(bytes.buffer).id, 'tcx');
+        });
+
+        it('returns null for unknown content', () => {
+            assert.equal(formatRegistry.detect('just some notes', 'notes.txt'), null);
+        });
+    });
+
+    describe('parse', () => {
+        Object.keys(FIXTURES).forEach(format => {
+            it(`parses the ${format} fixture`, async () => {
+                const data = await formatRegistry.parse(readFixture(format), FIXTURES[format]);
+                const points = data.tracks[0].segments[0];
+
+                assert.equal(data.format, format);
+                assert.equal(data.tracks.length, 1);
+                assert.equal(data.tracks[0].segments.length, 1);
+                assert.equal(points.length, 5);
+                assert.ok(Math.abs(points[4].lat - 50.78) < 1e-6);
+                assert.ok(Math.abs(points[4].lng - 4.42) < 1e-6);
+                assert.equal(data.waypoints.length, 1);
+                assert.equal(data.waypoints[0].name, 'Coffee stop');
+            });
+        });
+
+        Object.keys(FIXTURES).filter(format => format !== 'geojson').forEach(format => {
+            it(`keeps elevation and time from the ${format} fixture`, async () => {
+                const data = await formatRegistry.parse(readFixture(format), FIXTURES[format]);
+                const points = data.tracks[0].segments[0];
+
+                assert.deepEqual(points.map(point => point.altitude), [110, 112, 118, 121, 115]);
+                assert.equal(points[0].timestamp, Date.parse('2024-05-01T08:00:00Z'));
+                assert.equal(points[4].timestamp, Date.parse('2024-05-01T08:04:00Z'));
+            });
+        });
+
+        it('keeps elevation and time from the geojson fixture', async () => {
+            const data = await formatRegistry.parse(readFixture('geojson'), 'sample.geojson');
+            const points = data.tracks[0].segments[0];
+
+            assert.deepEqual(points.map(point => point.altitude), [110, 112, 118, 121, 115]);
+            assert.equal(points[4].timestamp, Date.parse('2024-05-01T08:04:00Z'));
+        });
+
+        it('drops empty segments and tracks', async () => {
+            const gpx = `<gpx version="1.1"><trk><trkseg/></trk>
+              <trk><trkseg/><trkseg><trkpt lat="50" lon="4"/></trkseg></trk></gpx>`;
+            const data = await formatRegistry.parse(gpx, 'empty.gpx');
+
+            assert.equal(data.tracks.length, 1);
+            assert.equal(data.tracks[0].segments.length, 1);
+        });
+
+        it('rejects unsupported content', async () => {
+            await assert.rejects(formatRegistry.parse('just some notes', 'notes.txt'), /Unsupported file format/);
+        });
+
+        it('rejects a malformed file of a known format', async () => {
+            const truncated = readFixture('gpx').slice(0, 300);
+            await assert.rejects(formatRegistry.parse(truncated, 'sample.gpx'), /Invalid GPX file/);
+        });
+    });
+
+    it('lists extensions and MIME types for the file input', () => {
+        const accepted = formatRegistry.getAcceptedTypes().split(',');
+
+        ['.gpx', '.kml', '.kmz', '.geojson', '.tcx', '.fit', 'application/gpx+xml'].forEach(type => {
+            assert.ok(accepted.includes(type), type);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import geojsonParser from '../../../js/data/formats/geojson-parser.js';
+
+const GEOJSON = JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+        {
+            type: 'Feature',
+            properties: {
+                name: 'Out',
+                coordTimes: ['2024-05-01T08:00:00Z', '2024-05-01T08:00:30Z']
+            },
+            geometry: { type: 'LineString', coordinates: [[4, 50, 100], [4.01, 50.01, 110]] }
+        },
+        {
+            type: 'Feature',
+            properties: { name: 'Back' },
+            geometry: {
+                type: 'MultiLineString',
+                coordinates: [[[4.01, 50.01], [4.02, 50.02]], [[4.02, 50.02], [4, 50], [3.99, 49.99]]]
+            }
+        },
+        {
+            type: 'Feature',
+            properties: { name: 'Bakery', 'marker-symbol': 'bakery' },
+            geometry: { type: 'Point', coordinates: [4.005, 50.005] }
+        }
+    ]
+});
+
+describe('geojsonParser', () => {
+    it('sniffs GeoJSON content', () => {
+        assert.ok(geojsonParser.sniff('{ "type": "FeatureCollection", "features": [] }'));
+        assert.ok(!geojsonParser.sniff('{ "name": "package" }'));
+    });
+
+    it('reads LineString and MultiLineString features as tracks', () => {
+        const { tracks } = geojsonParser.parse(GEOJSON);
+
+        assert.equal(tracks.length, 2);
+        assert.deepEqual(tracks.map(track => track.name), ['Out', 'Back']);
+        assert.deepEqual(tracks[0].segments.map(segment => segment.length), [2]);
+        assert.deepEqual(tracks[1].segments.map(segment => segment.length), [2, 3]);
+    });
+
+    it('reads elevation and coordTimes', () => {
+        const [first, second] = geojsonParser.parse(GEOJSON).tracks[0].segments[0];
+
+        assert.equal(first.lng, 4);
+        assert.equal(first.lat, 50);
+        assert.equal(first.altitude, 100);
+        assert.equal(first.timestamp, Date.parse('2024-05-01T08:00:00Z'));
+        assert.equal(second.timestamp - first.timestamp, 30000);
+    });
+
+    it('leaves missing elevation and time null', () => {
+        const [point] = geojsonParser.parse(GEOJSON).tracks[1].segments[0];
+
+        assert.equal(point.altitude, null);
+        assert.equal(point.timestamp, null);
+    });
+
+    it('reads Point features as waypoints', () => {
+        const { waypoints } = geojsonParser.parse(GEOJSON);
+
+        assert.equal(waypoints.length, 1);
+        assert.equal(waypoints[0].name, 'Bakery');
+        assert.equal(waypoints[0].symbol, 'bakery');
+    });
+
+    it('accepts a bare geometry', () => {
+        const { tracks } = geojsonParser.parse('{"type":"LineString","coordinates":[[4,50],[4,51]]}');
+
+        assert.equal(tracks.length, 1);
+        assert.equal(tracks[0].segments[0].length, 2);
+    });
+
+    it('rejects malformed JSON', () => {
+        assert.throws(() => geojsonParser.parse('{"type":"LineString",'), /Invalid GeoJSON file/);
+    });
+});
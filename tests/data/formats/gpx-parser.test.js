@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import '../../helpers/dom.js';
+import gpxParser from '../../../js/data/formats/gpx-parser.js';
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>Weekend</name><desc>Two days out</desc></metadata>
+  <wpt lat="50.5" lon="4.5"><name>Café</name><sym>Restaurant</sym></wpt>
+  <trk>
+    <name>Day 1</name>
+    <trkseg>
+      <trkpt lat="50.0" lon="4.0"><ele>12.5</ele><time>2024-05-01T08:00:00Z</time></trkpt>
+      <trkpt lat="50.001" lon="4.001"><ele>14</ele><time>2024-05-01T08:00:10Z</time></trkpt>
+    </trkseg>
+    <trkseg>
+      <trkpt lat="50.002" lon="4.002"></trkpt>
+    </trkseg>
+  </trk>
+  <rte>
+    <name>Day 2</name>
+    <rtept lat="51.0" lon="5.0"/>
+    <rtept lat="51.1" lon="5.1"/>
+    <rtept lat="51.2" lon="5.2"/>
+  </rte>
+</gpx>`;
+
+describe('gpxParser', () => {
+    it('sniffs GPX content', () => {
+        assert.ok(gpxParser.sniff('<?xml version="1.0"?>\n<gpx version="1.1">'));
+        assert.ok(!gpxParser.sniff('<kml xmlns="http://www.opengis.net/kml/2.2">'));
+    });
+
+    it('keeps tracks, segments and routes apart', () => {
+        const { metadata, tracks } = gpxParser.parse(GPX);
+
+        assert.deepEqual(metadata, { name: 'Weekend', description: 'Two days out' });
+        assert.equal(tracks.length, 2);
+        assert.deepEqual(tracks.map(track => track.type), ['track', 'route']);
+        assert.deepEqual(tracks.map(track => track.name), ['Day 1', 'Day 2']);
+        assert.deepEqual(tracks[0].segments.map(segment => segment.length), [2, 1]);
+        assert.deepEqual(tracks[1].segments.map(segment => segment.length), [3]);
+    });
+
+    it('reads position, elevation and time', () => {
+        const [first, second] = gpxParser.parse(GPX).tracks[0].segments[0];
+
+        assert.equal(first.lat, 50);
+        assert.equal(first.lng, 4);
+        assert.equal(first.altitude, 12.5);
+        assert.equal(first.timestamp, Date.parse('2024-05-01T08:00:00Z'));
+        assert.equal(second.altitude, 14);
+        assert.equal(second.timestamp - first.timestamp, 10000);
+    });
+
+    it('leaves missing elevation and time null', () => {
+        const [point] = gpxParser.parse(GPX).tracks[0].segments[1];
+
+        assert.equal(point.altitude, null);
+        assert.equal(point.timestamp, null);
+    });
+
+    it('reads waypoints', () => {
+        const { waypoints } = gpxParser.parse(GPX);
+
+        assert.equal(waypoints.length, 1);
+        assert.equal(waypoints[0].name, 'Café');
+        assert.equal(waypoints[0].symbol, 'Restaurant');
+        assert.equal(waypoints[0].point.lat, 50.5);
+    });
+
+    it('rejects malformed XML', () => {
+        assert.throws(() => gpxParser.parse('<gpx><trk><trkseg></trk></gpx>'), /Invalid GPX file/);
+    });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import '../../helpers/dom.js';
+import kmlParser from '../../../js/data/formats/kml-parser.js';
+
+const KML = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Ardennes</name>
+    <description>Loop from Spa</description>
+    <Placemark>
+      <name>Route</name>
+      <LineString>
+        <coordinates>5.86,50.49,250 5.87,50.50,280 5.88,50.51,310</coordinates>
+      </LineString>
+    </Placemark>
+    <Placemark>
+      <name>Start</name>
+      <Point><coordinates>5.86,50.49</coordinates></Point>
+    </Placemark>
+  </Document>
+</kml>`;
+
+describe('kmlParser', () => {
+    it('sniffs KML content', () => {
+        assert.ok(kmlParser.sniff('<?xml version="1.0"?><kml xmlns="http://www.opengis.net/kml/2.2">'));
+        assert.ok(!kmlParser.sniff('<gpx version="1.1">'));
+    });
+
+    it('reads line placemarks as tracks and points as waypoints', () => {
+        const { metadata, tracks, waypoints } = kmlParser.parse(KML);
+
+        assert.deepEqual(metadata, { name: 'Ardennes', description: 'Loop from Spa' });
+        assert.equal(tracks.length, 1);
+        assert.equal(tracks[0].name, 'Route');
+        assert.equal(tracks[0].segments.length, 1);
+        assert.equal(tracks[0].segments[0].length, 3);
+        assert.equal(waypoints.length, 1);
+        assert.equal(waypoints[0].name, 'Start');
+    });
+
+    it('reads position and elevation', () => {
+        const [first, , last] = kmlParser.parse(KML).tracks[0].segments[0];
+
+        assert.equal(first.lng, 5.86);
+        assert.equal(first.lat, 50.49);
+        assert.equal(first.altitude, 250);
+        assert.equal(last.altitude, 310);
+        assert.equal(first.timestamp, null);
+    });
+
+    it('reads gx:Track times', () => {
+        const kml = `<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+          <Placemark><gx:Track>
+            <when>2024-05-01T08:00:00Z</when><when>2024-05-01T08:01:00Z</when>
+            <gx:coord>5.86 50.49 250</gx:coord><gx:coord>5.87 50.50 260</gx:coord>
+          </gx:Track></Placemark>
+        </kml>`;
+        const [first, second] = kmlParser.parse(kml).tracks[0].segments[0];
+
+        assert.equal(first.timestamp, Date.parse('2024-05-01T08:00:00Z'));
+        assert.equal(second.timestamp - first.timestamp, 60000);
+        assert.equal(second.altitude, 260);
+    });
+
+    it('rejects malformed XML', () => {
+        assert.throws(() => kmlParser.parse('<kml><Document><name>Broken</Document></kml>'), /Invalid KML file/);
+    });
+});
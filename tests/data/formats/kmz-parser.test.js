@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import '../../helpers/dom.js';
+import { createZip } from '../../helpers/zip.js';
+import kmzParser from '../../../js/data/formats/kmz-parser.js';
+
+const kml = name => `<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>${name}</name>
+  <Placemark><LineString><coordinates>4,50,10 4,50.01,20 4,50.02,30</coordinates></LineString></Placemark>
+</Document></kml>`;
+
+describe('kmzParser', () => {
+    it('sniffs ZIP content', () => {
+        assert.ok(kmzParser.sniff(createZip({ 'doc.kml': kml('Doc') })));
+        assert.ok(!kmzParser.sniff(new TextEncoder().encode('<kml>')));
+    });
+
+    it('parses the main KML document of the archive', async () => {
+        const archive = createZip({
+            'files/other.kml': kml('Other'),
+            'doc.kml': kml('Main')
+        });
+        const { metadata, tracks } = await kmzParser.parse(archive.buffer);
+
+        assert.equal(metadata.name, 'Main');
+        assert.equal(tracks.length, 1);
+        assert.equal(tracks[0].segments[0].length, 3);
+        assert.equal(tracks[0].segments[0][2].altitude, 30);
+    });
+
+    it('rejects archives without a KML document', async () => {
+        const archive = createZip({ 'images/photo.txt': 'not a track' });
+
+        await assert.rejects(kmzParser.parse(archive.buffer), /No KML document found/);
+    });
+
+    it('rejects truncated archives', async () => {
+        const archive = createZip({ 'doc.kml': kml('Doc') });
+
+        await assert.rejects(kmzParser.parse(archive.subarray(0, 40)), /Invalid ZIP archive/);
+    });
+});
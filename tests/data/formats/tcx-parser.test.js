@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import '../../helpers/dom.js';
+import tcxParser from '../../../js/data/formats/tcx-parser.js';
+
+const trackpoint = (time, lat, lon, altitude) => `<Trackpoint><Time>${time}</Time>
+  <Position><LatitudeDegrees>${lat}</LatitudeDegrees><LongitudeDegrees>${lon}</LongitudeDegrees></Position>
+  <AltitudeMeters>${altitude}</AltitudeMeters></Trackpoint>`;
+
+const COURSE = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Courses><Course>
+    <Name>Hills</Name>
+    <Track>
+      ${trackpoint('2024-05-01T08:00:00Z', 50, 4, 100)}
+      ${trackpoint('2024-05-01T08:00:20Z', 50.001, 4.001, 104.4)}
+      <Trackpoint><Time>2024-05-01T08:00:25Z</Time><HeartRateBpm><Value>120</Value></HeartRateBpm></Trackpoint>
+    </Track>
+    <CoursePoint>
+      <Name>Turn</Name>
+      <Position><LatitudeDegrees>50.001</LatitudeDegrees><LongitudeDegrees>4.001</LongitudeDegrees></Position>
+      <PointType>Left</PointType>
+    </CoursePoint>
+  </Course></Courses>
+</TrainingCenterDatabase>`;
+
+const ACTIVITY = `<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Activities><Activity Sport="Biking">
+    <Id>2024-05-02T07:00:00Z</Id>
+    <Lap><Track>${trackpoint('2024-05-02T07:00:00Z', 51, 5, 20)}${trackpoint('2024-05-02T07:00:05Z', 51.001, 5, 21)}</Track></Lap>
+    <Lap><Track>${trackpoint('2024-05-02T07:10:00Z', 51.002, 5, 22)}</Track></Lap>
+  </Activity></Activities>
+</TrainingCenterDatabase>`;
+
+describe('tcxParser', () => {
+    it('sniffs TCX content', () => {
+        assert.ok(tcxParser.sniff('<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">'));
+        assert.ok(!tcxParser.sniff('<gpx version="1.1">'));
+    });
+
+    it('reads courses, skipping trackpoints without a position', () => {
+        const { tracks } = tcxParser.parse(COURSE);
+
+        assert.equal(tracks.length, 1);
+        assert.equal(tracks[0].name, 'Hills');
+        assert.deepEqual(tracks[0].segments.map(segment => segment.length), [2]);
+    });
+
+    it('reads position, elevation and time', () => {
+        const [first, second] = tcxParser.parse(COURSE).tracks[0].segments[0];
+
+        assert.equal(first.lat, 50);
+        assert.equal(first.lng, 4);
+        assert.equal(first.altitude, 100);
+        assert.equal(second.altitude, 104.4);
+        assert.equal(first.timestamp, Date.parse('2024-05-01T08:00:00Z'));
+        assert.equal(second.timestamp - first.timestamp, 20000);
+    });
+
+    it('reads course points as waypoints', () => {
+        const { waypoints } = tcxParser.parse(COURSE);
+
+        assert.equal(waypoints.length, 1);
+        assert.equal(waypoints[0].name, 'Turn');
+        assert.equal(waypoints[0].type, 'Left');
+    });
+
+    it('reads activities with a segment per lap track', () => {
+        const { tracks } = tcxParser.parse(ACTIVITY);
+
+        assert.equal(tracks.length, 1);
+        assert.equal(tracks[0].name, '2024-05-02T07:00:00Z');
+        assert.deepEqual(tracks[0].segments.map(segment => segment.length), [2, 1]);
+    });
+
+    it('rejects malformed XML', () => {
+        assert.throws(() => tcxParser.parse('<TrainingCenterDatabase><Courses></TrainingCenterDatabase>'), /Invalid TCX file/);
+    });
+});
@@ -0,0 +1,179 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import geoUtils from '../../js/data/geo-utils.js';
+
+// Reference values from the worked examples at https://www.movable-type.co.uk/scripts/latlong.html
+const LANDS_END = { lng: -(5 + 42 / 60 + 53 / 3600), lat: 50 + 3 / 60 + 59 / 3600 };
+const JOHN_O_GROATS = { lng: -(3 + 4 / 60 + 12 / 3600), lat: 58 + 38 / 60 + 38 / 3600 };
+const CAMBRIDGE = { lng: 0.119, lat: 52.205 };
+const PARIS = { lng: 2.351, lat: 48.857 };
+
+/**
+ * Check a number against a reference value
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} tolerance - Largest accepted difference
+ */
+function assertClose(actual, expected, tolerance) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+describe('geoUtils', () => {
+    describe('calculateDistance', () => {
+        it('measures Land\'s End to John o\' Groats as 968.9 km', () => {
+            assertClose(geoUtils.calculateDistance(LANDS_END, JOHN_O_GROATS), 968853.5, 1);
+        });
+
+        it('measures Cambridge to Paris as 404.3 km', () => {
+            assertClose(geoUtils.calculateDistance(CAMBRIDGE, PARIS), 404279, 1);
+        });
+
+        it('measures a quarter of the equator', () => {
+            assertClose(geoUtils.calculateDistance([0, 0], [90, 0]), Math.PI * 6371e3 / 2, 1e-6);
+        });
+
+        it('accepts arrays and objects alike', () => {
+            assert.equal(
+                geoUtils.calculateDistance([CAMBRIDGE.lng, CAMBRIDGE.lat], [PARIS.lng, PARIS.lat]),
+                geoUtils.calculateDistance(CAMBRIDGE, PARIS)
+            );
+        });
+    });
+
+    describe('calculateBearing', () => {
+        it('gives 009°07′11″ from Land\'s End to John o\' Groats', () => {
+            assertClose(geoUtils.calculateBearing(LANDS_END, JOHN_O_GROATS), 9 + 7 / 60 + 11 / 3600, 1 / 3600);
+        });
+
+        it('gives the compass points', () => {
+            assertClose(geoUtils.calculateBearing([0, 0], [0, 1]), 0, 1e-9);
+            assertClose(geoUtils.calculateBearing([0, 0], [1, 0]), 90, 1e-9);
+            assertClose(geoUtils.calculateBearing([0, 1], [0, 0]), 180, 1e-9);
+            assertClose(geoUtils.calculateBearing([1, 0], [0, 0]), 270, 1e-9);
+        });
+    });
+
+    describe('calculateIntermediatePoint', () => {
+        it('finds the Land\'s End - John o\' Groats midpoint at 54°21′44″N 004°31′50″W', () => {
+            const { lng, lat } = geoUtils.calculateIntermediatePoint(LANDS_END, JOHN_O_GROATS, 0.5);
+
+            assertClose(lat, 54 + 21 / 60 + 44 / 3600, 1 / 3600);
+            assertClose(lng, -(4 + 31 / 60 + 50 / 3600), 1 / 3600);
+        });
+
+        it('finds the point a quarter of the way from Cambridge to Paris at 51.3721°N 000.7073°E', () => {
+            const { lng, lat } = geoUtils.calculateIntermediatePoint(CAMBRIDGE, PARIS, 0.25);
+
+            assertClose(lat, 51.3721, 1e-4);
+            assertClose(lng, 0.7073, 1e-4);
+        });
+
+        it('follows the great circle over the pole rather than the parallel', () => {
+            const { lat } = geoUtils.calculateIntermediatePoint([0, 60], [180, 60], 0.5);
+            assertClose(lat, 90, 1e-9);
+        });
+
+        it('divides a meridian evenly', () => {
+            const { lng, lat } = geoUtils.calculateIntermediatePoint([0, 0], [0, 90], 1 / 3);
+
+            assertClose(lat, 30, 1e-9);
+            assertClose(lng, 0, 1e-9);
+        });
+
+        it('returns the ends at fractions 0 and 1', () => {
+            const start = geoUtils.calculateIntermediatePoint(CAMBRIDGE, PARIS, 0);
+            const end = geoUtils.calculateIntermediatePoint(CAMBRIDGE, PARIS, 1);
+
+            assertClose(start.lat, CAMBRIDGE.lat, 1e-9);
+            assertClose(start.lng, CAMBRIDGE.lng, 1e-9);
+            assertClose(end.lat, PARIS.lat, 1e-9);
+            assertClose(end.lng, PARIS.lng, 1e-9);
+        });
+
+        it('returns the point itself for a zero length path', () => {
+            assert.deepEqual(geoUtils.calculateIntermediatePoint(PARIS, PARIS, 0.5), PARIS);
+        });
+
+        it('spaces points evenly in distance', () => {
+            const points = [0, 0.25, 0.5, 0.75, 1].map(fraction =>
+                geoUtils.calculateIntermediatePoint(LANDS_END, JOHN_O_GROATS, fraction)
+            );
+            const total = geoUtils.calculateDistance(LANDS_END, JOHN_O_GROATS);
+
+            for (let i = 1; i < points.length; i++) {
+                assertClose(geoUtils.calculateDistance(points[i - 1], points[i]), total / 4, 1e-3);
+            }
+        });
+    });
+
+    describe('calculateDestination', () => {
+        it('travels 124.8 km on 096°01′18″ from 53°19′14″N 001°43′47″W to 53°11′18″N 000°08′00″E', () => {
+            const start = { lng: -(1 + 43 / 60 + 47 / 3600), lat: 53 + 19 / 60 + 14 / 3600 };
+            const { lng, lat } = geoUtils.calculateDestination(start, 96 + 1 / 60 + 18 / 3600, 124800);
+
+            assertClose(lat, 53 + 11 / 60 + 18 / 3600, 1 / 3600);
+            assertClose(lng, 8 / 60, 1 / 3600);
+        });
+
+        it('reaches John o\' Groats from Land\'s End on the initial bearing', () => {
+            const bearing = geoUtils.calculateBearing(LANDS_END, JOHN_O_GROATS);
+            const distance = geoUtils.calculateDistance(LANDS_END, JOHN_O_GROATS);
+            const { lng, lat } = geoUtils.calculateDestination(LANDS_END, bearing, distance);
+
+            assertClose(lat, JOHN_O_GROATS.lat, 1e-9);
+            assertClose(lng, JOHN_O_GROATS.lng, 1e-9);
+        });
+
+        it('moves a degree of latitude north along a meridian', () => {
+            const { lng, lat } = geoUtils.calculateDestination([4, 50], 0, 6371e3 * Math.PI / 180);
+
+            assertClose(lat, 51, 1e-9);
+            assertClose(lng, 4, 1e-9);
+        });
+
+        it('wraps the longitude across the antimeridian', () => {
+            const { lng, lat } = geoUtils.calculateDestination([179.5, 0], 90, 6371e3 * Math.PI / 180);
+
+            assertClose(lat, 0, 1e-9);
+            assertClose(lng, -179.5, 1e-9);
+        });
+
+        it('stays put for a zero distance', () => {
+            const { lng, lat } = geoUtils.calculateDestination(PARIS, 45, 0);
+
+            assertClose(lat, PARIS.lat, 1e-12);
+            assertClose(lng, PARIS.lng, 1e-12);
+        });
+    });
+
+    describe('cross-track and along-track distance', () => {
+        // A point off the path from 53.3206°N 001.7297°W to 53.1887°N 000.1334°E
+        const point = { lng: -0.7972, lat: 53.2611 };
+        const start = { lng: -1.7297, lat: 53.3206 };
+        const end = { lng: 0.1334, lat: 53.1887 };
+
+        it('gives -307.5 m cross-track, left of the path', () => {
+            assertClose(geoUtils.calculateCrossTrackDistance(point, start, end), -307.5, 0.1);
+        });
+
+        it('gives 62.331 km along-track', () => {
+            assertClose(geoUtils.calculateAlongTrackDistance(point, start, end), 62331, 1);
+        });
+
+        it('is positive right of the path', () => {
+            assertClose(geoUtils.calculateCrossTrackDistance([0.5, -0.001], [0, 0], [1, 0]), 111.2, 0.1);
+        });
+
+        it('is negative along-track behind the start', () => {
+            assertClose(geoUtils.calculateAlongTrackDistance([-0.01, 0.001], [0, 0], [1, 0]), -1111.9, 0.1);
+        });
+
+        it('is zero for points on the path', () => {
+            const onPath = geoUtils.calculateIntermediatePoint(start, end, 0.4);
+
+            assertClose(geoUtils.calculateCrossTrackDistance(onPath, start, end), 0, 1e-6);
+            assertClose(geoUtils.calculateAlongTrackDistance(onPath, start, end),
+                geoUtils.calculateDistance(start, end) * 0.4, 1e-3);
+        });
+    });
+});
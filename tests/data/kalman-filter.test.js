@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../../js/core/config.js';
+import KalmanFilter from '../../js/data/kalman-filter.js';
+import { createRandom, gaussian, toLocation } from '../helpers/tracks.js';
+
+const NOISE = 10; // meters, standard deviation of the simulated GPS
+
+/**
+ * Filter a noisy trace of a path and measure how far fixes and estimates are from it
+ * @param {Function} path - Maps seconds to the true [x, y] position in meters
+ * @param {number} seconds - Trace length, one fix per second
+ * @param {number} seed - Noise seed
+ * @returns {Object} { rawError, filteredError, speed } means after warming up, in meters and m/s
+ */
+function filterTrace(path, seconds, seed) {
+    const random = createRandom(seed);
+    const filter = new KalmanFilter(config.location.filter.kalman);
+    let rawError = 0;
+    let filteredError = 0;
+    let speed = 0;
+    const warmUp = 10;
+
+    for (let t = 0; t < seconds; t++) {
+        const [x, y] = path(t);
+        const truth = toLocation(x, y);
+        const fix = toLocation(x + gaussian(random, NOISE), y + gaussian(random, NOISE));
+        fix.timestamp = t * 1000;
+
+        const estimate = filter.update(fix, NOISE);
+
+        if (t >= warmUp) {
+            rawError += fix.distanceTo(truth);
+            filteredError += truth.distanceTo(estimate);
+            speed += estimate.speed;
+        }
+    }
+
+    const count = seconds - warmUp;
+    return { rawError: rawError / count, filteredError: filteredError / count, speed: speed / count };
+}
+
+describe('KalmanFilter', () => {
+    it('starts at the first fix', () => {
+        const filter = new KalmanFilter(config.location.filter.kalman);
+        const fix = toLocation(0, 0);
+        fix.timestamp = 0;
+
+        const estimate = filter.update(fix, 12);
+
+        assert.ok(filter.isInitialized());
+        assert.equal(estimate.lng, fix.lng);
+        assert.equal(estimate.lat, fix.lat);
+        assert.equal(estimate.accuracy, 12);
+        assert.equal(estimate.speed, 0);
+    });
+
+    it('smooths the noise of a rider standing still', () => {
+        const { rawError, filteredError } = filterTrace(() => [0, 0], 120, 1);
+
+        assert.ok(filteredError < rawError * 0.7, `${filteredError} m against ${rawError} m raw`);
+    });
+
+    it('smooths the noise of a steady ride and learns its speed', () => {
+        const { rawError, filteredError, speed } = filterTrace(t => [t * 3, t * 4], 300, 2);
+
+        assert.ok(filteredError < rawError * 0.7, `${filteredError} m against ${rawError} m raw`);
+        assert.ok(Math.abs(speed - 5) < 1, `${speed} m/s`);
+    });
+
+    it('follows a turn without lagging far behind', () => {
+        // Ride north, then turn east after a minute
+        const path = t => (t < 60 ? [0, t * 5] : [(t - 60) * 5, 300]);
+        const { rawError, filteredError } = filterTrace(path, 120, 3);
+
+        assert.ok(filteredError < rawError, `${filteredError} m against ${rawError} m raw`);
+    });
+
+    it('starts over after a reset', () => {
+        const filter = new KalmanFilter(config.location.filter.kalman);
+        const fix = toLocation(0, 0);
+        fix.timestamp = 0;
+        filter.update(fix, 10);
+
+        filter.reset();
+
+        assert.equal(filter.isInitialized(), false);
+        const far = toLocation(5000, 0);
+        far.timestamp = 1000;
+        const estimate = filter.update(far, 10);
+        assert.equal(estimate.lng, far.lng);
+    });
+});
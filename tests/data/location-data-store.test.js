@@ -0,0 +1,86 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import EventBus from '../../js/core/event-bus.js';
+import config from '../../js/core/config.js';
+import LocationDataStore from '../../js/data/location-data-store.js';
+import { toLocation } from '../helpers/tracks.js';
+
+/**
+ * Create a geolocation position like the browser gives
+ * @param {number} x - Meters east of the origin
+ * @param {number} y - Meters north of the origin
+ * @param {number} timestamp - Fix time in milliseconds
+ * @param {number} accuracy - Reported accuracy in meters
+ * @returns {Object} GeolocationPosition-like object
+ */
+function toPosition(x, y, timestamp, accuracy = 5) {
+    const { lng, lat } = toLocation(x, y);
+    return {
+        coords: { longitude: lng, latitude: lat, accuracy, altitude: null, speed: 5 },
+        timestamp
+    };
+}
+
+describe('LocationDataStore', () => {
+    let eventBus;
+    let store;
+    let events;
+
+    beforeEach(() => {
+        eventBus = new EventBus();
+        store = new LocationDataStore(eventBus);
+        events = { accepted: [], rejected: [], updated: [] };
+        eventBus.on('location:fix-accepted', data => events.accepted.push(data));
+        eventBus.on('location:fix-rejected', data => events.rejected.push(data));
+        eventBus.on('location:updated', data => events.updated.push(data));
+
+        eventBus.emit('location:start-tracking');
+    });
+
+    afterEach(() => {
+        eventBus.emit('location:stop-tracking');
+    });
+
+    it('announces every accepted fix, not only one per update interval', () => {
+        // One fix a second over one update interval
+        const fixCount = config.location.tracking.updateInterval / 1000;
+
+        for (let i = 0; i < fixCount; i++) {
+            eventBus.emit('location:raw-update', { position: toPosition(0, i * 5, 1000 * i) });
+        }
+        store.updateMapWithCurrentLocation();
+
+        assert.equal(events.accepted.length, fixCount);
+        assert.equal(events.updated.length, 1);
+        assert.equal(events.updated[0].location, events.accepted[fixCount - 1].location);
+    });
+
+    it('does not announce fixes the filter drops', () => {
+        eventBus.emit('location:raw-update', { position: toPosition(0, 0, 0) });
+        eventBus.emit('location:raw-update', { position: toPosition(0, 5000, 1000) });
+
+        assert.equal(events.accepted.length, 1);
+        assert.equal(events.rejected.length, 1);
+        assert.equal(events.rejected[0].reason, 'speed');
+    });
+
+    it('ignores fixes while not tracking', () => {
+        eventBus.emit('location:stop-tracking');
+        eventBus.emit('location:raw-update', { position: toPosition(0, 0, 0) });
+
+        assert.equal(events.accepted.length, 0);
+    });
+
+    it('reports the accuracy of the smoothed location, not of a dropped fix', () => {
+        for (let i = 0; i < 5; i++) {
+            eventBus.emit('location:raw-update', { position: toPosition(0, i * 5, 1000 * i) });
+        }
+        eventBus.emit('location:raw-update', { position: toPosition(0, 25, 5000, 1500) });
+        store.updateMapWithCurrentLocation();
+
+        const [updated] = events.updated;
+        assert.equal(events.rejected.length, 1);
+        assert.equal(updated.accuracy, events.accepted[4].location.accuracy);
+        assert.ok(updated.accuracy < 5);
+    });
+});
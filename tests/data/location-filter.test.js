@@ -0,0 +1,213 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import '../helpers/dom.js';
+import config from '../../js/core/config.js';
+import geoUtils from '../../js/data/geo-utils.js';
+import GeoPoint from '../../js/data/geo-point.js';
+import LocationFilter from '../../js/data/location-filter.js';
+import SpatialIndex from '../../js/data/spatial-index.js';
+import { createRandom, gaussian, toLocation } from '../helpers/tracks.js';
+
+// Meters of error per unit of HDOP, as phones turn dilution into accuracy
+const HDOP_ERROR = 5;
+
+/**
+ * Create a raw fix
+ * @param {number} x - Meters east of the origin
+ * @param {number} y - Meters north of the origin
+ * @param {number} timestamp - Fix time in milliseconds
+ * @param {number} accuracy - Reported accuracy in meters
+ * @returns {GeoPoint} Fix
+ */
+function createFix(x, y, timestamp, accuracy = 8) {
+    const fix = toLocation(x, y);
+    fix.timestamp = timestamp;
+    fix.accuracy = accuracy;
+    return fix;
+}
+
+/**
+ * Read the track points of a GPX file as fixes
+ * @param {string} path - Path relative to the repository root
+ * @returns {Array<GeoPoint>} Points, with timestamp and, where the file has HDOP, accuracy
+ */
+function readTrace(path) {
+    const xml = readFileSync(new URL(`../../${path}`, import.meta.url), 'utf-8');
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+
+    return Array.from(doc.getElementsByTagName('trkpt'), point => {
+        const hdop = point.getElementsByTagName('hdop')[0];
+        return new GeoPoint(Number(point.getAttribute('lon')), Number(point.getAttribute('lat')), {
+            timestamp: Date.parse(point.getElementsByTagName('time')[0].textContent),
+            accuracy: hdop ? Number(hdop.textContent) * HDOP_ERROR : null
+        });
+    });
+}
+
+describe('LocationFilter', () => {
+    const { maxAccuracy, maxAccuracyWait, maxSpeed, maxGap, maxConsecutiveRejections } = config.location.filter;
+    let filter;
+
+    beforeEach(() => {
+        filter = new LocationFilter();
+    });
+
+    it('rejects a cell tower fix as the very first fix', () => {
+        assert.deepEqual(filter.process(createFix(0, 0, 0, 2000)), { location: null, reason: 'accuracy' });
+        assert.ok(filter.process(createFix(1500, 0, 1000)).location);
+    });
+
+    it('rejects a cell tower fix as the first fix after a gap', () => {
+        assert.ok(filter.process(createFix(0, 0, 0)).location);
+
+        const afterGap = maxGap + 1000;
+        assert.equal(filter.process(createFix(3000, 0, afterGap, maxAccuracy + 1)).reason, 'accuracy');
+        assert.ok(filter.process(createFix(3000, 0, afterGap + 1000)).location);
+    });
+
+    it('rejects a fix with the time of the last accepted one', () => {
+        filter.process(createFix(0, 0, 1000));
+        assert.equal(filter.process(createFix(2, 0, 1000)).reason, 'duplicate');
+    });
+
+    it('keeps a noisy ride and drops the jumps in it', () => {
+        const random = createRandom(24);
+        const results = [];
+
+        // A 5 m/s ride with 8 m noise, where every 15th fix jumps 500 m off
+        for (let i = 0; i < 300; i++) {
+            const jump = i % 15 === 7 ? 500 : 0;
+            const fix = createFix(gaussian(random, 8) + jump, i * 5 + gaussian(random, 8), i * 1000);
+            results.push({ jump, ...filter.process(fix) });
+        }
+
+        results.forEach(({ jump, location, reason }) => {
+            if (jump) {
+                assert.equal(reason, 'speed');
+            } else {
+                assert.ok(location, `noise was rejected as ${reason}`);
+            }
+        });
+    });
+
+    it('believes a new place after too many jumps in a row', () => {
+        filter.process(createFix(0, 0, 0));
+
+        // Woken up 10 km away, with each fix coming in under the gap that would reset the filter
+        for (let i = 1; i < maxConsecutiveRejections; i++) {
+            assert.equal(filter.process(createFix(10000, 0, i * 1000)).reason, 'speed');
+        }
+
+        const { location } = filter.process(createFix(10000, 0, maxConsecutiveRejections * 1000));
+        assert.ok(location);
+        assert.ok(location.distanceTo(toLocation(10000, 0)) < 1);
+    });
+
+    it('takes any accurate fix again after a long gap', () => {
+        filter.process(createFix(0, 0, 0));
+
+        const { location } = filter.process(createFix(10000, 0, maxGap + 1000));
+        assert.ok(location);
+        assert.ok(location.distanceTo(toLocation(10000, 0)) < 1);
+    });
+
+    it('takes the most accurate rough fix when no better one comes in', () => {
+        // Wi-Fi positioning indoors: nothing within maxAccuracy, one fix a second
+        const accuracies = [900, 300, 120, 400, 200, 150, 600, 250, 180, 300];
+        const results = accuracies.map((accuracy, i) => filter.process(createFix(i * 10, 0, i * 1000, accuracy)));
+        results.forEach(result => assert.equal(result.reason, 'accuracy'));
+
+        const { location } = filter.process(createFix(100, 0, maxAccuracyWait, 500));
+
+        assert.ok(location);
+        assert.equal(location.timestamp, 2000);
+        assert.ok(location.distanceTo(toLocation(20, 0)) < 1);
+    });
+
+    it('keeps giving rough locations while only rough fixes come in', () => {
+        const seconds = 60;
+        let accepted = 0;
+        for (let i = 0; i <= seconds; i++) {
+            if (filter.process(createFix(i, 0, i * 1000, 2 * maxAccuracy)).location) accepted++;
+        }
+
+        assert.ok(accepted >= Math.floor(seconds * 1000 / (maxAccuracyWait + 1000)), `${accepted} locations`);
+    });
+
+    it('takes a good fix right away and starts waiting over after it', () => {
+        filter.process(createFix(0, 0, 0, 500));
+        assert.ok(filter.process(createFix(0, 0, 1000)).location);
+
+        // Rough fixes from the moment the good one was taken still wait the full time
+        for (let t = 2000; t < 2000 + maxAccuracyWait; t += 1000) {
+            assert.equal(filter.process(createFix(0, 0, t, 500)).reason, 'accuracy');
+        }
+        assert.ok(filter.process(createFix(0, 0, 2000 + maxAccuracyWait, 500)).location);
+    });
+
+    it('takes rough fixes right away in low accuracy mode', () => {
+        const { maxLowAccuracy } = config.location.filter;
+        filter.setHighAccuracy(false);
+        assert.ok(filter.process(createFix(0, 0, 0, maxLowAccuracy)).location);
+        assert.equal(filter.process(createFix(0, 0, 1000, maxLowAccuracy + 1)).reason, 'accuracy');
+
+        filter.setHighAccuracy(true);
+        assert.equal(filter.process(createFix(0, 0, 2000, maxAccuracy + 1)).reason, 'accuracy');
+    });
+
+    describe('replaying a trace', () => {
+        // The fixture is simulated, a phone recording of the start of thewalk.gpx can take its place
+        const fixes = readTrace('tests/fixtures/simulated-walk.gpx');
+        const route = new SpatialIndex(readTrace('thewalk.gpx'));
+        const offRoute = location => route.nearest(location).distance;
+
+        const kept = [];
+        const smoothed = [];
+        const replay = new LocationFilter();
+        fixes.forEach(fix => {
+            const { location } = replay.process(fix);
+            if (location) {
+                kept.push(fix);
+                smoothed.push(location);
+            }
+        });
+
+        it('keeps nearly every fix', () => {
+            assert.ok(kept.length >= fixes.length * 0.95, `${kept.length} of ${fixes.length} kept`);
+        });
+
+        it('drops the jumps and rough fixes', () => {
+            const farthest = Math.max(...kept.map(offRoute));
+            assert.ok(farthest < maxAccuracy, `a kept fix is ${farthest.toFixed(0)} m off the route`);
+        });
+
+        const speeds = locations => locations.slice(1).map((location, i) =>
+            geoUtils.calculateDistance(locations[i], location) / ((location.timestamp - locations[i].timestamp) / 1000));
+
+        it('never moves faster than a jump', () => {
+            speeds(smoothed).forEach((speed, i) => {
+                assert.ok(speed <= maxSpeed, `${speed.toFixed(1)} m/s at fix ${i + 1}`);
+            });
+        });
+
+        it('keeps the location on the route', () => {
+            const mean = locations => locations.reduce((sum, location) => sum + offRoute(location), 0) / locations.length;
+            assert.ok(mean(smoothed) < mean(kept) + 1, `${mean(smoothed).toFixed(1)} m smoothed, ${mean(kept).toFixed(1)} m raw`);
+        });
+
+        it('steadies the pace', () => {
+            const points = route.trackPoints;
+            const last = points[points.length - 1];
+            const distance = points.slice(1).reduce((sum, point, i) => sum + geoUtils.calculateDistance(points[i], point), 0);
+            const pace = distance / ((last.timestamp - points[0].timestamp) / 1000);
+
+            const paceError = locations => {
+                const values = speeds(locations);
+                return values.reduce((sum, speed) => sum + Math.abs(speed - pace), 0) / values.length;
+            };
+            assert.ok(paceError(smoothed) < paceError(kept) * 0.9,
+                `${paceError(smoothed).toFixed(2)} m/s off the pace smoothed, ${paceError(kept).toFixed(2)} m/s raw`);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import GeoPoint from '../../js/data/geo-point.js';
+import SpatialIndex from '../../js/data/spatial-index.js';
+import { createRandom, createTrackPoints, randomWalk, toLocation } from '../helpers/tracks.js';
+
+const CELL_SIZE = 250;
+const METERS_PER_DEGREE = 6371e3 * Math.PI / 180;
+
+/**
+ * Find the closest segment by measuring every one of them
+ * @param {SpatialIndex} index - Index over the track
+ * @param {Object} location - Location
+ * @returns {Object} { index, fraction, planarDistance } of the closest segment
+ */
+function bruteForce(index, location) {
+    let best = null;
+    index.trackPoints.forEach((point, i) => {
+        const next = index.trackPoints[i + 1];
+        const isLone = (!next || next.segmentIndex !== point.segmentIndex) &&
+            (i === 0 || index.trackPoints[i - 1].segmentIndex !== point.segmentIndex);
+        if ((!next || next.segmentIndex !== point.segmentIndex) && !isLone) return;
+
+        const candidate = index.projectOntoSegment(location, i);
+        if (!best || candidate.planarDistance < best.planarDistance) {
+            best = candidate;
+        }
+    });
+    return best;
+}
+
+/**
+ * Check that the index finds the same track position as the brute-force scan
+ * @param {SpatialIndex} index - Index over the track
+ * @param {Object} location - Location
+ */
+function assertSameAsBruteForce(index, location) {
+    const expected = bruteForce(index, location);
+    const actual = index.nearest(location);
+    const measured = index.projectOntoSegment(location, actual.index);
+
+    // A corner is the end of one segment and the start of the next, both are the same position.
+    // The index reports the position on the sphere, centimeters from the planar one.
+    const expectedPosition = index.interpolate(expected.index, expected.fraction).distanceFromStart;
+    assert.ok(Math.abs(measured.planarDistance - expected.planarDistance) < 1e-6,
+        `distance ${measured.planarDistance} vs ${expected.planarDistance} at ${location.lng},${location.lat}`);
+    assert.ok(Math.abs(actual.index + actual.fraction - (expected.index + expected.fraction)) < 1.01,
+        `segment ${actual.index} vs ${expected.index}`);
+    assert.ok(Math.abs(actual.point.distanceFromStart - expectedPosition) < 0.25,
+        `position ${actual.point.distanceFromStart} vs ${expectedPosition}`);
+}
+
+describe('SpatialIndex', () => {
+    const random = createRandom(42);
+    const walk = randomWalk(3000, 40, random);
+    const trackPoints = createTrackPoints([walk.slice(0, 1500), walk.slice(1500)]);
+    const index = new SpatialIndex(trackPoints, CELL_SIZE);
+
+    it('agrees with a scan of every segment near the track', () => {
+        for (let i = 0; i < 500; i++) {
+            const [x, y] = walk[Math.floor(random() * walk.length)];
+            assertSameAsBruteForce(index, toLocation(x + (random() - 0.5) * 600, y + (random() - 0.5) * 600));
+        }
+    });
+
+    it('agrees with a scan of every segment on cell edges and corners', () => {
+        // Locations in the index's own grid plane
+        const fromGrid = (x, y) => new GeoPoint(
+            index.originLng + x / index.lngScale,
+            index.originLat + y / METERS_PER_DEGREE
+        );
+
+        for (let i = 0; i < 300; i++) {
+            const { x, y } = index.projected[Math.floor(random() * index.projected.length)];
+            const edgeX = Math.round(x / CELL_SIZE) * CELL_SIZE;
+            const edgeY = Math.round(y / CELL_SIZE) * CELL_SIZE;
+
+            // Just inside either cell, on the edge, and on the corner
+            [-1e-6, 0, 1e-6].forEach(offset => {
+                assertSameAsBruteForce(index, fromGrid(edgeX + offset, y));
+                assertSameAsBruteForce(index, fromGrid(x, edgeY + offset));
+                assertSameAsBruteForce(index, fromGrid(edgeX + offset, edgeY + offset));
+            });
+        }
+    });
+
+    it('agrees with a scan of every segment far from the track', () => {
+        [[50000, 0], [-30000, 20000], [0, -80000]].forEach(([x, y]) => {
+            assertSameAsBruteForce(index, toLocation(x, y));
+        });
+    });
+
+    it('never matches the gap between two segments', () => {
+        const points = createTrackPoints([[[0, 0], [1000, 0]], [[1000, 1000], [2000, 1000]]]);
+        const nearest = new SpatialIndex(points, CELL_SIZE).nearest(toLocation(1000, 500));
+
+        assert.ok(nearest.distance > 499);
+        assert.notEqual(nearest.index, 1);
+    });
+
+    it('projects onto the segment between two points', () => {
+        const points = createTrackPoints([[[0, 0], [1000, 0]]]);
+        const nearest = new SpatialIndex(points, CELL_SIZE).nearest(toLocation(250, 30));
+
+        assert.equal(nearest.index, 0);
+        assert.ok(Math.abs(nearest.fraction - 0.25) < 1e-3);
+        assert.ok(Math.abs(nearest.distance - 30) < 0.1);
+        assert.ok(Math.abs(nearest.point.distanceFromStart - 250) < 0.5);
+    });
+
+    it('honours the index window and the maximum distance', () => {
+        const points = createTrackPoints([[[0, 0], [1000, 0], [1000, 100], [0, 100]]]);
+        const spatialIndex = new SpatialIndex(points, CELL_SIZE);
+        const location = toLocation(500, 10);
+
+        assert.equal(spatialIndex.nearest(location).index, 0);
+        assert.equal(spatialIndex.nearest(location, { minIndex: 1 }).index, 2);
+        assert.equal(spatialIndex.nearest(location, { maxDistance: 5 }), null);
+    });
+
+    it('returns null for an empty track', () => {
+        assert.equal(new SpatialIndex([], CELL_SIZE).nearest(toLocation(0, 0)), null);
+    });
+});
@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import EventBus from '../../js/core/event-bus.js';
+import config from '../../js/core/config.js';
+import geoUtils from '../../js/data/geo-utils.js';
+import TrackDataStore from '../../js/data/track-data-store.js';
+
+/**
+ * Load a GeoJSON LineString
+ * @param {Array<Array<number>>} coordinates - Line coordinates as [lng, lat]
+ * @returns {Promise<TrackDataStore>} Store with the track loaded
+ */
+async function loadLine(coordinates) {
+    return loadGeometry({ type: 'LineString', coordinates });
+}
+
+/**
+ * Load a GeoJSON geometry
+ * @param {Object} geometry - LineString or MultiLineString
+ * @returns {Promise<TrackDataStore>} Store with the track loaded
+ */
+async function loadGeometry(geometry) {
+    const trackDataStore = new TrackDataStore(new EventBus());
+    await trackDataStore.loadTrackData(JSON.stringify(geometry), 'file', {
+        filename: 'line.geojson'
+    });
+    return trackDataStore;
+}
+
+/**
+ * Place altitudes on points 20 m apart going north, close enough not to be densified
+ * @param {Array<number>} altitudes - Altitude of each point in meters
+ * @param {number} lng - Longitude of the line
+ * @returns {Array<Array<number>>} Coordinates as [lng, lat, altitude]
+ */
+function withAltitudes(altitudes, lng = 4.35) {
+    return altitudes.map((altitude, i) => [lng, 50.85 + i * 20 / 111195, altitude]);
+}
+
+describe('TrackDataStore', () => {
+    describe('densification', () => {
+        const spacing = config.track.interpolation.distance;
+
+        it('spaces points evenly, no further apart than the interpolation distance', async () => {
+            // A 16 km segment far north, where degrees of longitude are short
+            const { trackPoints, totalDistance } = await loadLine([[20, 70], [20.42, 70]]);
+            const gaps = trackPoints.slice(1).map((point, i) => geoUtils.calculateDistance(trackPoints[i], point));
+
+            assert.ok(Math.max(...gaps) <= spacing + 1e-6);
+            assert.ok(Math.max(...gaps) - Math.min(...gaps) < 1e-3);
+            assert.equal(gaps.length, Math.ceil(totalDistance / spacing));
+        });
+
+        it('follows the great circle between far apart points', async () => {
+            const { trackPoints } = await loadLine([[-30, 70], [30, 70]]);
+            const middle = trackPoints[Math.floor(trackPoints.length / 2)];
+
+            // The great circle bulges towards the pole to atan(tan 70° / cos 30°), the parallel stays at 70°
+            const vertex = Math.atan(Math.tan(70 * Math.PI / 180) / Math.cos(30 * Math.PI / 180)) * 180 / Math.PI;
+            assert.ok(Math.abs(middle.lat - vertex) < 0.01, `middle at ${middle.lat}`);
+            trackPoints.forEach(point => {
+                assert.ok(Math.abs(geoUtils.calculateCrossTrackDistance(point, trackPoints[0], trackPoints[trackPoints.length - 1])) < 0.01);
+            });
+        });
+
+        it('measures the densified track as the great-circle distance', async () => {
+            const start = [5.5, 50.5];
+            const end = [6.2, 50.9];
+            const { totalDistance } = await loadLine([start, end]);
+
+            assert.ok(Math.abs(totalDistance - geoUtils.calculateDistance(start, end)) < 0.01);
+        });
+    });
+
+    describe('elevation changes', () => {
+        const { smoothingThreshold } = config.track.elevation;
+
+        it('ignores noise smaller than the smoothing threshold', async () => {
+            const noise = smoothingThreshold - 1;
+            const altitudes = [100, 100 + noise, 100 - noise, 100 + noise / 2, 100 - noise, 100 + noise, 100];
+            const { hasElevation, totalAscent, totalDescent } = await loadLine(withAltitudes(altitudes));
+
+            assert.equal(hasElevation, true);
+            assert.equal(totalAscent, 0);
+            assert.equal(totalDescent, 0);
+        });
+
+        it('counts a real climb and descent through the noise on it', async () => {
+            // Up 60 m with dips on the way, then down 30 m
+            const altitudes = [100, 103, 101, 106, 104, 112, 120, 118, 131, 160, 158, 150, 140, 130];
+            const { trackPoints, totalAscent, totalDescent } = await loadLine(withAltitudes(altitudes));
+
+            assert.equal(totalAscent, 60);
+            assert.equal(totalDescent, 30);
+
+            // Climbing so far is kept on every point
+            const top = trackPoints.find(point => point.altitude === 160);
+            assert.equal(top.ascentFromStart, 60);
+            assert.equal(top.descentFromStart, 0);
+            assert.equal(trackPoints[trackPoints.length - 1].ascentFromStart, 60);
+            assert.equal(trackPoints[trackPoints.length - 1].descentFromStart, 30);
+        });
+
+        it('does not climb the gap between segments', async () => {
+            // The second segment starts 200 m higher, e.g. after a cable car, and climbs 20 m itself
+            const { segments, totalAscent, totalDescent } = await loadGeometry({
+                type: 'MultiLineString',
+                coordinates: [withAltitudes([100, 102, 104]), withAltitudes([300, 310, 320], 4.36)]
+            });
+
+            assert.equal(segments.length, 2);
+            assert.equal(totalAscent, 20);
+            assert.equal(totalDescent, 0);
+        });
+
+        it('reports no elevation for a track without altitudes', async () => {
+            const { hasElevation, totalAscent, totalDescent } = await loadLine([[4.35, 50.85], [4.351, 50.85]]);
+
+            assert.equal(hasElevation, false);
+            assert.equal(totalAscent, 0);
+            assert.equal(totalDescent, 0);
+        });
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import trackSimplifier from '../../js/data/track-simplifier.js';
+import { createRandom, randomWalk, toLocation } from '../helpers/tracks.js';
+
+/**
+ * Convert plane coordinates to [longitude, latitude]
+ * @param {Array<Array<number>>} points - Points as [x, y] meters
+ * @returns {Array<Array<number>>} Coordinates
+ */
+function toCoordinates(points) {
+    return points.map(([x, y]) => {
+        const { lng, lat } = toLocation(x, y);
+        return [lng, lat];
+    });
+}
+
+describe('trackSimplifier', () => {
+    it('gives the web mercator resolution at the equator', () => {
+        // 156543 m per 256 px tile pixel at zoom 0, halved for 512 px tiles
+        assert.ok(Math.abs(trackSimplifier.getTolerance(0, 0, 1) - 78271.517) < 0.01);
+        assert.ok(Math.abs(trackSimplifier.getTolerance(10, 60, 2) - 78271.517 / 1024) < 0.01);
+    });
+
+    it('keeps the end points and drops points on a straight line', () => {
+        const line = toCoordinates([[0, 0], [100, 1], [200, -1], [300, 0]]);
+
+        assert.deepEqual(trackSimplifier.simplify(line, 5), [line[0], line[3]]);
+        assert.deepEqual(trackSimplifier.simplify(line, 0.1), line);
+    });
+
+    it('stays within the tolerance of every dropped point', () => {
+        const points = randomWalk(2000, 20, createRandom(13));
+        const line = toCoordinates(points);
+        const simplified = trackSimplifier.simplify(line, 10);
+
+        assert.ok(simplified.length < line.length / 4);
+
+        // Walk the kept points and measure each dropped point against its span
+        let kept = 0;
+        const keptIndices = line.map((coord, i) => (coord === simplified[kept] ? (kept++, i) : -1))
+            .filter(i => i >= 0);
+        assert.equal(keptIndices.length, simplified.length);
+
+        for (let k = 1; k < keptIndices.length; k++) {
+            const a = points[keptIndices[k - 1]];
+            const b = points[keptIndices[k]];
+            for (let i = keptIndices[k - 1] + 1; i < keptIndices[k]; i++) {
+                assert.ok(Math.sqrt(trackSimplifier.getSqSegmentDistance(points[i], a, b)) <= 10.05);
+            }
+        }
+    });
+});
@@ -0,0 +1,15 @@
+/**
+ * dom.js
+ * Provides the browser globals the XML parsers expect: DOMParser and the togeojson script
+ */
+
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('');
+globalThis.DOMParser = window.DOMParser;
+
+// togeojson is a classic script declaring a global, as loaded by index.html
+const togeojson = readFileSync(new URL('../../libs/togeojson.min.js', import.meta.url), 'utf-8');
+vm.runInThisContext(`${togeojson}\nglobalThis.toGeoJSON = toGeoJSON;`);
@@ -0,0 +1,124 @@
+/**
+ * fit.js
+ * Builds small FIT files for the FIT parser tests
+ */
+
+// FIT timestamps count seconds from 1989-12-31T00:00:00Z
+const FIT_EPOCH_OFFSET = 631065600;
+
+const WRITERS = {
+    0x00: (view, offset, value) => view.setUint8(offset, value), // enum
+    0x01: (view, offset, value) => view.setInt8(offset, value), // sint8
+    0x02: (view, offset, value) => view.setUint8(offset, value), // uint8
+    0x83: (view, offset, value) => view.setInt16(offset, value, true), // sint16
+    0x84: (view, offset, value) => view.setUint16(offset, value, true), // uint16
+    0x85: (view, offset, value) => view.setInt32(offset, value, true), // sint32
+    0x86: (view, offset, value) => view.setUint32(offset, value, true) // uint32
+};
+const BASE_TYPE_STRING = 0x07;
+
+/**
+ * Convert degrees to FIT semicircles
+ * @param {number} degrees - Latitude or longitude
+ * @returns {number} Semicircles
+ */
+export function toSemicircles(degrees) {
+    return Math.round(degrees * 2 ** 31 / 180);
+}
+
+/**
+ * Convert a date to a FIT timestamp
+ * @param {string} iso - ISO 8601 date
+ * @returns {number} Seconds since the FIT epoch
+ */
+export function toFitTime(iso) {
+    return Date.parse(iso) / 1000 - FIT_EPOCH_OFFSET;
+}
+
+/**
+ * Create a definition message
+ * @param {number} localType - Local message type
+ * @param {number} num - Global message number
+ * @param {Array<Array<number>>} fields - Fields as [number, size, base type]
+ * @param {Array<Array<number>>} developerFields - Developer fields as [number, size, developer index]
+ * @returns {Array<number>} Message bytes
+ */
+export function definition(localType, num, fields, developerFields = []) {
+    const header = 0x40 | localType | (developerFields.length > 0 ? 0x20 : 0);
+    const bytes = [header, 0, 0, num & 0xff, num >> 8, fields.length, ...fields.flat()];
+
+    if (developerFields.length > 0) {
+        bytes.push(developerFields.length, ...developerFields.flat());
+    }
+
+    return bytes;
+}
+
+/**
+ * Create a data message with a normal header
+ * @param {number} localType - Local message type
+ * @param {Array<Array<number>>} fields - Fields of the definition
+ * @param {Array<number|string>} values - Value per field
+ * @param {Array<number>} developerBytes - Raw developer field content
+ * @returns {Array<number>} Message bytes
+ */
+export function data(localType, fields, values, developerBytes = []) {
+    return [localType, ...encodeFields(fields, values), ...developerBytes];
+}
+
+/**
+ * Create a data message with a compressed timestamp header
+ * @param {number} localType - Local message type, 0 to 3
+ * @param {number} timeOffset - Low 5 bits of the timestamp
+ * @param {Array<Array<number>>} fields - Fields of the definition
+ * @param {Array<number|string>} values - Value per field
+ * @returns {Array<number>} Message bytes
+ */
+export function compressed(localType, timeOffset, fields, values) {
+    return [0x80 | (localType << 5) | (timeOffset & 0x1f), ...encodeFields(fields, values)];
+}
+
+/**
+ * Wrap messages in a FIT file with a 14 byte header
+ * @param {Array<Array<number>>} messages - Message bytes
+ * @returns {Uint8Array} File content
+ */
+export function createFit(messages) {
+    const records = messages.flat();
+    const bytes = new Uint8Array(14 + records.length + 2);
+    const view = new DataView(bytes.buffer);
+
+    view.setUint8(0, 14);
+    view.setUint8(1, 0x10);
+    view.setUint16(2, 2100, true);
+    view.setUint32(4, records.length, true);
+    bytes.set([0x2e, 0x46, 0x49, 0x54], 8); // ".FIT"
+    bytes.set(records, 14);
+
+    // The parser does not check CRCs, they are left zero
+    return bytes;
+}
+
+/**
+ * Encode field values
+ * @param {Array<Array<number>>} fields - Fields as [number, size, base type]
+ * @param {Array<number|string>} values - Value per field
+ * @returns {Array<number>} Encoded bytes
+ */
+function encodeFields(fields, values) {
+    const size = fields.reduce((total, [, fieldSize]) => total + fieldSize, 0);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+
+    let offset = 0;
+    fields.forEach(([, fieldSize, baseType], i) => {
+        if (baseType === BASE_TYPE_STRING) {
+            bytes.set(new TextEncoder().encode(values[i]).subarray(0, fieldSize - 1), offset);
+        } else {
+            WRITERS[baseType](view, offset, values[i]);
+        }
+        offset += fieldSize;
+    });
+
+    return Array.from(bytes);
+}
@@ -0,0 +1,120 @@
+/**
+ * tracks.js
+ * Synthetic tracks drawn in meters on a local plane
+ */
+
+import GeoPoint from '../../js/data/geo-point.js';
+import geoUtils from '../../js/data/geo-utils.js';
+
+const METERS_PER_DEGREE = 6371e3 * Math.PI / 180;
+
+// Tracks are drawn around Brussels unless another origin is given
+export const ORIGIN = { lng: 4.35, lat: 50.85 };
+
+/**
+ * Convert plane coordinates to a location
+ * @param {number} x - Meters east of the origin
+ * @param {number} y - Meters north of the origin
+ * @param {Object} origin - Origin as { lng, lat }
+ * @returns {GeoPoint} Location
+ */
+export function toLocation(x, y, origin = ORIGIN) {
+    return new GeoPoint(
+        origin.lng + x / (METERS_PER_DEGREE * Math.cos(origin.lat * Math.PI / 180)),
+        origin.lat + y / METERS_PER_DEGREE
+    );
+}
+
+/**
+ * Create track points with segment indices and distances, as TrackDataStore does
+ * @param {Array<Array<Array<number>>>} segments - Segments of [x, y] plane coordinates
+ * @param {Object} origin - Origin as { lng, lat }
+ * @returns {Array<GeoPoint>} Track points
+ */
+export function createTrackPoints(segments, origin = ORIGIN) {
+    const points = [];
+    let distance = 0;
+
+    segments.forEach((segment, segmentIndex) => {
+        segment.forEach(([x, y], i) => {
+            const point = toLocation(x, y, origin);
+            if (i > 0) {
+                distance += geoUtils.calculateDistance(points[points.length - 1], point);
+            }
+            point.distanceFromStart = distance;
+            point.segmentIndex = segmentIndex;
+            point.timestamp = null;
+            points.push(point);
+        });
+    });
+
+    points.forEach(point => {
+        point.remainingDistance = distance - point.distanceFromStart;
+    });
+
+    return points;
+}
+
+/**
+ * Sample a polyline every few meters
+ * @param {Array<Array<number>>} corners - Polyline corners as [x, y]
+ * @param {number} spacing - Meters between samples
+ * @returns {Array<Array<number>>} Samples as [x, y], including the corners
+ */
+export function densify(corners, spacing) {
+    const samples = [corners[0]];
+
+    for (let i = 1; i < corners.length; i++) {
+        const [x1, y1] = corners[i - 1];
+        const [x2, y2] = corners[i];
+        const steps = Math.max(1, Math.ceil(Math.hypot(x2 - x1, y2 - y1) / spacing));
+        for (let step = 1; step <= steps; step++) {
+            samples.push([x1 + (x2 - x1) * step / steps, y1 + (y2 - y1) * step / steps]);
+        }
+    }
+
+    return samples;
+}
+
+/**
+ * Create a seeded pseudo random number generator, so failures can be reproduced
+ * @param {number} seed - Seed
+ * @returns {Function} Generator of numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state / 2 ** 32;
+    };
+}
+
+/**
+ * Create a winding track that keeps crossing itself
+ * @param {number} pointCount - Number of points
+ * @param {number} spacing - Meters between points
+ * @param {Function} random - Random number generator
+ * @returns {Array<Array<number>>} Points as [x, y]
+ */
+export function randomWalk(pointCount, spacing, random) {
+    const points = [[0, 0]];
+    let heading = 0;
+
+    for (let i = 1; i < pointCount; i++) {
+        heading += (random() - 0.5) * 0.6;
+        const [x, y] = points[i - 1];
+        points.push([x + Math.sin(heading) * spacing, y + Math.cos(heading) * spacing]);
+    }
+
+    return points;
+}
+
+/**
+ * Draw GPS-like noise from a normal distribution (Box-Muller)
+ * @param {Function} random - Random number generator
+ * @param {number} deviation - Standard deviation
+ * @returns {number} Noise
+ */
+export function gaussian(random, deviation) {
+    return Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random()) * deviation;
+}
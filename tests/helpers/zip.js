@@ -0,0 +1,58 @@
+/**
+ * zip.js
+ * Builds small ZIP archives for the KMZ tests
+ */
+
+import zlib from 'node:zlib';
+
+/**
+ * Create a ZIP archive with deflated entries
+ * @param {Object} files - File content keyed by name
+ * @returns {Uint8Array} Archive content
+ */
+export function createZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, content]) => {
+        const nameBytes = Buffer.from(name, 'utf-8');
+        const data = Buffer.from(content, 'utf-8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = zlib.crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBytes, compressed);
+        centralParts.push(central, nameBytes);
+        offset += local.length + nameBytes.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(centralParts.length / 2, 8);
+    end.writeUInt16LE(centralParts.length / 2, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return new Uint8Array(Buffer.concat([...localParts, centralDirectory, end]));
+}
@@ -0,0 +1,119 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import EventBus from '../../js/core/event-bus.js';
+import config from '../../js/core/config.js';
+import geoUtils from '../../js/data/geo-utils.js';
+import trackSimplifier from '../../js/data/track-simplifier.js';
+import TrackRenderer from '../../js/map/track-renderer.js';
+import { createRandom, createTrackPoints, densify, randomWalk } from '../helpers/tracks.js';
+
+/**
+ * Create a map that keeps its sources and layers in memory
+ * @param {number} zoom - Current zoom level
+ * @returns {Object} Fake map instance
+ */
+function createMap(zoom) {
+    const sources = new Map();
+    const layers = new Map();
+
+    return {
+        getZoom: () => zoom,
+        addSource: (id, source) => sources.set(id, { ...source, setData(data) { this.data = data; } }),
+        getSource: id => sources.get(id),
+        removeSource: id => sources.delete(id),
+        addLayer: layer => layers.set(layer.id, layer),
+        getLayer: id => layers.get(id),
+        removeLayer: id => layers.delete(id)
+    };
+}
+
+describe('TrackRenderer', () => {
+    const { spacing: pixelSpacing, minSpacing } = config.track.arrows;
+    let eventBus;
+    let renderer;
+    let map;
+
+    // A winding 20 km with a point every 50 m, like an interpolated track
+    const windingPoints = createTrackPoints([randomWalk(400, 50, createRandom(7))]);
+
+    // 10 km straight north, which simplifies to its two ends
+    const straightPoints = createTrackPoints([densify([[0, 0], [0, 10000]], 50)]);
+
+    /**
+     * Get the meters between arrows expected at a zoom level
+     * @param {number} zoomLevel - Zoom level
+     * @returns {number} Meters
+     */
+    const arrowSpacing = zoomLevel =>
+        Math.max(minSpacing, trackSimplifier.getTolerance(zoomLevel, straightPoints[0].lat, pixelSpacing));
+
+    beforeEach(() => {
+        eventBus = new EventBus();
+        renderer = new TrackRenderer(eventBus);
+        map = createMap(8);
+        renderer.mapInstance = map;
+    });
+
+    it('draws the track simplified and reports the dropped points', () => {
+        let rendered = null;
+        eventBus.on('track:rendered', data => {
+            rendered = data;
+        });
+
+        renderer.renderTrack([windingPoints]);
+
+        const [drawn] = map.getSource('track').data.geometry.coordinates;
+        assert.ok(drawn.length < windingPoints.length / 4);
+        assert.equal(rendered.stats.originalPoints, windingPoints.length);
+        assert.equal(rendered.stats.renderedPoints, drawn.length);
+        assert.equal(rendered.stats.droppedPoints, windingPoints.length - drawn.length);
+    });
+
+    it('spaces arrows evenly along a straight that simplifies to two points', () => {
+        map = createMap(12);
+        renderer.mapInstance = map;
+
+        renderer.renderTrack([straightPoints]);
+
+        const [drawn] = map.getSource('track').data.geometry.coordinates;
+        const arrows = map.getSource('track-directions').data.features;
+        const spacing = arrowSpacing(12);
+
+        assert.equal(drawn.length, 2);
+        assert.ok(spacing > minSpacing);
+        assert.equal(arrows.length, Math.floor((10000 - spacing / 2) / spacing) + 1);
+
+        arrows.forEach((arrow, i) => {
+            const position = arrow.geometry.coordinates;
+            assert.ok(Math.abs(geoUtils.calculateCrossTrackDistance(position, drawn[0], drawn[1])) < 0.01);
+            const { bearing } = arrow.properties;
+            assert.ok(Math.min(bearing, 360 - bearing) < 1e-6, `bearing ${bearing}`);
+            if (i > 0) {
+                const gap = geoUtils.calculateDistance(arrows[i - 1].geometry.coordinates, position);
+                assert.ok(Math.abs(gap - spacing) < 0.01);
+            }
+        });
+    });
+
+    it('keeps arrows at least the minimum spacing apart when zoomed in', () => {
+        map = createMap(18);
+        renderer.mapInstance = map;
+
+        renderer.renderTrack([straightPoints]);
+
+        assert.equal(arrowSpacing(18), minSpacing);
+        assert.equal(map.getSource('track-directions').data.features.length, 10000 / minSpacing);
+    });
+
+    it('redraws the line and its arrows when the zoom level changes', () => {
+        renderer.renderTrack([windingPoints]);
+        const pointsBefore = map.getSource('track').data.geometry.coordinates[0].length;
+        const arrowsBefore = map.getSource('track-directions').data.features.length;
+
+        eventBus.emit('map:zoom-ended', { zoom: 14.2 });
+
+        assert.equal(renderer.renderedZoomLevel, 14);
+        assert.ok(map.getSource('track').data.geometry.coordinates[0].length > pointsBefore);
+        assert.ok(map.getSource('track-directions').data.features.length > arrowsBefore);
+    });
+});
@@ -0,0 +1,164 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import EventBus from '../../js/core/event-bus.js';
+import config from '../../js/core/config.js';
+import LocationDataStore from '../../js/data/location-data-store.js';
+import AdaptiveSampling from '../../js/services/adaptive-sampling.js';
+import { createTrackPoints, densify, toLocation } from '../helpers/tracks.js';
+
+const SPEED = 5; // m/s
+const TURN = 3000; // meters from the start of the only turn
+
+describe('AdaptiveSampling', () => {
+    const options = config.location.sampling;
+    let now;
+    let eventBus;
+    let battery;
+    let sampling;
+    let changes;
+
+    /**
+     * Send a location update at the riding speed
+     * @param {number} speed - Speed in m/s
+     */
+    function updateLocation(speed = SPEED) {
+        const location = toLocation(0, 0);
+        location.speed = speed;
+        eventBus.emit('location:updated', { location });
+    }
+
+    beforeEach(async () => {
+        now = 0;
+        changes = [];
+        battery = {
+            level: 0.8,
+            charging: false,
+            listeners: {},
+            addEventListener(type, listener) {
+                this.listeners[type] = listener;
+            }
+        };
+        Object.defineProperty(globalThis, 'navigator', {
+            value: { getBattery: async () => battery },
+            configurable: true,
+            writable: true
+        });
+
+        eventBus = new EventBus();
+        eventBus.on('location:sampling-changed', data => changes.push(data));
+        sampling = new AdaptiveSampling(eventBus, { now: () => now });
+
+        // Let the battery status arrive
+        await new Promise(resolve => setImmediate(resolve));
+
+        // North for 3 km, then a right turn
+        eventBus.emit('track:loaded', {
+            trackPoints: createTrackPoints([densify([[0, 0], [0, TURN], [3000, TURN]], 10)])
+        });
+    });
+
+    afterEach(() => {
+        delete globalThis.navigator;
+    });
+
+    it('finds the turn of the track', () => {
+        assert.equal(sampling.turns.length, 1);
+        assert.ok(Math.abs(sampling.turns[0] - TURN) <= options.turnSampleDistance);
+    });
+
+    it('moves progress on at the current speed to see the turn coming', () => {
+        updateLocation();
+        eventBus.emit('progress:updated', { distanceFromStart: 0 });
+        assert.equal(sampling.sampling.reason, 'far-from-turn');
+        assert.equal(changes[changes.length - 1].interval, options.relaxedInterval);
+
+        // No new progress for a while, only fixes
+        const turn = sampling.turns[0];
+        now = (turn - options.farTurnDistance) / SPEED * 1000;
+        updateLocation();
+        assert.equal(sampling.sampling.reason, 'normal');
+
+        now = (turn - options.nearTurnDistance) / SPEED * 1000;
+        updateLocation();
+        assert.equal(sampling.sampling.reason, 'near-turn');
+        assert.equal(changes[changes.length - 1].interval, options.fastInterval);
+
+        // Past the last turn
+        now = (turn + 10) / SPEED * 1000;
+        updateLocation();
+        assert.equal(sampling.sampling.reason, 'far-from-turn');
+    });
+
+    it('slows down after standing still for the stationary delay', () => {
+        eventBus.emit('progress:updated', { distanceFromStart: 0 });
+        updateLocation(0);
+
+        now = options.stationaryDelay - 1000;
+        updateLocation(0);
+        assert.notEqual(sampling.sampling.reason, 'stationary');
+
+        now = options.stationaryDelay;
+        updateLocation(0);
+        assert.equal(sampling.sampling.reason, 'stationary');
+        assert.equal(changes[changes.length - 1].interval, options.stationaryInterval);
+    });
+
+    it('switches to low accuracy on a low battery until it is charged', () => {
+        updateLocation();
+        assert.equal(sampling.sampling.highAccuracy, true);
+
+        battery.level = options.lowBatteryLevel;
+        battery.listeners.levelchange();
+        assert.equal(changes[changes.length - 1].highAccuracy, false);
+
+        battery.charging = true;
+        battery.listeners.chargingchange();
+        assert.equal(changes[changes.length - 1].highAccuracy, true);
+    });
+
+    it('keeps the location moving on the network positions of low accuracy mode', () => {
+        const store = new LocationDataStore(eventBus);
+        const accepted = [];
+        eventBus.on('location:fix-accepted', data => accepted.push(data));
+        eventBus.emit('location:start-tracking');
+
+        /**
+         * Send a Wi-Fi position, good to about 100 m
+         * @param {number} timestamp - Fix time in milliseconds
+         */
+        function sendNetworkFix(timestamp) {
+            const { lng, lat } = toLocation(0, timestamp / 1000 * SPEED);
+            eventBus.emit('location:raw-update', {
+                position: { coords: { longitude: lng, latitude: lat, accuracy: 100, altitude: null, speed: null }, timestamp }
+            });
+        }
+
+        try {
+            updateLocation();
+            sendNetworkFix(0);
+            assert.equal(accepted.length, 0);
+
+            battery.level = options.lowBatteryLevel;
+            battery.listeners.levelchange();
+            assert.equal(changes[changes.length - 1].highAccuracy, false);
+
+            // Every position counts, none waits for a better one that will not come
+            for (let t = 1000; t <= 5000; t += 1000) {
+                sendNetworkFix(t);
+            }
+            assert.equal(accepted.length, 5);
+            assert.equal(store.accuracy, accepted[4].accuracy);
+        } finally {
+            eventBus.emit('location:stop-tracking');
+        }
+    });
+
+    it('announces only changes of the sampling', () => {
+        updateLocation();
+        const count = changes.length;
+
+        updateLocation();
+        updateLocation();
+        assert.equal(changes.length, count);
+    });
+});
@@ -0,0 +1,184 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../../js/core/config.js';
+import etaEstimator from '../../js/services/eta-estimator.js';
+import { toLocation } from '../helpers/tracks.js';
+
+const FIX_INTERVAL = 10; // seconds between history entries
+
+/**
+ * Build a location history heading north from per-interval speeds
+ * @param {Array<number>} speeds - Speed in m/s over each interval
+ * @returns {Array} Entries with location and timestamp, oldest first
+ */
+function createHistory(speeds) {
+    let y = 0;
+    const history = [{ location: toLocation(0, 0), timestamp: 0 }];
+
+    speeds.forEach((speed, i) => {
+        y += speed * FIX_INTERVAL;
+        history.push({ location: toLocation(0, y), timestamp: (i + 1) * FIX_INTERVAL * 1000 });
+    });
+
+    return history;
+}
+
+/**
+ * Check a number against an expected value
+ * @param {number} actual - Computed value
+ * @param {number} expected - Expected value
+ * @param {number} tolerance - Largest accepted difference
+ */
+function assertClose(actual, expected, tolerance) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+describe('etaEstimator', () => {
+    describe('calculateMovingSpeed', () => {
+        it('measures a steady pace', () => {
+            const { speed, movingTime, movingDistance, variation } =
+                etaEstimator.calculateMovingSpeed(createHistory(Array(30).fill(5)));
+
+            assertClose(speed, 5, 1e-6);
+            assertClose(movingTime, 300, 1e-9);
+            assertClose(movingDistance, 1500, 1e-3);
+            assertClose(variation, 0, 1e-6);
+        });
+
+        it('leaves stops out of the pace and the moving time', () => {
+            // Ride 5 minutes, wait 3 minutes at a light, creep on at walking speed below the stop threshold
+            const speeds = [...Array(30).fill(5), ...Array(18).fill(0), ...Array(6).fill(config.eta.stoppedSpeed / 2)];
+            const { speed, movingTime } = etaEstimator.calculateMovingSpeed(createHistory(speeds));
+
+            assertClose(speed, 5, 1e-6);
+            assertClose(movingTime, 300, 1e-9);
+        });
+
+        it('leaves GPS jumps out of the pace', () => {
+            const history = createHistory(Array(30).fill(5));
+
+            // One fix 1 km off to the side, 750 m along
+            history[15] = { ...history[15], location: toLocation(1000, 750) };
+
+            const { speed, movingTime } = etaEstimator.calculateMovingSpeed(history);
+
+            assertClose(speed, 5, 1e-6);
+            assertClose(movingTime, 280, 1e-9);
+        });
+
+        it('skips entries without time passing', () => {
+            const history = createHistory([5, 5]);
+            history.splice(1, 0, { ...history[1] });
+
+            assertClose(etaEstimator.calculateMovingSpeed(history).movingTime, 20, 1e-9);
+        });
+
+        it('gives the variation of an uneven pace', () => {
+            const { speed, variation } = etaEstimator.calculateMovingSpeed(createHistory([3, 7, 3, 7, 3, 7]));
+
+            assertClose(speed, 5, 1e-6);
+            assertClose(variation, 0.4, 1e-6);
+        });
+
+        it('returns zeros without movement', () => {
+            assert.deepEqual(etaEstimator.calculateMovingSpeed(createHistory([0, 0, 0])), {
+                speed: 0, movingTime: 0, movingDistance: 0, variation: 0
+            });
+            assert.deepEqual(etaEstimator.calculateMovingSpeed([]), {
+                speed: 0, movingTime: 0, movingDistance: 0, variation: 0
+            });
+        });
+    });
+
+    describe('calculateClimbingTime', () => {
+        it('adds an hour per 600 m for walkers, after Naismith', () => {
+            assert.equal(etaEstimator.calculateClimbingTime(600, 'walking'), 3600);
+            assert.equal(etaEstimator.calculateClimbingTime(150, 'walking'), 900);
+        });
+
+        it('adds the time to lift rider and bike at the climbing power for cyclists', () => {
+            // 85 kg lifted 1000 m at 150 W
+            assertClose(etaEstimator.calculateClimbingTime(1000, 'cycling'), 85 * 9.81 * 1000 / 150, 1e-9);
+        });
+
+        it('adds nothing without climbing or a climbing model', () => {
+            assert.equal(etaEstimator.calculateClimbingTime(null, 'walking'), 0);
+            assert.equal(etaEstimator.calculateClimbingTime(0, 'cycling'), 0);
+            assert.equal(etaEstimator.calculateClimbingTime(500, 'none'), 0);
+        });
+    });
+
+    describe('estimate', () => {
+        const now = Date.parse('2024-05-01T10:00:00Z');
+
+        it('adds the climbing ahead to the flat time at the moving pace', () => {
+            const { timeRemaining, etaTimestamp, confidence, speed } = etaEstimator.estimate({
+                locationHistory: createHistory(Array(30).fill(5)),
+                remainingDistance: 10000,
+                remainingAscent: 300,
+                activity: 'walking',
+                now
+            });
+
+            // 2000 s on the flat and half an hour for 300 m up
+            assertClose(speed, 5, 1e-6);
+            assertClose(timeRemaining, 3800, 1e-3);
+            assertClose(etaTimestamp, now + 3800 * 1000, 1);
+            assertClose(confidence, 1, 1e-6);
+        });
+
+        it('waits for enough movement before estimating', () => {
+            const movingIntervals = config.eta.minimumMovingTime / FIX_INTERVAL - 1;
+            const result = etaEstimator.estimate({
+                locationHistory: createHistory(Array(movingIntervals).fill(5)),
+                remainingDistance: 10000,
+                now
+            });
+
+            assert.equal(result.timeRemaining, null);
+            assert.equal(result.etaTimestamp, null);
+            assert.equal(result.confidence, 0);
+            assertClose(result.speed, 5, 1e-6);
+        });
+
+        it('reports no speed while standing still', () => {
+            const result = etaEstimator.estimate({
+                locationHistory: createHistory(Array(30).fill(0)),
+                remainingDistance: 10000,
+                now
+            });
+
+            assert.deepEqual(result, { timeRemaining: null, etaTimestamp: null, confidence: 0, speed: null });
+        });
+
+        it('has low confidence after a short ride', () => {
+            const movingTime = config.eta.minimumMovingTime;
+            const { timeRemaining, confidence } = etaEstimator.estimate({
+                locationHistory: createHistory(Array(movingTime / FIX_INTERVAL).fill(5)),
+                remainingDistance: 10000,
+                activity: 'none',
+                now
+            });
+
+            assertClose(timeRemaining, 2000, 1e-3);
+            assertClose(confidence, movingTime / config.eta.fullConfidenceMovingTime, 1e-6);
+            assert.ok(confidence < config.eta.minimumConfidence);
+        });
+
+        it('has lower confidence for an erratic pace than a steady one', () => {
+            const estimate = speeds => etaEstimator.estimate({
+                locationHistory: createHistory(speeds),
+                remainingDistance: 10000,
+                activity: 'none',
+                now
+            });
+
+            const steady = estimate(Array(30).fill(5));
+            const erratic = estimate(Array.from({ length: 30 }, (_, i) => (i % 2 ? 9 : 1)));
+
+            assertClose(erratic.speed, 5, 1e-6);
+            assertClose(erratic.confidence, 1 / 1.8, 1e-6);
+            assert.ok(erratic.confidence < steady.confidence);
+        });
+    });
+});
@@ -0,0 +1,127 @@
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import EventBus from '../../js/core/event-bus.js';
+import config from '../../js/core/config.js';
+import LocationTracker from '../../js/services/location-tracker.js';
+
+/**
+ * Create a geolocation API that records what is asked of it
+ * @returns {Object} Fake navigator.geolocation
+ */
+function createGeolocation() {
+    return {
+        watches: new Map(),
+        requests: [],
+        nextId: 1,
+        watchPosition(success, error, options) {
+            const id = this.nextId++;
+            this.watches.set(id, { success, options });
+            return id;
+        },
+        clearWatch(id) {
+            this.watches.delete(id);
+        },
+        getCurrentPosition(success, error, options) {
+            this.requests.push({ success, error, options });
+        }
+    };
+}
+
+describe('LocationTracker', () => {
+    const { fastInterval, relaxedInterval, stationaryInterval } = config.location.sampling;
+    let eventBus;
+    let geolocation;
+    let tracker;
+
+    /**
+     * Announce a new sampling
+     * @param {number} interval - Update interval in milliseconds
+     * @param {boolean} highAccuracy - Whether to ask for high accuracy
+     */
+    function changeSampling(interval, highAccuracy = true) {
+        eventBus.emit('location:sampling-changed', { interval, highAccuracy, reason: 'test' });
+    }
+
+    beforeEach(() => {
+        geolocation = createGeolocation();
+        Object.defineProperty(globalThis, 'navigator', {
+            value: { geolocation },
+            configurable: true,
+            writable: true
+        });
+
+        eventBus = new EventBus();
+        tracker = new LocationTracker(eventBus);
+        eventBus.emit('location:start-tracking-requested');
+    });
+
+    afterEach(() => {
+        eventBus.emit('location:stop-tracking-requested');
+        delete globalThis.navigator;
+    });
+
+    it('watches the GPS at the normal interval', () => {
+        assert.equal(geolocation.watches.size, 1);
+        assert.equal(geolocation.requests.length, 0);
+    });
+
+    it('turns the watch off and asks for single positions at long intervals', () => {
+        changeSampling(relaxedInterval);
+
+        assert.equal(geolocation.watches.size, 0);
+        assert.equal(tracker.watchId, null);
+
+        tracker.requestPosition();
+        assert.equal(geolocation.requests.length, 1);
+
+        // A slow fix does not stack up requests
+        tracker.requestPosition();
+        assert.equal(geolocation.requests.length, 1);
+
+        let raw = null;
+        eventBus.on('location:raw-update', data => {
+            raw = data;
+        });
+        const position = { coords: { latitude: 50, longitude: 4, accuracy: 5 }, timestamp: 1 };
+        geolocation.requests[0].success(position);
+        assert.equal(raw.position, position);
+
+        tracker.requestPosition();
+        assert.equal(geolocation.requests.length, 2);
+    });
+
+    it('watches the GPS again when updates speed up', () => {
+        changeSampling(stationaryInterval);
+        changeSampling(fastInterval);
+
+        assert.equal(geolocation.watches.size, 1);
+        assert.notEqual(tracker.watchId, null);
+    });
+
+    it('restarts the watch for a new accuracy', () => {
+        const [firstId] = geolocation.watches.keys();
+
+        changeSampling(fastInterval, false);
+
+        assert.equal(geolocation.watches.size, 1);
+        assert.equal(geolocation.watches.has(firstId), false);
+        assert.equal(geolocation.watches.get(tracker.watchId).options.enableHighAccuracy, false);
+    });
+
+    it('asks for single positions with the current accuracy', () => {
+        changeSampling(relaxedInterval, false);
+        tracker.requestPosition();
+
+        assert.equal(geolocation.requests[0].options.enableHighAccuracy, false);
+    });
+
+    it('asks for a position right away when tracking starts at a long interval', () => {
+        eventBus.emit('location:stop-tracking-requested');
+        changeSampling(relaxedInterval);
+
+        eventBus.emit('location:start-tracking-requested');
+
+        assert.equal(geolocation.watches.size, 0);
+        assert.equal(geolocation.requests.length, 1);
+    });
+});
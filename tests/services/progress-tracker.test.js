@@ -0,0 +1,154 @@
+import { afterEach, beforeEach, describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import EventBus from '../../js/core/event-bus.js';
+import config from '../../js/core/config.js';
+import TrackDataStore from '../../js/data/track-data-store.js';
+import ProgressTracker from '../../js/services/progress-tracker.js';
+import { densify, toLocation } from '../helpers/tracks.js';
+
+const FIX_INTERVAL = 10000; // milliseconds between fixes
+const SPEED = 5; // m/s, a relaxed bike ride
+
+let now;
+let eventBus;
+let trackDataStore;
+let tracker;
+
+/**
+ * Load a track drawn in plane coordinates
+ * @param {Array<Array<number>>} corners - Track corners as [x, y] meters
+ */
+async function loadTrack(corners) {
+    const coordinates = corners.map(([x, y]) => {
+        const { lng, lat } = toLocation(x, y);
+        return [lng, lat];
+    });
+    await trackDataStore.loadTrackData(JSON.stringify({ type: 'LineString', coordinates }), 'file', {
+        filename: 'track.geojson'
+    });
+}
+
+/**
+ * Match a fix and advance the clock to the next one
+ * @param {Array<number>} position - Rider position as [x, y] meters
+ * @returns {Promise<number>} Matched distance from the start of the track
+ */
+async function ride([x, y]) {
+    const location = toLocation(x, y);
+    location.speed = SPEED;
+
+    let progress = null;
+    const listener = data => {
+        progress = data;
+    };
+    eventBus.on('progress:updated', listener);
+    await tracker.calculateProgress(location, trackDataStore);
+    eventBus.off('progress:updated', listener);
+
+    now += FIX_INTERVAL;
+    return progress.distanceFromStart;
+}
+
+/**
+ * Ride along a route, matching a fix every FIX_INTERVAL
+ * @param {Array<Array<number>>} corners - Route corners as [x, y] meters
+ * @returns {Promise<Array<number>>} Matched distances from the start
+ */
+async function rideAlong(corners) {
+    const distances = [];
+    for (const position of densify(corners, SPEED * FIX_INTERVAL / 1000)) {
+        distances.push(await ride(position));
+    }
+    return distances;
+}
+
+/**
+ * Check that progress never jumps back, allowing for the jitter the matcher accepts
+ * @param {Array<number>} distances - Matched distances in ride order
+ */
+function assertForward(distances) {
+    distances.forEach((distance, i) => {
+        if (i === 0) return;
+        assert.ok(distance >= distances[i - 1] - 1, `progress went back from ${distances[i - 1]} to ${distance} at fix ${i}`);
+        assert.ok(distance - distances[i - 1] < 100, `progress jumped from ${distances[i - 1]} to ${distance} at fix ${i}`);
+    });
+}
+
+describe('ProgressTracker.matchLocation', () => {
+    beforeEach(() => {
+        now = Date.parse('2024-05-01T08:00:00Z');
+        mock.method(Date, 'now', () => now);
+
+        eventBus = new EventBus();
+        trackDataStore = new TrackDataStore(eventBus);
+        tracker = new ProgressTracker(eventBus);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    it('follows an out-and-back track out and back on the same road', async () => {
+        await loadTrack([[0, 0], [2000, 0], [0, 0]]);
+        const distances = await rideAlong([[0, 0], [2000, 0], [0, 0]]);
+
+        assertForward(distances);
+        assert.ok(distances[0] < 1);
+        assert.ok(Math.abs(distances[distances.length - 1] - trackDataStore.totalDistance) < 1);
+    });
+
+    it('starts a loop at its start and finishes it at its finish', async () => {
+        const loop = [[0, 0], [1000, 0], [1000, 1000], [0, 1000], [0, 0]];
+        await loadTrack(loop);
+        const distances = await rideAlong(loop);
+
+        assertForward(distances);
+        assert.ok(distances[0] < 1);
+        assert.ok(Math.abs(distances[distances.length - 1] - trackDataStore.totalDistance) < 1);
+    });
+
+    it('follows a lollipop up the stem, round the loop and down the stem', async () => {
+        const lollipop = [[0, 0], [0, 1000], [500, 1500], [0, 2000], [-500, 1500], [0, 1000], [0, 0]];
+        await loadTrack(lollipop);
+        const distances = await rideAlong(lollipop);
+
+        assertForward(distances);
+
+        // Halfway down the stem is near the end of the track, not the start
+        const halfwayDown = await ride([0, 500]);
+        assert.ok(trackDataStore.totalDistance - halfwayDown > 450);
+    });
+
+    it('stays on its own leg when GPS noise pulls towards the other one', async () => {
+        // The return leg runs along a parallel road 40 m away
+        await loadTrack([[0, 0], [2000, 0], [2000, 40], [0, 40]]);
+        await rideAlong([[0, 0], [500, 0]]);
+
+        // 25 m from the outbound leg, 15 m from the return leg
+        const distance = await ride([550, 25]);
+        assert.ok(Math.abs(distance - 550) < 1, `matched at ${distance}`);
+    });
+
+    it('re-acquires globally after a jump further than the reacquire margin', async () => {
+        await loadTrack([[0, 0], [10000, 0]]);
+        await rideAlong([[0, 0], [1000, 0]]);
+
+        // A lift in a car: well beyond the window and the reacquire margin
+        const { reacquireMargin } = config.progress.matching;
+        assert.ok(6000 - 1000 > reacquireMargin);
+
+        const distance = await ride([6000, 0]);
+        assert.ok(Math.abs(distance - 6000) < 1, `matched at ${distance}`);
+
+        // And carries on from there
+        const next = await ride([6050, 0]);
+        assert.ok(Math.abs(next - 6050) < 1, `matched at ${next}`);
+    });
+
+    it('matches a rider joining a loop halfway round where they are', async () => {
+        await loadTrack([[0, 0], [1000, 0], [1000, 1000], [0, 1000], [0, 0]]);
+
+        const distance = await ride([1000, 600]);
+        assert.ok(Math.abs(distance - 1600) < 1, `matched at ${distance}`);
+    });
+});
@@ -0,0 +1,109 @@
+import { beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../../js/core/config.js';
+import SamplingPolicy from '../../js/services/sampling-policy.js';
+
+describe('SamplingPolicy', () => {
+    const options = config.location.sampling;
+    const normalInterval = config.location.tracking.updateInterval;
+    let now;
+    let policy;
+
+    beforeEach(() => {
+        now = 0;
+        policy = new SamplingPolicy(options, { now: () => now });
+    });
+
+    it('samples at the normal interval without anything to go by', () => {
+        assert.deepEqual(policy.evaluate({}), { interval: normalInterval, highAccuracy: true, reason: 'normal' });
+    });
+
+    it('slows down only after standing still for the stationary delay', () => {
+        assert.equal(policy.evaluate({ speed: 0 }).reason, 'normal');
+
+        now = options.stationaryDelay - 1;
+        assert.equal(policy.evaluate({ speed: options.stoppedSpeed / 2 }).reason, 'normal');
+
+        now = options.stationaryDelay;
+        assert.deepEqual(policy.evaluate({ speed: 0 }), {
+            interval: options.stationaryInterval,
+            highAccuracy: true,
+            reason: 'stationary'
+        });
+    });
+
+    it('speeds up as soon as the user moves again and starts the delay over', () => {
+        policy.evaluate({ speed: 0 });
+        now = options.stationaryDelay;
+        assert.equal(policy.evaluate({ speed: 0 }).reason, 'stationary');
+
+        assert.equal(policy.evaluate({ speed: options.stoppedSpeed }).reason, 'normal');
+
+        now += options.stationaryDelay - 1;
+        policy.evaluate({ speed: 0 });
+        now += options.stationaryDelay - 1;
+        assert.equal(policy.evaluate({ speed: 0 }).reason, 'normal');
+    });
+
+    it('keeps counting the stop through fixes without a speed', () => {
+        policy.evaluate({ speed: 0 });
+        now = options.stationaryDelay;
+
+        assert.equal(policy.evaluate({ speed: null }).reason, 'stationary');
+    });
+
+    it('updates fast off track, unless standing still', () => {
+        assert.deepEqual(policy.evaluate({ speed: 5, isOffTrack: true, distanceToTurn: null }), {
+            interval: options.fastInterval,
+            highAccuracy: true,
+            reason: 'off-track'
+        });
+
+        policy.evaluate({ speed: 0, isOffTrack: true });
+        now = options.stationaryDelay;
+        assert.equal(policy.evaluate({ speed: 0, isOffTrack: true }).reason, 'stationary');
+    });
+
+    it('updates fast from the near turn distance on', () => {
+        const { nearTurnDistance } = options;
+
+        assert.equal(policy.evaluate({ speed: 5, distanceToTurn: nearTurnDistance + 1 }).reason, 'normal');
+        assert.deepEqual(policy.evaluate({ speed: 5, distanceToTurn: nearTurnDistance }), {
+            interval: options.fastInterval,
+            highAccuracy: true,
+            reason: 'near-turn'
+        });
+    });
+
+    it('relaxes beyond the far turn distance and past the last turn', () => {
+        const { farTurnDistance } = options;
+
+        assert.equal(policy.evaluate({ speed: 5, distanceToTurn: farTurnDistance }).reason, 'normal');
+        assert.deepEqual(policy.evaluate({ speed: 5, distanceToTurn: farTurnDistance + 1 }), {
+            interval: options.relaxedInterval,
+            highAccuracy: true,
+            reason: 'far-from-turn'
+        });
+        assert.equal(policy.evaluate({ speed: 5, distanceToTurn: Infinity }).reason, 'far-from-turn');
+    });
+
+    it('drops high accuracy on a low battery that is not charging', () => {
+        const { lowBatteryLevel } = options;
+        const highAccuracy = battery => policy.evaluate({ speed: 5, battery }).highAccuracy;
+
+        assert.equal(highAccuracy({ level: lowBatteryLevel, charging: false }), false);
+        assert.equal(highAccuracy({ level: lowBatteryLevel, charging: true }), true);
+        assert.equal(highAccuracy({ level: lowBatteryLevel + 0.01, charging: false }), true);
+        assert.equal(highAccuracy(null), true);
+    });
+
+    it('keeps the tracking settings when disabled', () => {
+        policy = new SamplingPolicy({ ...options, enabled: false }, { now: () => now });
+
+        assert.deepEqual(policy.evaluate({ speed: 5, isOffTrack: true, battery: { level: 0.05, charging: false } }), {
+            interval: normalInterval,
+            highAccuracy: true,
+            reason: 'fixed'
+        });
+    });
+});
@@ -0,0 +1,61 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import EventBus from '../../js/core/event-bus.js';
+import TrackManager from '../../js/services/track-manager.js';
+
+const GPX = '<gpx version="1.1"><trk><trkseg><trkpt lat="50" lon="4"/></trkseg></trk></gpx>';
+
+/**
+ * Decode resolved content to text
+ * @param {string|ArrayBuffer} content - Resolved content
+ * @returns {string} Text
+ */
+const toText = content => (typeof content === 'string' ? content : new TextDecoder().decode(content));
+
+describe('TrackManager.resolveLaunchTrack', () => {
+    let trackManager;
+
+    before(() => {
+        const { window } = new JSDOM('');
+        globalThis.window = window;
+        globalThis.document = window.document;
+        trackManager = new TrackManager(new EventBus());
+    });
+
+    after(() => {
+        delete globalThis.window;
+        delete globalThis.document;
+    });
+
+    it('takes inline XML as it is', async () => {
+        const { content, filename } = await trackManager.resolveLaunchTrack(`  ${GPX}\n`);
+
+        assert.equal(content, GPX);
+        assert.equal(filename, null);
+    });
+
+    it('decodes base64 wrapped in whitespace', async () => {
+        const base64 = Buffer.from(GPX).toString('base64');
+        const { content } = await trackManager.resolveLaunchTrack(`\n  ${base64}  \n`);
+
+        assert.equal(toText(content), GPX);
+    });
+
+    it('decodes URL-safe base64 and base64 whose + became spaces', async () => {
+        // Bytes chosen so the payload contains both + and / between other characters
+        const bytes = Buffer.from([0x00, 0x0f, 0xbe, 0xff, 0xff, 0xff, 0x00, 0x00, 0x00]);
+        const base64 = bytes.toString('base64');
+        assert.match(base64, /^[A-Za-z0-9].*\+.*\/.*[A-Za-z0-9]$/);
+
+        const urlSafe = await trackManager.resolveLaunchTrack(base64.replace(/\+/g, '-').replace(/\//g, '_'));
+        const spaced = await trackManager.resolveLaunchTrack(base64.replace(/\+/g, ' '));
+
+        assert.deepEqual(new Uint8Array(urlSafe.content), new Uint8Array(bytes));
+        assert.deepEqual(new Uint8Array(spaced.content), new Uint8Array(bytes));
+    });
+
+    it('rejects a value that is neither a URL nor base64', async () => {
+        await assert.rejects(trackManager.resolveLaunchTrack('not a track!'), /neither a URL nor a valid base64 payload/);
+    });
+});